@@ -0,0 +1,78 @@
+/**
+ * Accessibility audit utility tests
+ * @fileoverview Unit tests for the axe-core audit of page HTML in jsdom
+ */
+
+import { getWcagCriteria, auditHtml, collectAccessibilityAudits } from '@/utils/accessibilityAuditor.js';
+
+// Mock the config
+jest.mock('@/config/index.js', () => ({
+  appConfig: {
+    isDevelopment: false,
+    isProduction: false,
+    logging: { level: 'error' },
+    outbound: { allowedPorts: [80, 443], allowlist: [], maxResponseBytes: 10485760 },
+  },
+}));
+
+const page = (body: string) => `<!DOCTYPE html><html lang="en"><head><title>Page</title></head><body><main>${body}</main></body></html>`;
+
+describe('Accessibility Auditor Utils', () => {
+  describe('getWcagCriteria', () => {
+    it('should turn WCAG tags into success criteria', () => {
+      expect(getWcagCriteria(['cat.forms', 'wcag2a', 'wcag412', 'wcag1410', 'best-practice'])).toEqual(['4.1.2', '1.4.10']);
+    });
+  });
+
+  describe('auditHtml', () => {
+    it('should report one violation per element with its rule, impact and selector', async () => {
+      const violations = await auditHtml(page('<img src="/logo.png"><img src="/photo.jpg" id="photo">'), 'https://example.com/');
+
+      expect(violations).toHaveLength(2);
+      expect(violations[1]).toMatchObject({
+        type: 'accessibility',
+        ruleId: 'image-alt',
+        impact: 'critical',
+        severity: 'critical',
+        wcag: ['1.1.1'],
+        level: 'A',
+        selector: '#photo',
+        html: '<img src="/photo.jpg" id="photo">',
+      });
+    });
+
+    it('should sort violations by severity', async () => {
+      const violations = await auditHtml(
+        '<!DOCTYPE html><html><head><title>Page</title></head><body><main><img src="/logo.png"></main></body></html>',
+        'https://example.com/'
+      );
+
+      expect(violations.map(violation => violation.ruleId)).toEqual(['image-alt', 'html-has-lang']);
+      expect(violations[1].severity).toBe('high');
+    });
+
+    it('should not report accessible pages', async () => {
+      expect(await auditHtml(page('<h1>Title</h1><img src="/logo.png" alt="Logo">'), 'https://example.com/')).toEqual([]);
+    });
+  });
+
+  describe('collectAccessibilityAudits', () => {
+    it('should report the audits run by the URL check and count pages that could not be audited', () => {
+      const violation = { type: 'accessibility', ruleId: 'image-alt' };
+      const checks = new Map([
+        ['https://example.com/', { accessibilityViolations: [violation, violation] }],
+        ['https://example.com/about', { accessibilityViolations: [] }],
+        ['https://example.com/huge', { accessibilityViolations: null }],
+      ]);
+
+      const { pages, report } = collectAccessibilityAudits(
+        ['https://example.com/', 'https://example.com/about', 'https://example.com/huge'],
+        checks
+      );
+
+      expect(pages.get('https://example.com/')).toHaveLength(2);
+      expect(pages.has('https://example.com/huge')).toBe(false);
+      expect(report).toMatchObject({ pages: 2, violations: 2, failed: 1 });
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Crawler utility tests
+ * @fileoverview Unit tests for link extraction and sitemap generation in crawl mode
+ */
+
+import { extractLinks, buildSitemapXml } from '@/utils/crawler.js';
+
+// Mock the config
+jest.mock('@/config/index.js', () => ({
+  appConfig: {
+    isDevelopment: false,
+    isProduction: false,
+    logging: { level: 'error' },
+    crawl: { maxDepth: 3, maxPages: 500, requestDelayMs: 0 },
+  },
+}));
+
+describe('Crawler Utils', () => {
+  describe('extractLinks', () => {
+    it('should extract links with their nofollow flag', () => {
+      const html = `<!DOCTYPE html>
+        <html><body>
+          <a href="/about">About</a>
+          <a href="/login" rel="nofollow noopener">Login</a>
+          <map><area href="/zone" shape="rect"></map>
+          <a name="anchor">No href</a>
+        </body></html>`;
+
+      expect(extractLinks(html).links).toEqual([
+        { href: '/about', nofollow: false },
+        { href: '/login', nofollow: true },
+        { href: '/zone', nofollow: false },
+      ]);
+    });
+
+    it('should read the base URL and the meta robots nofollow directive', () => {
+      const html = '<head><base href="/docs/"><meta name="Robots" content="noindex, nofollow"></head><a href="intro">Intro</a>';
+
+      expect(extractLinks(html)).toEqual({
+        links: [{ href: 'intro', nofollow: false }],
+        baseHref: '/docs/',
+        nofollow: true,
+      });
+    });
+
+    it('should survive malformed markup and ignore links written by scripts', () => {
+      const html = '<p>Unclosed <b>tags<a href="/a?x=1&y=2">A</a><script>document.write("<a href=/b>")</script><a href=/c>C</a>';
+
+      expect(extractLinks(html).links.map(link => link.href)).toEqual(['/a?x=1&y=2', '/c']);
+    });
+  });
+
+  describe('buildSitemapXml', () => {
+    it('should build an escaped urlset with optional lastmod', () => {
+      const xml = buildSitemapXml([
+        { loc: 'https://example.com/', lastmod: '2024-01-15T10:00:00.000Z' },
+        { loc: 'https://example.com/search?q=a&page=2' },
+      ]);
+
+      expect(xml).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+      expect(xml).toContain('<lastmod>2024-01-15T10:00:00.000Z</lastmod>');
+      expect(xml).toContain('<loc>https://example.com/search?q=a&amp;page=2</loc>');
+      expect(xml.match(/<url>/g)).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Site credentials utility tests
+ * @fileoverview Unit tests for credential encryption and the request headers sent to staging sites
+ */
+
+import {
+  encryptCredentials,
+  decryptCredentials,
+  buildCredentialHeaders,
+  describeCredentials,
+} from '@/utils/credentials.js';
+
+// Mock the config
+jest.mock('@/config/index.js', () => ({
+  appConfig: {
+    isDevelopment: false,
+    isProduction: false,
+    logging: { level: 'error' },
+    credentials: { encryptionKey: 'test-credentials-encryption-key-32-chars' },
+  },
+}));
+
+describe('Credentials Utils', () => {
+  const credentials = {
+    basicAuth: { username: 'preview', password: 's3cret' },
+    headers: { 'X-Staging-Token': 'abc' },
+    cookies: { session: 'xyz', lang: 'fr' },
+  };
+
+  describe('encryptCredentials / decryptCredentials', () => {
+    it('should round-trip credentials without storing them in clear', () => {
+      const payload = encryptCredentials(credentials);
+
+      expect(payload.startsWith('v1:')).toBe(true);
+      expect(payload).not.toContain('s3cret');
+      expect(decryptCredentials(payload)).toEqual(credentials);
+    });
+
+    it('should use a new IV for every encryption', () => {
+      expect(encryptCredentials(credentials)).not.toBe(encryptCredentials(credentials));
+    });
+
+    it('should reject tampered payloads', () => {
+      const [version, iv, tag, ciphertext] = encryptCredentials(credentials).split(':');
+      const tampered = Buffer.from(ciphertext, 'base64');
+      tampered[0] ^= 1;
+
+      expect(() => decryptCredentials([version, iv, tag, tampered.toString('base64')].join(':')))
+        .toThrow('Stored credentials could not be decrypted');
+      expect(() => decryptCredentials('plain-text')).toThrow('Unsupported credentials payload');
+    });
+  });
+
+  describe('buildCredentialHeaders', () => {
+    it('should build basic auth, cookie and custom headers', () => {
+      expect(buildCredentialHeaders(credentials)).toEqual({
+        'X-Staging-Token': 'abc',
+        Authorization: `Basic ${Buffer.from('preview:s3cret').toString('base64')}`,
+        Cookie: 'session=xyz; lang=fr',
+      });
+    });
+
+    it('should only set the headers of the credentials given', () => {
+      expect(buildCredentialHeaders({ cookies: { sso: '1' } })).toEqual({ Cookie: 'sso=1' });
+    });
+  });
+
+  describe('describeCredentials', () => {
+    it('should describe credentials without their secrets', () => {
+      expect(describeCredentials(credentials)).toEqual({
+        basicAuth: true,
+        headers: ['X-Staging-Token'],
+        cookies: ['session', 'lang'],
+      });
+    });
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * CSS validator utility tests
+ * @fileoverview Unit tests for the discovery of stylesheets and <style> blocks in pages
+ */
+
+import { extractStylesheets } from '@/utils/cssValidator.js';
+
+// Mock the config
+jest.mock('@/config/index.js', () => ({
+  appConfig: {
+    isDevelopment: false,
+    isProduction: false,
+    logging: { level: 'error' },
+    css: { validatorUrl: 'https://jigsaw.w3.org/css-validator/validator', profile: 'css3svg', requestIntervalMs: 1000 },
+    outbound: { allowedPorts: [80, 443], allowlist: [], maxResponseBytes: 10485760 },
+  },
+}));
+
+describe('CSS Validator Utils', () => {
+  describe('extractStylesheets', () => {
+    it('should find linked stylesheets but not other links', () => {
+      const html = `<head>
+        <link rel="stylesheet" href="/main.css">
+        <link rel="alternate stylesheet" href="print.css">
+        <link rel="icon" href="/favicon.ico">
+      </head>`;
+
+      expect(extractStylesheets(html).stylesheets).toEqual(['/main.css', 'print.css']);
+    });
+
+    it('should keep the line of each non-empty <style> block', () => {
+      const html = '<!doctype html>\n<html><head>\n<style>\na { colr: red }\n</style>\n<style></style>\n</head></html>';
+
+      expect(extractStylesheets(html).styleBlocks).toEqual([{ css: '\na { colr: red }\n', line: 3 }]);
+    });
+
+    it('should return the <base href> used to resolve stylesheet URLs', () => {
+      expect(extractStylesheets('<base href="https://cdn.example.com/"><link rel=stylesheet href="a.css">')).toEqual({
+        stylesheets: ['a.css'],
+        styleBlocks: [],
+        baseHref: 'https://cdn.example.com/',
+      });
+    });
+  });
+});
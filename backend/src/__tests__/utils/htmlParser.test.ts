@@ -0,0 +1,41 @@
+/**
+ * HTML parser tests
+ * @fileoverview Unit tests for the lenient SAX parsing of real-world HTML
+ */
+
+import { parseHtml } from '@/utils/htmlParser.js';
+
+describe('HTML Parser', () => {
+  describe('parseHtml', () => {
+    it('should keep parsing after malformed markup and report top-level siblings', () => {
+      const tags = [];
+      let text = '';
+
+      parseHtml('<P>One <b>two</p></i><img src="a.png"><p>four', {
+        onopentag: (tag) => tags.push(tag.name),
+        ontext: (chunk) => {
+          text += chunk;
+        },
+      });
+
+      expect(tags[0]).toBe('document-root');
+      expect(tags).toContain('b');
+      expect(tags).toContain('img');
+      expect(text).toContain('four');
+    });
+
+    it('should give handlers the parser and its position', () => {
+      const lines = [];
+
+      parseHtml('<p>\n<style>a {}</style>', {
+        onopentag: (tag, parser) => {
+          if (tag.name === 'style') {
+            lines.push(parser.line);
+          }
+        },
+      });
+
+      expect(lines).toEqual([1]);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Incremental scan tests
+ * @fileoverview Unit tests for deciding which URLs are re-validated in incremental scans
+ */
+
+import { planIncrementalScan, toLastmodDate } from '@/utils/incrementalScan.js';
+
+const previousResults = [
+  { url: 'https://example.com/', lastmod: new Date('2024-01-01T00:00:00Z'), etag: '"a1"', contentHash: null, errors: [] },
+  { url: 'https://example.com/blog', lastmod: new Date('2024-01-01T00:00:00Z'), etag: null, contentHash: 'h1', errors: [] },
+  { url: 'https://example.com/about', lastmod: null, etag: null, contentHash: null, errors: [] },
+  { url: 'https://example.com/down', lastmod: null, etag: null, contentHash: null, errors: [{ type: 'validation_error' }] },
+  { url: 'https://example.com/removed', lastmod: null, etag: null, contentHash: null, errors: [] },
+];
+
+describe('Incremental Scan', () => {
+  describe('toLastmodDate', () => {
+    it('should parse W3C datetimes and ignore invalid values', () => {
+      expect(toLastmodDate('2024-01-15')?.toISOString()).toBe('2024-01-15T00:00:00.000Z');
+      expect(toLastmodDate('yesterday')).toBeNull();
+      expect(toLastmodDate(undefined)).toBeNull();
+    });
+  });
+
+  describe('planIncrementalScan', () => {
+    it('should only re-validate new, updated and previously failed URLs', () => {
+      const urls = [
+        'https://example.com/',
+        'https://example.com/blog',
+        'https://example.com/about',
+        'https://example.com/down',
+        'https://example.com/new',
+      ];
+
+      const { toValidate, inherited, report } = planIncrementalScan(urls, {
+        lastmods: {
+          'https://example.com/': '2024-01-01T00:00:00Z',
+          'https://example.com/blog': '2024-02-01',
+        },
+        previousResults,
+      });
+
+      expect(toValidate).toEqual([
+        'https://example.com/blog',
+        'https://example.com/about',
+        'https://example.com/down',
+        'https://example.com/new',
+      ]);
+      expect(inherited.map(({ url }) => url)).toEqual(['https://example.com/']);
+      expect(report).toEqual({
+        previousUrls: 5,
+        validatedUrls: 4,
+        inheritedUrls: 1,
+        removedUrls: 1,
+        reasons: { new: 1, lastmodChanged: 1, contentChanged: 0, noChangeSignal: 1, previousFailed: 1 },
+      });
+    });
+
+    it('should compare ETags and content hashes when fingerprints are given', () => {
+      const urls = ['https://example.com/', 'https://example.com/blog', 'https://example.com/about'];
+      const fingerprints = new Map([
+        ['https://example.com/', { etag: '"a2"', contentHash: 'x', notModified: false }],
+        ['https://example.com/blog', { etag: null, contentHash: 'h1', notModified: false }],
+        ['https://example.com/about', { etag: null, contentHash: null, notModified: true }],
+      ]);
+
+      const { toValidate, report } = planIncrementalScan(urls, { previousResults, fingerprints });
+
+      expect(toValidate).toEqual(['https://example.com/']);
+      expect(report.reasons.contentChanged).toBe(1);
+      expect(report.inheritedUrls).toBe(2);
+    });
+
+    it('should validate every URL when there is no previous scan', () => {
+      const { toValidate, report } = planIncrementalScan(['https://example.com/'], { previousResults: [] });
+
+      expect(toValidate).toEqual(['https://example.com/']);
+      expect(report.reasons.new).toBe(1);
+    });
+  });
+});
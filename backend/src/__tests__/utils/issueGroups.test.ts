@@ -0,0 +1,75 @@
+/**
+ * Issue grouping utility tests
+ * @fileoverview Unit tests for the fingerprinting and grouping of validator messages across pages
+ */
+
+import {
+  normalizeIssueMessage,
+  normalizeIssueExtract,
+  fingerprintIssue,
+  groupIssues,
+} from '@/utils/issueGroups.js';
+
+const headerError = {
+  type: 'error',
+  message: 'Stray end tag “div”.',
+  extract: '</nav>\n</div></header>',
+  severity: 'medium',
+};
+
+describe('Issue Grouping Utils', () => {
+  describe('normalizeIssueMessage', () => {
+    it('should replace quoted values but keep element and attribute names', () => {
+      expect(normalizeIssueMessage('Bad value “/a b?id=3” for attribute “href” on element “a”.'))
+        .toBe('Bad value “…” for attribute “href” on element “a”.');
+      expect(normalizeIssueMessage('Element “h1” not allowed as child of element “span”.'))
+        .toBe('Element “h1” not allowed as child of element “span”.');
+    });
+  });
+
+  describe('normalizeIssueExtract', () => {
+    it('should collapse whitespace, attribute values and numbers', () => {
+      expect(normalizeIssueExtract('<div  id="item-12">\n <p>Item 42</p>')).toBe('<div id=""> <p>Item #</p>');
+    });
+  });
+
+  describe('fingerprintIssue', () => {
+    it('should give the same fingerprint to the same issue on different pages', () => {
+      expect(fingerprintIssue({ ...headerError, extract: '</nav>  </div></header>' })).toBe(fingerprintIssue(headerError));
+      expect(fingerprintIssue({ ...headerError, type: 'info' })).not.toBe(fingerprintIssue(headerError));
+    });
+  });
+
+  describe('groupIssues', () => {
+    const results = [
+      { url: 'https://example.com/', errors: [headerError, headerError], warnings: [] },
+      { url: 'https://example.com/a', errors: [headerError, { type: 'http', message: 'HTTP 404' }], warnings: [] },
+      { url: 'https://example.com/b', errors: [{ type: 'error', message: 'Fatal', severity: 'critical' }], warnings: [] },
+      {
+        url: 'https://example.com/c',
+        errors: [headerError],
+        warnings: [],
+        failureCategory: 'target_timeout',
+      },
+    ];
+
+    it('should count occurrences and affected pages of each issue, most impactful first', () => {
+      const groups = groupIssues(results);
+
+      expect(groups).toHaveLength(2);
+      expect(groups[0]).toMatchObject({
+        type: 'error',
+        message: 'Stray end tag “div”.',
+        occurrences: 3,
+        pages: 2,
+        sampleUrls: ['https://example.com/', 'https://example.com/a'],
+        impact: 4,
+      });
+      expect(groups[1]).toMatchObject({ severity: 'critical', pages: 1, impact: 4, occurrences: 1 });
+    });
+
+    it('should limit the sample URLs of a group', () => {
+      expect(groupIssues(results, { sampleSize: 1 })[0].sampleUrls).toEqual(['https://example.com/']);
+    });
+  });
+});
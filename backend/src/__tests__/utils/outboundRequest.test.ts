@@ -0,0 +1,64 @@
+/**
+ * Outbound request guard tests
+ * @fileoverview Unit tests for refusing private networks, protocols and ports in customer URLs
+ */
+
+import { assertOutboundUrl, isBlockedAddress } from '@/utils/outboundRequest.js';
+
+// Mock the config
+jest.mock('@/config/index.js', () => ({
+  appConfig: {
+    isDevelopment: false,
+    isProduction: false,
+    logging: { level: 'error' },
+    outbound: {
+      allowedPorts: [80, 443, 8080, 8443],
+      allowlist: ['10.1.0.0/16', 'intranet.local', '*.corp.example'],
+      maxResponseBytes: 10485760,
+    },
+  },
+}));
+
+describe('Outbound Request Guard', () => {
+  describe('isBlockedAddress', () => {
+    it('should block private, loopback, link-local and metadata addresses', () => {
+      expect(isBlockedAddress('127.0.0.1')).toBe(true);
+      expect(isBlockedAddress('10.0.0.1')).toBe(true);
+      expect(isBlockedAddress('172.20.1.1')).toBe(true);
+      expect(isBlockedAddress('192.168.1.1')).toBe(true);
+      expect(isBlockedAddress('169.254.169.254')).toBe(true);
+      expect(isBlockedAddress('::1')).toBe(true);
+      expect(isBlockedAddress('fd00:ec2::254')).toBe(true);
+      expect(isBlockedAddress('fe80::1')).toBe(true);
+      expect(isBlockedAddress('::ffff:127.0.0.1')).toBe(true);
+    });
+
+    it('should allow public and allowlisted addresses', () => {
+      expect(isBlockedAddress('93.184.216.34')).toBe(false);
+      expect(isBlockedAddress('2606:2800:220:1:248:1893:25c8:1946')).toBe(false);
+      expect(isBlockedAddress('10.1.2.3')).toBe(false);
+    });
+  });
+
+  describe('assertOutboundUrl', () => {
+    it('should refuse URLs targeting internal addresses', async () => {
+      await expect(assertOutboundUrl('http://127.0.0.1/sitemap.xml')).rejects.toThrow('not allowed');
+      await expect(assertOutboundUrl('http://[::1]/')).rejects.toThrow('not allowed');
+      await expect(assertOutboundUrl('http://169.254.169.254/latest/meta-data/')).rejects.toThrow('not allowed');
+      await expect(assertOutboundUrl('http://[::ffff:127.0.0.1]/')).rejects.toThrow('not allowed');
+    });
+
+    it('should refuse other protocols and ports', async () => {
+      await expect(assertOutboundUrl('ftp://93.184.216.34/sitemap.xml')).rejects.toThrow('ftp: URLs are not allowed');
+      await expect(assertOutboundUrl('http://93.184.216.34:6379/')).rejects.toThrow('port 6379');
+    });
+
+    it('should accept public and allowlisted destinations', async () => {
+      await expect(assertOutboundUrl('https://93.184.216.34/sitemap.xml')).resolves.toBe('https://93.184.216.34/sitemap.xml');
+      await expect(assertOutboundUrl('http://93.184.216.34:8080/')).resolves.toBe('http://93.184.216.34:8080/');
+      await expect(assertOutboundUrl('http://10.1.0.5:3000/sitemap.xml')).resolves.toBe('http://10.1.0.5:3000/sitemap.xml');
+      await expect(assertOutboundUrl('http://intranet.local/')).resolves.toBe('http://intranet.local/');
+      await expect(assertOutboundUrl('http://docs.corp.example/')).resolves.toBe('http://docs.corp.example/');
+    });
+  });
+});
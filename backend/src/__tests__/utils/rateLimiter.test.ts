@@ -0,0 +1,46 @@
+/**
+ * Rate limiter utility tests
+ * @fileoverview Unit tests for the handling of 429/503 answers by the shared rate limiter
+ */
+
+import { parseRetryAfter, createResponseError } from '@/utils/rateLimiter.js';
+
+// Mock the config
+jest.mock('@/config/index.js', () => ({
+  appConfig: {
+    isDevelopment: false,
+    isProduction: false,
+    logging: { level: 'error' },
+    redis: { url: 'redis://localhost:6379' },
+  },
+}));
+
+describe('Rate Limiter Utils', () => {
+  describe('parseRetryAfter', () => {
+    it('should read a delay in seconds', () => {
+      expect(parseRetryAfter('120')).toBe(120000);
+    });
+
+    it('should read an HTTP date relative to now', () => {
+      expect(parseRetryAfter('Thu, 01 Jan 1970 00:00:05 GMT', 1000)).toBe(4000);
+      expect(parseRetryAfter('Thu, 01 Jan 1970 00:00:05 GMT', 9000)).toBe(0);
+    });
+
+    it('should ignore a missing or invalid header', () => {
+      expect(parseRetryAfter(null)).toBeNull();
+      expect(parseRetryAfter('later')).toBeNull();
+    });
+  });
+
+  describe('createResponseError', () => {
+    it('should keep the status and Retry-After of the response', () => {
+      const response = { status: 429, headers: new Headers({ 'Retry-After': '2' }) };
+
+      expect(createResponseError('Too many requests', response)).toMatchObject({
+        message: 'Too many requests',
+        status: 429,
+        retryAfterMs: 2000,
+      });
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * robots.txt utility tests
+ * @fileoverview Unit tests for robots.txt parsing and path rules
+ */
+
+import { parseRobotsTxt, isPathAllowed } from '@/utils/robots.js';
+
+// Mock the config
+jest.mock('@/config/index.js', () => ({
+  appConfig: {
+    isDevelopment: false,
+    isProduction: false,
+    logging: { level: 'error' },
+  },
+}));
+
+describe('robots.txt Utils', () => {
+  const origin = 'https://example.com';
+
+  describe('parseRobotsTxt', () => {
+    it('should extract sitemap directives case-insensitively', () => {
+      const robots = [
+        'User-agent: *',
+        'Disallow: /admin',
+        'Sitemap: https://example.com/sitemap_index.xml',
+        'SITEMAP: https://cdn.example.com/sitemap-news.xml # news',
+      ].join('\n');
+
+      expect(parseRobotsTxt(robots, origin).sitemaps).toEqual([
+        'https://example.com/sitemap_index.xml',
+        'https://cdn.example.com/sitemap-news.xml',
+      ]);
+    });
+
+    it('should resolve relative sitemap URLs against the origin', () => {
+      expect(parseRobotsTxt('Sitemap: /sitemap.xml', origin).sitemaps).toEqual([
+        'https://example.com/sitemap.xml',
+      ]);
+    });
+
+    it('should ignore duplicates, comments and empty values', () => {
+      const robots = 'Sitemap: /a.xml\r\nsitemap: /a.xml\r\n# Sitemap: /b.xml\r\nSitemap:\r\n';
+
+      expect(parseRobotsTxt(robots, origin).sitemaps).toEqual(['https://example.com/a.xml']);
+    });
+
+    it('should return the rules of the groups naming the bot', () => {
+      const robots = [
+        'User-agent: *',
+        'Disallow: /',
+        '',
+        'User-agent: Googlebot',
+        'User-agent: W3C-Checker-Bot',
+        'Disallow: /admin',
+        'Allow: /admin/public',
+      ].join('\n');
+
+      expect(parseRobotsTxt(robots, origin).rules).toEqual([
+        { type: 'disallow', path: '/admin' },
+        { type: 'allow', path: '/admin/public' },
+      ]);
+    });
+
+    it('should fall back to the * group and ignore empty disallow rules', () => {
+      const robots = 'User-agent: other\nDisallow: /\n\nUser-agent: *\nDisallow:\nDisallow: /tmp';
+
+      expect(parseRobotsTxt(robots, origin).rules).toEqual([{ type: 'disallow', path: '/tmp' }]);
+    });
+  });
+
+  describe('isPathAllowed', () => {
+    it('should apply the longest matching rule, allow winning ties', () => {
+      const rules = [
+        { type: 'disallow', path: '/admin' },
+        { type: 'allow', path: '/admin/public' },
+        { type: 'disallow', path: '/page' },
+        { type: 'allow', path: '/page' },
+      ];
+
+      expect(isPathAllowed(rules, '/admin/users')).toBe(false);
+      expect(isPathAllowed(rules, '/admin/public/docs')).toBe(true);
+      expect(isPathAllowed(rules, '/page')).toBe(true);
+      expect(isPathAllowed(rules, '/about')).toBe(true);
+    });
+
+    it('should support * wildcards and $ anchors', () => {
+      const rules = [
+        { type: 'disallow', path: '/*.php$' },
+        { type: 'disallow', path: '/*?sort=' },
+      ];
+
+      expect(isPathAllowed(rules, '/index.php')).toBe(false);
+      expect(isPathAllowed(rules, '/index.php?id=1')).toBe(true);
+      expect(isPathAllowed(rules, '/products?sort=price')).toBe(false);
+    });
+  });
+});
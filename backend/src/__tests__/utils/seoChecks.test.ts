@@ -0,0 +1,104 @@
+/**
+ * SEO check tests
+ * @fileoverview Unit tests for the on-page SEO data read from HTML and the rules run across a scan
+ */
+
+import { extractSeoData, getPageSeoIssues, auditSeo } from '@/utils/seoChecks.js';
+
+const seoData = (overrides = {}) => ({
+  title: 'Page',
+  description: 'A page',
+  h1Count: 1,
+  canonical: null,
+  noindex: false,
+  lang: 'en',
+  ...overrides,
+});
+
+describe('SEO Checks', () => {
+  describe('extractSeoData', () => {
+    it('should read the title, description, headings, canonical URL and language', () => {
+      const seo = extractSeoData(
+        `<!DOCTYPE html><html lang="fr"><head>
+          <title>  Accueil
+            du site </title>
+          <meta name="Description" content="Bienvenue">
+          <link rel="canonical" href="/accueil">
+        </head><body><h1>Accueil</h1><h1>Encore</h1></body></html>`,
+        { url: 'https://example.com/index.html' }
+      );
+
+      expect(seo).toEqual({
+        title: 'Accueil du site',
+        description: 'Bienvenue',
+        h1Count: 2,
+        canonical: 'https://example.com/accueil',
+        noindex: false,
+        lang: 'fr',
+      });
+    });
+
+    it('should skip titles of inline SVG images', () => {
+      const seo = extractSeoData('<body><svg><title>Icon</title></svg><p>Text</p></body>');
+
+      expect(seo.title).toBeNull();
+      expect(seo.lang).toBeNull();
+      expect(seo.h1Count).toBe(0);
+    });
+
+    it('should read noindex from robots meta tags and the X-Robots-Tag header', () => {
+      expect(extractSeoData('<meta name="robots" content="noindex, follow">').noindex).toBe(true);
+      expect(extractSeoData('<title>Page</title>', { robotsHeader: 'none' }).noindex).toBe(true);
+      expect(extractSeoData('<meta name="robots" content="index, follow">').noindex).toBe(false);
+    });
+  });
+
+  describe('getPageSeoIssues', () => {
+    it('should not report pages following every rule', () => {
+      expect(getPageSeoIssues('https://example.com/', seoData({ canonical: 'https://example.com/#top' }))).toEqual([]);
+    });
+
+    it('should report missing data and canonical URLs pointing elsewhere', () => {
+      const issues = getPageSeoIssues('https://example.com/a', seoData({
+        title: null,
+        description: null,
+        h1Count: 0,
+        canonical: 'https://example.com/b',
+        lang: null,
+      }));
+
+      expect(issues.map(issue => issue.rule))
+        .toEqual(['title_missing', 'description_missing', 'h1_missing', 'canonical_mismatch', 'lang_missing']);
+      expect(issues[0]).toMatchObject({ type: 'seo', severity: 'high' });
+    });
+
+    it('should only report noindex pages listed in a sitemap', () => {
+      const seo = seoData({ noindex: true });
+
+      expect(getPageSeoIssues('https://example.com/', seo).map(issue => issue.rule)).toEqual(['noindex']);
+      expect(getPageSeoIssues('https://example.com/', seo, { inSitemap: false })).toEqual([]);
+    });
+  });
+
+  describe('auditSeo', () => {
+    it('should report duplicate titles and descriptions on each page and in the scan report', () => {
+      const { pages, report } = auditSeo(new Map([
+        ['https://example.com/a', seoData({ title: 'Shop' })],
+        ['https://example.com/b', seoData({ title: 'Shop', description: 'Other' })],
+        ['https://example.com/c', seoData({ title: 'Contact', description: 'Other', h1Count: 2 })],
+      ]));
+
+      expect(pages.get('https://example.com/a').map(issue => issue.rule)).toEqual(['title_duplicate']);
+      expect(pages.get('https://example.com/c').map(issue => issue.rule)).toEqual(['description_duplicate', 'h1_multiple']);
+      expect(report).toMatchObject({
+        pages: 3,
+        pagesWithIssues: 3,
+        issues: { title_duplicate: 2, description_duplicate: 2, h1_multiple: 1, title_missing: 0 },
+      });
+      expect(report.duplicates.titles).toEqual([
+        { value: 'Shop', pages: 2, sampleUrls: ['https://example.com/a', 'https://example.com/b'] },
+      ]);
+      expect(report.duplicates.descriptions[0]).toMatchObject({ value: 'Other', pages: 2 });
+    });
+  });
+});
@@ -0,0 +1,243 @@
+/**
+ * Sitemap utility tests
+ * @fileoverview Unit tests for sitemap parsing and streaming extraction
+ */
+
+import { gzipSync } from 'zlib';
+import { parseSitemap, fetchSitemap, isGzipBuffer, validateAndParseSitemap } from '@/utils/sitemap.js';
+import { createSitemapParser, createTextSitemapParser, isPlainTextSitemap } from '@/utils/sitemapParser.js';
+
+// Mock the config
+jest.mock('@/config/index.js', () => ({
+  appConfig: {
+    isDevelopment: false,
+    isProduction: false,
+    logging: { level: 'error' },
+    w3c: { maxSitemapUrls: 10000 },
+    sitemap: { indexMaxDepth: 3, indexMaxChildren: 50, maxSizeBytes: 52428800 },
+    outbound: { allowedPorts: [80, 443], allowlist: [], maxResponseBytes: 10485760 },
+  },
+}));
+
+describe('Sitemap Utils', () => {
+  describe('parseSitemap', () => {
+    it('should extract page URLs from a urlset', async () => {
+      const xml = `<?xml version="1.0" encoding="UTF-8"?>
+        <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+          <url><loc>https://example.com/</loc></url>
+          <url><loc>https://example.com/about</loc></url>
+          <url><loc>https://example.com/about</loc></url>
+        </urlset>`;
+
+      const parsed = await parseSitemap(xml);
+
+      expect(parsed.type).toBe('urlset');
+      expect(parsed.urls).toEqual(['https://example.com/', 'https://example.com/about']);
+      expect(parsed.sitemaps).toEqual([]);
+    });
+
+    it('should return child sitemaps of a sitemap index instead of page URLs', async () => {
+      const xml = `<?xml version="1.0" encoding="UTF-8"?>
+        <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+          <sitemap><loc>https://example.com/sitemap-posts.xml</loc></sitemap>
+          <sitemap><loc>https://example.com/sitemap-pages.xml</loc></sitemap>
+        </sitemapindex>`;
+
+      const parsed = await parseSitemap(xml);
+
+      expect(parsed.type).toBe('sitemapindex');
+      expect(parsed.urls).toEqual([]);
+      expect(parsed.sitemaps).toEqual([
+        'https://example.com/sitemap-posts.xml',
+        'https://example.com/sitemap-pages.xml',
+      ]);
+    });
+
+    it('should ignore non-HTTP locations', async () => {
+      const xml = `<urlset>
+          <url><loc>ftp://example.com/file</loc></url>
+          <url><loc>https://example.com/</loc></url>
+        </urlset>`;
+
+      const parsed = await parseSitemap(xml);
+
+      expect(parsed.urls).toEqual(['https://example.com/']);
+    });
+
+    it('should extract item links from an RSS feed', async () => {
+      const xml = `<?xml version="1.0"?>
+        <rss version="2.0"><channel>
+          <title>Blog</title>
+          <link>https://example.com/</link>
+          <item><link>https://example.com/post-1</link></item>
+          <item><link>https://example.com/post-2</link></item>
+        </channel></rss>`;
+
+      const parsed = await parseSitemap(xml);
+
+      expect(parsed.type).toBe('rss');
+      expect(parsed.urls).toEqual(['https://example.com/post-1', 'https://example.com/post-2']);
+    });
+
+    it('should extract alternate entry links from an Atom feed', async () => {
+      const xml = `<feed xmlns="http://www.w3.org/2005/Atom">
+          <link rel="self" href="https://example.com/atom.xml"/>
+          <entry>
+            <link rel="edit" href="https://example.com/api/1"/>
+            <link href="https://example.com/post-1"/>
+          </entry>
+          <entry><link rel="alternate" href="https://example.com/post-2"/></entry>
+        </feed>`;
+
+      const parsed = await parseSitemap(xml);
+
+      expect(parsed.type).toBe('atom');
+      expect(parsed.urls).toEqual(['https://example.com/post-1', 'https://example.com/post-2']);
+    });
+
+    it('should extract one URL per line from a plain-text sitemap', async () => {
+      const parsed = await parseSitemap('https://example.com/\r\n\nhttps://example.com/about\n');
+
+      expect(parsed.type).toBe('text');
+      expect(parsed.urls).toEqual(['https://example.com/', 'https://example.com/about']);
+    });
+
+    it('should reject documents that are not sitemaps', async () => {
+      await expect(parseSitemap('<html><body></body></html>')).rejects.toThrow(
+        'Failed to extract URLs from sitemap'
+      );
+    });
+  });
+
+  describe('isPlainTextSitemap', () => {
+    it('should detect text content regardless of leading whitespace or BOM', () => {
+      expect(isPlainTextSitemap('\uFEFF  https://example.com/')).toBe(true);
+      expect(isPlainTextSitemap('\n<?xml version="1.0"?>')).toBe(false);
+      expect(isPlainTextSitemap('')).toBe(false);
+    });
+  });
+
+  describe('fetchSitemap', () => {
+    it('should report why the sitemap could not be fetched', async () => {
+      await expect(fetchSitemap('http://127.0.0.1/sitemap.xml'))
+        .rejects.toThrow(/^Failed to fetch sitemap: .*127\.0\.0\.1/);
+    });
+  });
+
+  describe('isGzipBuffer', () => {
+    it('should detect gzip magic bytes', () => {
+      expect(isGzipBuffer(gzipSync('<urlset></urlset>'))).toBe(true);
+    });
+
+    it('should not flag plain XML as gzip', () => {
+      expect(isGzipBuffer(Buffer.from('<?xml version="1.0"?><urlset></urlset>'))).toBe(false);
+      expect(isGzipBuffer(Buffer.alloc(0))).toBe(false);
+    });
+  });
+
+  describe('createSitemapParser', () => {
+    it('should emit entries incrementally across chunk boundaries', () => {
+      const parser = createSitemapParser();
+
+      parser.write('<urlset><url><loc>https://exa');
+      expect(parser.takeEntries()).toEqual([]);
+
+      parser.write('mple.com/a</loc><lastmod>2024-01-01</lastmod></url><url><loc>');
+      expect(parser.takeEntries()).toEqual([
+        { kind: 'url', loc: 'https://example.com/a', lastmod: '2024-01-01' },
+      ]);
+
+      parser.write('https://example.com/b</loc></url></urlset>');
+      parser.close();
+      expect(parser.takeEntries()).toEqual([{ kind: 'url', loc: 'https://example.com/b' }]);
+      expect(parser.getRootType()).toBe('urlset');
+    });
+
+    it('should ignore extension elements nested inside entries', () => {
+      const parser = createSitemapParser();
+
+      parser.write(`<urlset><url><loc>https://example.com/</loc>
+        <image:image><image:loc>https://example.com/logo.png</image:loc></image:image>
+      </url></urlset>`);
+      parser.close();
+
+      expect(parser.takeEntries()).toEqual([{ kind: 'url', loc: 'https://example.com/' }]);
+    });
+
+    it('should record unescaped entities without aborting', () => {
+      const parser = createSitemapParser();
+
+      parser.write(`<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+        <url><loc>https://example.com/?a=1&b=2</loc></url>
+      </urlset>`);
+      parser.close();
+
+      expect(parser.takeEntries()).toHaveLength(1);
+      expect(parser.getRootNamespace()).toBe('http://www.sitemaps.org/schemas/sitemap/0.9');
+      expect(parser.getEntityErrors()).toEqual({ count: 1, lines: [2] });
+    });
+
+    it('should convert RSS publication dates to W3C Datetime', () => {
+      const parser = createSitemapParser();
+
+      parser.write(`<rss><channel><item>
+        <link>https://example.com/post</link>
+        <pubDate>Tue, 10 Jun 2003 04:00:00 GMT</pubDate>
+      </item></channel></rss>`);
+      parser.close();
+
+      expect(parser.takeEntries()).toEqual([
+        { kind: 'url', loc: 'https://example.com/post', lastmod: '2003-06-10T04:00:00.000Z' },
+      ]);
+    });
+
+    it('should fail on malformed XML', () => {
+      const parser = createSitemapParser();
+
+      expect(() => parser.write('<urlset><url></urlset>')).toThrow('XML parsing failed');
+    });
+  });
+
+  describe('createTextSitemapParser', () => {
+    it('should emit lines split across chunk boundaries', () => {
+      const parser = createTextSitemapParser();
+
+      parser.write('https://example.com/a\nhttps://exa');
+      expect(parser.takeEntries()).toEqual([{ kind: 'url', loc: 'https://example.com/a' }]);
+
+      parser.write('mple.com/b');
+      parser.close();
+      expect(parser.takeEntries()).toEqual([{ kind: 'url', loc: 'https://example.com/b' }]);
+      expect(parser.getRootType()).toBe('text');
+    });
+
+    it('should reject empty documents', () => {
+      const parser = createTextSitemapParser();
+
+      parser.write('\n  \n');
+      expect(() => parser.close()).toThrow('Empty sitemap content');
+    });
+  });
+
+  describe('validateAndParseSitemap with uploaded content', () => {
+    it('should parse a gzipped sitemap file without fetching it', async () => {
+      const xml = `<?xml version="1.0" encoding="UTF-8"?>
+        <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+          <url><loc>https://example.com/</loc></url>
+          <url><loc>https://example.com/about</loc></url>
+        </urlset>`;
+
+      const result = await validateAndParseSitemap('sitemap.xml.gz', { content: gzipSync(xml) });
+
+      expect(result.urls).toEqual(['https://example.com/', 'https://example.com/about']);
+    });
+
+    it('should parse a pasted URL list as a text sitemap', async () => {
+      const content = Buffer.from('https://example.com/\nhttps://example.com/contact\n');
+
+      const result = await validateAndParseSitemap('https://example.com', { content });
+
+      expect(result.urls).toEqual(['https://example.com/', 'https://example.com/contact']);
+    });
+  });
+});
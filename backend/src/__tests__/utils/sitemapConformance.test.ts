@@ -0,0 +1,130 @@
+/**
+ * Sitemap conformance tests
+ * @fileoverview Unit tests for sitemaps.org protocol conformance checks
+ */
+
+import {
+  createSitemapReport,
+  isW3CDatetime,
+  isInSitemapScope,
+  SITEMAP_NAMESPACE,
+} from '@/utils/sitemapConformance.js';
+
+const SITEMAP_URL = 'https://example.com/blog/sitemap.xml';
+
+describe('Sitemap Conformance', () => {
+  describe('isW3CDatetime', () => {
+    it('should accept every W3C Datetime precision', () => {
+      expect(isW3CDatetime('2024')).toBe(true);
+      expect(isW3CDatetime('2024-05')).toBe(true);
+      expect(isW3CDatetime('2024-05-17')).toBe(true);
+      expect(isW3CDatetime('2024-05-17T10:30Z')).toBe(true);
+      expect(isW3CDatetime('2024-05-17T10:30:15+02:00')).toBe(true);
+      expect(isW3CDatetime('2024-05-17T10:30:15.25-05:00')).toBe(true);
+    });
+
+    it('should reject other date formats', () => {
+      expect(isW3CDatetime('2024-13-01')).toBe(false);
+      expect(isW3CDatetime('17/05/2024')).toBe(false);
+      expect(isW3CDatetime('2024-05-17T10:30:15')).toBe(false);
+      expect(isW3CDatetime('2024-05-17 10:30:15Z')).toBe(false);
+    });
+  });
+
+  describe('isInSitemapScope', () => {
+    it('should accept URLs under the sitemap directory', () => {
+      expect(isInSitemapScope('https://example.com/blog/post-1', SITEMAP_URL)).toBe(true);
+    });
+
+    it('should reject URLs on another host, protocol or directory', () => {
+      expect(isInSitemapScope('https://other.com/blog/post-1', SITEMAP_URL)).toBe(false);
+      expect(isInSitemapScope('http://example.com/blog/post-1', SITEMAP_URL)).toBe(false);
+      expect(isInSitemapScope('https://example.com/about', SITEMAP_URL)).toBe(false);
+    });
+  });
+
+  describe('createSitemapReport', () => {
+    const now = new Date('2024-06-01T00:00:00Z');
+
+    it('should report invalid entry fields with samples', () => {
+      const report = createSitemapReport({ now });
+
+      report.checkEntry({
+        kind: 'url',
+        loc: 'https://example.com/blog/a',
+        lastmod: '2024-02-30T25:00Z',
+        changefreq: 'sometimes',
+        priority: '1.5',
+      }, SITEMAP_URL);
+      report.checkEntry({ kind: 'url', loc: 'https://example.com/blog/b', lastmod: '2025-01-01' }, SITEMAP_URL);
+
+      const { issues, summary, conforms } = report.build();
+      const codes = issues.map(issue => issue.code);
+
+      expect(conforms).toBe(false);
+      expect(codes).toEqual(['invalid_lastmod', 'invalid_changefreq', 'invalid_priority', 'future_lastmod']);
+      expect(summary.errors).toBe(3);
+      expect(summary.warnings).toBe(1);
+      expect(issues[1].samples).toEqual(['https://example.com/blog/a (sometimes)']);
+    });
+
+    it('should aggregate repeated issues per sitemap', () => {
+      const report = createSitemapReport({ now });
+
+      for (let i = 0; i < 8; i++) {
+        report.checkEntry({ kind: 'url', loc: `https://example.com/other/${i}` }, SITEMAP_URL);
+      }
+
+      const [issue] = report.build().issues;
+
+      expect(issue.code).toBe('out_of_scope');
+      expect(issue.count).toBe(8);
+      expect(issue.samples).toHaveLength(5);
+    });
+
+    it('should check document-level requirements', () => {
+      const report = createSitemapReport({ now });
+
+      report.checkDocument({
+        sitemapUrl: SITEMAP_URL,
+        type: 'urlset',
+        namespace: null,
+        entryCount: 50001,
+        size: 60 * 1024 * 1024,
+        entityErrors: { count: 3, lines: [4, 9, 12] },
+      });
+
+      const { issues, summary } = report.build();
+      const entityIssue = issues.find(issue => issue.code === 'unescaped_entity');
+
+      expect(issues.map(issue => issue.code).sort()).toEqual(
+        ['file_too_large', 'invalid_namespace', 'too_many_urls', 'unescaped_entity']
+      );
+      expect(entityIssue?.count).toBe(3);
+      expect(entityIssue?.samples).toEqual(['line 4', 'line 9', 'line 12']);
+      expect(summary.errors).toBe(6);
+    });
+
+    it('should conform when the document follows the protocol', () => {
+      const report = createSitemapReport({ now });
+
+      report.checkEntry({
+        kind: 'url',
+        loc: 'https://example.com/blog/a',
+        lastmod: '2024-05-01',
+        changefreq: 'weekly',
+        priority: '0.8',
+      }, SITEMAP_URL);
+      report.checkDocument({
+        sitemapUrl: SITEMAP_URL,
+        type: 'urlset',
+        namespace: SITEMAP_NAMESPACE,
+        entryCount: 1,
+        size: 300,
+        entityErrors: { count: 0, lines: [] },
+      });
+
+      expect(report.build()).toMatchObject({ conforms: true, issues: [] });
+    });
+  });
+});
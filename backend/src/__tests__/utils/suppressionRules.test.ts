@@ -0,0 +1,100 @@
+/**
+ * Suppression rule tests
+ * @fileoverview Unit tests for the flagging of validator messages accepted on purpose
+ */
+
+import { compileSuppressionRules, applySuppressionRules, countUnsuppressed } from '@/utils/suppressionRules.js';
+
+const widgetError = { type: 'error', message: 'Attribute “data-widget” not allowed on element “div”.', severity: 'medium' };
+const ariaWarning = { type: 'info', message: 'The “region” role is unnecessary for element “section”.', severity: 'medium' };
+const realError = { type: 'error', message: 'Stray end tag “p”.', severity: 'medium' };
+
+const rule = (overrides = {}) => ({
+  id: 1,
+  origin: null,
+  messagePattern: null,
+  urlPattern: null,
+  severity: null,
+  reason: 'Vendor widget markup',
+  ...overrides,
+});
+
+describe('Suppression Rules', () => {
+  describe('compileSuppressionRules', () => {
+    it('should skip rules with invalid or unsafe message patterns', () => {
+      const rules = compileSuppressionRules([
+        rule({ id: 1, messagePattern: '(a+)+$' }),
+        rule({ id: 2, messagePattern: '[unclosed' }),
+        rule({ id: 3, messagePattern: 'data-widget' }),
+      ]);
+
+      expect(rules.map(compiled => compiled.id)).toEqual([3]);
+    });
+  });
+
+  describe('applySuppressionRules', () => {
+    it('should flag matching messages with their rule and keep the page valid', () => {
+      const rules = compileSuppressionRules([rule({ messagePattern: 'data-widget' })]);
+      const result = applySuppressionRules(
+        { url: 'https://example.com/', isValid: false, errors: [widgetError], warnings: [ariaWarning] },
+        rules
+      );
+
+      expect(result.isValid).toBe(true);
+      expect(result.errors[0].suppressedBy).toEqual({ ruleId: 1, reason: 'Vendor widget markup' });
+      expect(result.warnings[0].suppressedBy).toBeUndefined();
+    });
+
+    it('should keep the page invalid while other errors remain', () => {
+      const rules = compileSuppressionRules([rule({ messagePattern: 'data-widget' })]);
+      const result = applySuppressionRules(
+        { url: 'https://example.com/', isValid: false, errors: [widgetError, realError], warnings: [] },
+        rules
+      );
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors[1].suppressedBy).toBeUndefined();
+    });
+
+    it('should only apply site rules and URL globs to matching pages', () => {
+      const rules = compileSuppressionRules([
+        rule({ id: 2, origin: 'https://shop.example.com', messagePattern: 'data-widget' }),
+        rule({ id: 3, urlPattern: '/legacy/**' }),
+      ]);
+
+      const page = (url: string) => applySuppressionRules({ url, isValid: false, errors: [widgetError], warnings: [] }, rules);
+
+      expect(page('https://example.com/').isValid).toBe(false);
+      expect(page('https://shop.example.com/cart').errors[0].suppressedBy.ruleId).toBe(2);
+      expect(page('https://example.com/legacy/old/page').errors[0].suppressedBy.ruleId).toBe(3);
+    });
+
+    it('should recompute flags left by rules that no longer apply', () => {
+      const flagged = { ...widgetError, suppressedBy: { ruleId: 9, reason: 'Deleted rule' } };
+      const result = applySuppressionRules({ url: 'https://example.com/', isValid: true, errors: [flagged], warnings: [] }, []);
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors[0].suppressedBy).toBeUndefined();
+    });
+
+    it('should leave HTTP issues and URLs that could not be validated as-is', () => {
+      const rules = compileSuppressionRules([rule({ severity: 'critical' })]);
+      const failed = { url: 'https://example.com/', isValid: false, errors: [], warnings: [], failureCategory: 'target_timeout' };
+      const httpIssue = { type: 'http', message: 'HTTP 404', severity: 'critical' };
+
+      expect(applySuppressionRules(failed, rules)).toBe(failed);
+      expect(applySuppressionRules({ ...failed, failureCategory: null, errors: [httpIssue] }, rules).errors[0].suppressedBy)
+        .toBeUndefined();
+    });
+  });
+
+  describe('countUnsuppressed', () => {
+    it('should count the messages not accepted on purpose', () => {
+      const suppressed = { ...ariaWarning, suppressedBy: { ruleId: 1, reason: 'Vendor widget markup' } };
+
+      expect(countUnsuppressed([ariaWarning, suppressed])).toBe(1);
+      expect(countUnsuppressed([])).toBe(0);
+      expect(countUnsuppressed(null)).toBe(0);
+    });
+  });
+});
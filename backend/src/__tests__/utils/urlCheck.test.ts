@@ -0,0 +1,95 @@
+/**
+ * URL check utility tests
+ * @fileoverview Unit tests for the HTTP issues reported before validation
+ */
+
+import {
+  isHtmlContentType,
+  getUrlCheckIssues,
+  getUrlCheckFields,
+  buildUrlCheckReport,
+} from '@/utils/urlCheck.js';
+
+// Mock the config
+jest.mock('@/config/index.js', () => ({
+  appConfig: {
+    isDevelopment: false,
+    isProduction: false,
+    logging: { level: 'error' },
+    outbound: { allowedPorts: [80, 443], allowlist: [], maxResponseBytes: 10485760 },
+  },
+}));
+
+const check = (overrides = {}) => ({
+  status: 200,
+  finalUrl: 'https://example.com/',
+  redirects: [],
+  contentType: 'text/html; charset=utf-8',
+  responseTimeMs: 120,
+  byteSize: 2048,
+  error: null,
+  timedOut: false,
+  ...overrides,
+});
+
+describe('URL Check Utils', () => {
+  describe('isHtmlContentType', () => {
+    it('should accept HTML and XHTML pages, and leave a missing type to the validator', () => {
+      expect(isHtmlContentType('text/html; charset=utf-8')).toBe(true);
+      expect(isHtmlContentType('application/xhtml+xml')).toBe(true);
+      expect(isHtmlContentType(null)).toBe(true);
+      expect(isHtmlContentType('application/pdf')).toBe(false);
+    });
+  });
+
+  describe('getUrlCheckIssues', () => {
+    it('should report nothing for an HTML page answering 200', () => {
+      expect(getUrlCheckIssues(check())).toEqual({ validatable: true, issue: null, errors: [], warnings: [] });
+    });
+
+    it('should report redirects as warnings and still validate the page', () => {
+      const issues = getUrlCheckIssues(check({
+        redirects: [{ url: 'http://example.com/', status: 301 }],
+      }));
+
+      expect(issues.validatable).toBe(true);
+      expect(issues.issue).toBe('redirect');
+      expect(issues.warnings).toEqual([
+        expect.objectContaining({ type: 'http', code: 'redirect', message: 'Redirects (301) to https://example.com/' }),
+      ]);
+    });
+
+    it('should not validate pages with an HTTP error, a timeout or another document type', () => {
+      expect(getUrlCheckIssues(check({ status: 404 }))).toMatchObject({
+        validatable: false,
+        issue: 'http_status',
+        errors: [{ type: 'http', code: 'http_status', message: 'HTTP 404', severity: 'high' }],
+      });
+      expect(getUrlCheckIssues(check({ status: null, error: 'No response', timedOut: true })).issue).toBe('timeout');
+      expect(getUrlCheckIssues(check({ contentType: 'application/pdf' })).errors[0].message)
+        .toBe('Not an HTML page (application/pdf)');
+    });
+  });
+
+  describe('getUrlCheckFields', () => {
+    it('should only store a redirect chain when the page redirected', () => {
+      expect(getUrlCheckFields(check())).toMatchObject({ httpStatus: 200, redirectChain: undefined, httpIssue: null });
+    });
+  });
+
+  describe('buildUrlCheckReport', () => {
+    it('should count issues and the URLs skipped from validation', () => {
+      const checks = new Map([
+        ['https://example.com/', check()],
+        ['https://example.com/old', check({ redirects: [{ url: 'https://example.com/old', status: 301 }], status: 410 })],
+        ['https://example.com/doc.pdf', check({ contentType: 'application/pdf' })],
+      ]);
+
+      expect(buildUrlCheckReport(checks)).toEqual({
+        checkedUrls: 3,
+        skippedUrls: 2,
+        issues: { redirect: 1, http_status: 1, not_html: 1, timeout: 0, unreachable: 0 },
+      });
+    });
+  });
+});
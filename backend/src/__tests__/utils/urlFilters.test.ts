@@ -0,0 +1,91 @@
+/**
+ * URL filter tests
+ * @fileoverview Unit tests for per-scan include/exclude rules
+ */
+
+import { applyUrlFilters, compileRule, globToRegExp, hasUrlFilters } from '@/utils/urlFilters.js';
+
+const URLS = [
+  'https://example.com/',
+  'https://example.com/blog/first-post',
+  'https://example.com/blog/2024/second-post',
+  'https://example.com/blog/archives?page=2',
+  'https://example.com/tag/news',
+  'https://example.com/tag/news/feed',
+];
+
+describe('URL Filters', () => {
+  describe('globToRegExp', () => {
+    it('should match a single segment with * and any depth with **', () => {
+      expect(globToRegExp('/tag/*').test('/tag/news')).toBe(true);
+      expect(globToRegExp('/tag/*').test('/tag/news/feed')).toBe(false);
+      expect(globToRegExp('/blog/**').test('/blog/2024/second-post')).toBe(true);
+    });
+
+    it('should treat ? and other regex characters literally', () => {
+      expect(globToRegExp('/archives?page=*').test('/archives?page=2')).toBe(true);
+      expect(globToRegExp('/a.html').test('/a-html')).toBe(false);
+    });
+  });
+
+  describe('compileRule', () => {
+    it('should refuse regular expressions that could backtrack catastrophically', () => {
+      expect(() => compileRule({ type: 'regex', pattern: '(a+)+$' })).toThrow('Invalid or unsafe regular expression');
+      expect(compileRule({ type: 'regex', pattern: '^https://example\\.com/blog/' })('https://example.com/blog/a')).toBe(true);
+    });
+  });
+
+  describe('applyUrlFilters', () => {
+    it('should keep only URLs matching an include rule', () => {
+      const { urls, report } = applyUrlFilters(URLS, {
+        include: [{ type: 'glob', pattern: '/blog/**' }],
+      });
+
+      expect(urls).toEqual([
+        'https://example.com/blog/first-post',
+        'https://example.com/blog/2024/second-post',
+        'https://example.com/blog/archives?page=2',
+      ]);
+      expect(report.notIncluded).toBe(3);
+      expect(report.include[0].matched).toBe(3);
+    });
+
+    it('should count exclusions against the first matching rule', () => {
+      const { urls, report } = applyUrlFilters(URLS, {
+        exclude: [
+          { type: 'glob', pattern: '/tag/**' },
+          { type: 'regex', pattern: '[?&]page=' },
+          { type: 'regex', pattern: 'news' },
+        ],
+      });
+
+      expect(urls).toEqual([
+        'https://example.com/',
+        'https://example.com/blog/first-post',
+        'https://example.com/blog/2024/second-post',
+      ]);
+      expect(report.exclude.map(rule => rule.excluded)).toEqual([2, 1, 0]);
+    });
+
+    it('should cap the number of URLs after applying the rules', () => {
+      const { urls, report } = applyUrlFilters(URLS, {
+        exclude: [{ type: 'glob', pattern: 'https://example.com/' }],
+        maxUrls: 2,
+      });
+
+      expect(urls).toEqual([
+        'https://example.com/blog/first-post',
+        'https://example.com/blog/2024/second-post',
+      ]);
+      expect(report).toMatchObject({ inputUrls: 6, keptUrls: 2, overLimit: 3 });
+    });
+  });
+
+  describe('hasUrlFilters', () => {
+    it('should ignore empty filters', () => {
+      expect(hasUrlFilters(null)).toBe(false);
+      expect(hasUrlFilters({ include: [], exclude: [] })).toBe(false);
+      expect(hasUrlFilters({ include: [], exclude: [], maxUrls: 10 })).toBe(true);
+    });
+  });
+});
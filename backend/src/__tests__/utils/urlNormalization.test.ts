@@ -0,0 +1,47 @@
+/**
+ * URL normalization tests
+ * @fileoverview Unit tests for canonical URL forms used to collapse equivalent sitemap URLs
+ */
+
+import { normalizeUrl } from '@/utils/urlNormalization.js';
+
+describe('URL Normalization', () => {
+  describe('normalizeUrl', () => {
+    it('should normalize scheme and host case, default ports and fragments', () => {
+      expect(normalizeUrl('HTTPS://Example.COM:443/Path#top')).toEqual({
+        url: 'https://example.com/Path',
+        key: 'https://example.com/Path',
+      });
+    });
+
+    it('should strip tracking parameters and sort the remaining ones', () => {
+      const { url } = normalizeUrl('https://example.com/shop?utm_source=news&color=red&gclid=abc&size=m');
+
+      expect(url).toBe('https://example.com/shop?color=red&size=m');
+      expect(normalizeUrl('https://example.com/a?utm_campaign=x').url).toBe('https://example.com/a');
+    });
+
+    it('should ignore the trailing slash when comparing by default', () => {
+      const withSlash = normalizeUrl('https://example.com/a/');
+      const withoutSlash = normalizeUrl('https://example.com/a');
+
+      expect(withSlash.url).toBe('https://example.com/a/');
+      expect(withSlash.key).toBe(withoutSlash.key);
+      expect(normalizeUrl('https://example.com/').key).toBe('https://example.com/');
+    });
+
+    it('should apply the configured trailing slash policy', () => {
+      expect(normalizeUrl('https://example.com/a', { trailingSlash: 'add' }).url).toBe('https://example.com/a/');
+      expect(normalizeUrl('https://example.com/a/', { trailingSlash: 'remove' }).url).toBe('https://example.com/a');
+      expect(normalizeUrl('https://example.com/a/', { trailingSlash: 'keep' }).key)
+        .not.toBe(normalizeUrl('https://example.com/a', { trailingSlash: 'keep' }).key);
+    });
+
+    it('should leave URLs untouched when the optional steps are disabled', () => {
+      const options = { removeFragment: false, stripTrackingParams: false, sortQueryParams: false };
+
+      expect(normalizeUrl('https://example.com/a?b=2&utm_source=x&a=1#top', options).url)
+        .toBe('https://example.com/a?b=2&utm_source=x&a=1#top');
+    });
+  });
+});
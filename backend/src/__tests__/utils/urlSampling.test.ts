@@ -0,0 +1,99 @@
+/**
+ * URL sampling tests
+ * @fileoverview Unit tests for URL pattern grouping, seeded sampling and extrapolation
+ */
+
+import { getUrlPattern, sampleUrls, extrapolateSample } from '@/utils/urlSampling.js';
+
+const productUrls = Array.from({ length: 40 }, (_, i) => `https://shop.example.com/products/item-${i}`);
+const categoryUrls = Array.from({ length: 10 }, (_, i) => `https://shop.example.com/category/${i}`);
+const URLS = ['https://shop.example.com/', ...productUrls, ...categoryUrls];
+
+describe('URL Sampling', () => {
+  describe('getUrlPattern', () => {
+    it('should collapse numeric, identifier and slug segments', () => {
+      expect(getUrlPattern('https://example.com/blog/2024/my-first-post')).toBe('example.com/blog/:id/:slug');
+      expect(getUrlPattern('https://example.com/p/12345.html')).toBe('example.com/p/:id.html');
+      expect(getUrlPattern('https://example.com/u/3f2b1c0e-1111-2222-3333-444455556666')).toBe('example.com/u/:uuid');
+    });
+
+    it('should keep plain segments and query parameter names', () => {
+      expect(getUrlPattern('https://example.com/about')).toBe('example.com/about');
+      expect(getUrlPattern('https://example.com/search?q=shoes&page=2')).toBe('example.com/search?page&q');
+    });
+  });
+
+  describe('sampleUrls', () => {
+    it('should pick up to perGroup URLs per pattern', () => {
+      const { urls, groups } = sampleUrls(URLS, { perGroup: 3, seed: 42 });
+
+      expect(urls).toHaveLength(7);
+      expect(groups).toEqual([
+        { pattern: 'shop.example.com/', totalUrls: 1, sampledUrls: 1 },
+        { pattern: 'shop.example.com/products/:slug', totalUrls: 40, sampledUrls: 3 },
+        { pattern: 'shop.example.com/category/:id', totalUrls: 10, sampledUrls: 3 },
+      ]);
+    });
+
+    it('should repeat the same sample for the same seed', () => {
+      const first = sampleUrls(URLS, { perGroup: 3, seed: 42 });
+      const second = sampleUrls(URLS, { perGroup: 3, seed: 42 });
+      const other = sampleUrls(URLS, { perGroup: 3, seed: 7 });
+
+      expect(second.urls).toEqual(first.urls);
+      expect(other.urls).not.toEqual(first.urls);
+    });
+
+    it('should keep the sitemap order and record each URL pattern', () => {
+      const { urls, patterns } = sampleUrls(URLS, { perGroup: 2, seed: 1 });
+
+      expect(urls).toEqual(URLS.filter(url => urls.includes(url)));
+      expect(patterns.get(urls[0])).toBe('shop.example.com/');
+    });
+  });
+
+  describe('extrapolateSample', () => {
+    it('should scale sampled counts to the size of each group', () => {
+      const groups = [
+        { pattern: 'example.com/products/:slug', totalUrls: 40, sampledUrls: 2 },
+        { pattern: 'example.com/', totalUrls: 1, sampledUrls: 1 },
+      ];
+      const results = [
+        { sampleGroup: 'example.com/products/:slug', isValid: false, errors: [{}, {}, {}], warnings: [] },
+        { sampleGroup: 'example.com/products/:slug', isValid: true, errors: [], warnings: [{}] },
+        { sampleGroup: 'example.com/', isValid: true, errors: [], warnings: [] },
+      ];
+
+      const { groups: estimates, estimated } = extrapolateSample(results, groups);
+
+      expect(estimates[0]).toMatchObject({
+        pattern: 'example.com/products/:slug',
+        validatedUrls: 2,
+        estimatedInvalidUrls: 20,
+        estimatedErrors: 60,
+        estimatedWarnings: 20,
+      });
+      expect(estimated).toEqual({
+        totalUrls: 41,
+        validatedUrls: 3,
+        invalidUrls: 20,
+        totalErrors: 60,
+        totalWarnings: 20,
+      });
+    });
+
+    it('should leave URLs that could not be validated out of the estimates', () => {
+      const groups = [{ pattern: 'example.com/products/:slug', totalUrls: 40, sampledUrls: 4 }];
+      const results = [
+        { sampleGroup: 'example.com/products/:slug', isValid: false, errors: [{}], warnings: [] },
+        { sampleGroup: 'example.com/products/:slug', isValid: true, errors: [], warnings: [] },
+        { sampleGroup: 'example.com/products/:slug', isValid: false, errors: [], warnings: [], failureCategory: 'validator_unavailable' },
+        { sampleGroup: 'example.com/products/:slug', isValid: false, errors: [], warnings: [], failureCategory: 'target_timeout' },
+      ];
+
+      const { groups: estimates } = extrapolateSample(results, groups);
+
+      expect(estimates[0]).toMatchObject({ validatedUrls: 2, invalidUrls: 1, estimatedInvalidUrls: 20, estimatedErrors: 20 });
+    });
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Validator backend tests
+ * @fileoverview Unit tests for the validator backend chosen per deployment and its declared limits
+ */
+
+import { getValidatorBackend } from '@/utils/validatorBackends.js';
+
+// Mock the config
+jest.mock('@/config/index.js', () => ({
+  appConfig: {
+    isDevelopment: false,
+    isProduction: false,
+    logging: { level: 'error' },
+    w3c: {
+      validatorUrl: 'http://vnu.internal:8888/',
+      backend: 'nu-http',
+      concurrency: 6,
+      vnuCommand: 'vnu',
+      vnuBatchSize: 50,
+      scanTimeoutMs: 30000,
+    },
+  },
+}));
+
+describe('Validator Backends', () => {
+  describe('getValidatorBackend', () => {
+    it('should select the configured backend with its own rate limits and capabilities', () => {
+      const backend = getValidatorBackend();
+
+      expect(backend.name).toBe('nu-http');
+      expect(backend.rateLimit).toEqual({ concurrency: 6, intervalMs: 0 });
+      expect(backend.capabilities).toEqual({ fetchesUrls: true, batchSize: 1 });
+    });
+
+    it('should reuse the same backend for the whole process', () => {
+      expect(getValidatorBackend()).toBe(getValidatorBackend());
+    });
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * W3C validator utility tests
+ * @fileoverview Unit tests for the validation summary of a scan the classification of failures
+ * and the processing of Nu reports
+ */
+
+import { generateValidationSummary, classifyValidationError, processW3CResult, isCacheableReport } from '@/utils/w3cValidator.js';
+
+// Mock the config
+jest.mock('@/config/index.js', () => ({
+  appConfig: {
+    isDevelopment: false,
+    isProduction: false,
+    logging: { level: 'error' },
+    redis: { url: 'redis://localhost:6379' },
+    w3c: { validatorUrl: 'https://validator.w3.org/nu/', backend: 'public', cacheTtlSeconds: 604800, scanTimeoutMs: 30000, maxRetries: 2, retryDelayMs: 2000 },
+    outbound: { allowedPorts: [80, 443], allowlist: [], maxResponseBytes: 10485760 },
+  },
+}));
+
+const result = (overrides = {}) => ({
+  url: 'https://example.com/',
+  isValid: true,
+  errors: [],
+  warnings: [],
+  fromCache: false,
+  ...overrides,
+});
+
+describe('W3C Validator Utils', () => {
+  describe('generateValidationSummary', () => {
+    it('should count the pages whose report came from the validation cache', () => {
+      const summary = generateValidationSummary([
+        result(),
+        result({ url: 'https://example.com/a', fromCache: true }),
+        result({
+          url: 'https://example.com/b',
+          isValid: false,
+          errors: [{ type: 'error', message: 'Stray end tag', severity: 'high' }],
+          fromCache: true,
+        }),
+      ]);
+
+      expect(summary).toMatchObject({ total: 3, valid: 2, invalid: 1, totalErrors: 1, cacheHits: 2 });
+    });
+
+    it('should keep URLs that could not be validated out of the valid percentage', () => {
+      const summary = generateValidationSummary([
+        result(),
+        result({ url: 'https://example.com/a', isValid: false, errors: [{ type: 'error', message: 'Stray end tag' }] }),
+        result({
+          url: 'https://example.com/b',
+          isValid: false,
+          failure: { category: 'target_timeout', message: 'The operation was aborted due to timeout', attempts: 3 },
+        }),
+      ]);
+
+      expect(summary).toMatchObject({
+        total: 3,
+        valid: 1,
+        invalid: 1,
+        failed: 1,
+        failureCategories: { target_timeout: 1 },
+        validPercentage: 50,
+      });
+    });
+
+    it('should count accessibility violations by impact', () => {
+      const violation = (impact: string) => ({ type: 'accessibility', ruleId: 'image-alt', impact, selector: 'img' });
+      const summary = generateValidationSummary([
+        result({ accessibilityViolations: [violation('critical'), violation('minor')] }),
+        result({ url: 'https://example.com/a', accessibilityViolations: [] }),
+      ]);
+
+      expect(summary).toMatchObject({
+        totalAccessibilityViolations: 2,
+        pagesWithAccessibilityViolations: 1,
+        accessibilityImpacts: { critical: 1, serious: 0, moderate: 0, minor: 1 },
+      });
+    });
+  });
+
+  describe('processW3CResult', () => {
+    const report = {
+      messages: [
+        { type: 'error', subType: 'fatal', message: 'Cannot recover after last error.', lastLine: 12, lastColumn: 4 },
+        {
+          type: 'error',
+          message: 'Stray end tag “div”.',
+          firstLine: 3,
+          lastLine: 4,
+          firstColumn: 10,
+          lastColumn: 6,
+          extract: '</p>\n</div>',
+          hiliteStart: 5,
+          hiliteLength: 6,
+        },
+        { type: 'info', subType: 'warning', message: 'Section lacks heading.', lastLine: 8, lastColumn: 1 },
+        { type: 'info', message: 'Trailing slash on void elements has no effect.', lastLine: 9, lastColumn: 20 },
+      ],
+    };
+
+    it('should keep the messages of the validation level', () => {
+      const messageCounts = (level: string) => {
+        const { errors, warnings } = processW3CResult(report, 'https://example.com/', { level });
+        return [errors.length, warnings.length];
+      };
+
+      expect(messageCounts('error')).toEqual([2, 0]);
+      expect(messageCounts('warning')).toEqual([2, 1]);
+      expect(messageCounts('info')).toEqual([2, 2]);
+    });
+
+    it('should map fatal errors, errors, warnings and info messages to distinct severities', () => {
+      const { errors, warnings } = processW3CResult(report, 'https://example.com/', { level: 'info' });
+
+      expect([...errors, ...warnings].map(message => message.severity)).toEqual(['critical', 'high', 'medium', 'low']);
+    });
+
+    it('should carry the position fields of the Nu message model', () => {
+      const { errors } = processW3CResult(report, 'https://example.com/');
+
+      expect(errors[1]).toMatchObject({
+        subType: undefined,
+        line: 4,
+        column: 6,
+        firstLine: 3,
+        lastLine: 4,
+        firstColumn: 10,
+        lastColumn: 6,
+        hiliteStart: 5,
+        hiliteLength: 6,
+      });
+      expect(errors[0]).toMatchObject({ subType: 'fatal', firstLine: 12, lastLine: 12 });
+    });
+  });
+
+  describe('isCacheableReport', () => {
+    it('should cache reports of validated documents, valid or not', () => {
+      expect(isCacheableReport({ messages: [] })).toBe(true);
+      expect(isCacheableReport({ messages: [{ type: 'error', message: 'Stray end tag “p”.' }] })).toBe(true);
+    });
+
+    it('should not cache validator-side failures', () => {
+      expect(isCacheableReport({ messages: [{ type: 'non-document-error', subType: 'internal', message: 'Oops.' }] })).toBe(false);
+      expect(isCacheableReport({})).toBe(false);
+    });
+  });
+
+  describe('classifyValidationError', () => {
+    it('should blame the validator for errors not raised while fetching the page', () => {
+      expect(classifyValidationError(new Error('Validator responded 502'))).toBe('validator_unavailable');
+    });
+
+    it('should classify errors raised while fetching the page', () => {
+      const targetError = (message: string, props = {}) => Object.assign(new Error(message), { target: true, ...props });
+
+      expect(classifyValidationError(targetError('getaddrinfo ENOTFOUND example.invalid'))).toBe('target_unreachable');
+      expect(classifyValidationError(targetError('aborted', { name: 'TimeoutError' }))).toBe('target_timeout');
+      expect(classifyValidationError(targetError('HTTP 404', { status: 404 }))).toBe('target_http_error');
+      expect(classifyValidationError(targetError('Private addresses are not allowed'))).toBe('target_blocked');
+    });
+
+    it('should keep a category already set', () => {
+      expect(classifyValidationError(Object.assign(new Error('text/plain'), { category: 'non_html' }))).toBe('non_html');
+    });
+  });
+});
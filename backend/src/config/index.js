@@ -20,10 +20,32 @@ const envSchema = z.object({
   JWT_EXPIRES_IN: z.string().default('7d'),
   REDIS_URL: z.string().default('redis://localhost:6379'),
   W3C_VALIDATOR_URL: z.string().url().default('https://validator.w3.org/nu/'),
+  VALIDATOR_BACKEND: z.enum(['public', 'nu-http', 'vnu-cli']).default('public'),
+  VALIDATOR_CONCURRENCY: z.string().transform((val) => parseInt(val, 10)).default('4'), // self-hosted Nu HTTP server
+  VNU_COMMAND: z.string().default('vnu'),
+  VNU_BATCH_SIZE: z.string().transform((val) => parseInt(val, 10)).default('50'),
+  VALIDATION_MAX_RETRIES: z.string().transform((val) => parseInt(val, 10)).default('2'),
+  VALIDATION_RETRY_DELAY_MS: z.string().transform((val) => parseInt(val, 10)).default('2000'), // doubled on each retry
+  VALIDATION_CACHE_TTL: z.string().transform((val) => parseInt(val, 10)).default('604800'), // seconds, 0 disables the cache
+  VALIDATOR_VERSION: z.string().optional(), // Nu checker version of the HTTP backends, part of the validation cache key
+  CSS_VALIDATOR_URL: z.string().url().default('https://jigsaw.w3.org/css-validator/validator'),
+  CSS_VALIDATOR_PROFILE: z.string().default('css3svg'),
+  CSS_VALIDATOR_INTERVAL_MS: z.string().transform((val) => parseInt(val, 10)).default('1000'), // public validator: 1 request/s
+  ACCESSIBILITY_CREDIT_COST: z.string().transform((val) => parseInt(val, 10)).default('1'), // per page, on top of validation
   RATE_LIMIT_WINDOW_MS: z.string().transform((val) => parseInt(val, 10)).default('900000'), // 15 minutes
   RATE_LIMIT_MAX_REQUESTS: z.string().transform((val) => parseInt(val, 10)).default('100'),
   MAX_SITEMAP_URLS: z.string().transform((val) => parseInt(val, 10)).default('10000'),
   SCAN_TIMEOUT_MS: z.string().transform((val) => parseInt(val, 10)).default('30000'),
+  SITEMAP_INDEX_MAX_DEPTH: z.string().transform((val) => parseInt(val, 10)).default('3'),
+  SITEMAP_INDEX_MAX_CHILDREN: z.string().transform((val) => parseInt(val, 10)).default('50'),
+  SITEMAP_MAX_SIZE_BYTES: z.string().transform((val) => parseInt(val, 10)).default('52428800'), // 50 MB (sitemaps.org limit)
+  CRAWL_MAX_DEPTH: z.string().transform((val) => parseInt(val, 10)).default('3'),
+  CRAWL_MAX_PAGES: z.string().transform((val) => parseInt(val, 10)).default('500'),
+  CRAWL_REQUEST_DELAY_MS: z.string().transform((val) => parseInt(val, 10)).default('500'),
+  OUTBOUND_ALLOWED_PORTS: z.string().transform((val) => val.split(',').map((port) => parseInt(port, 10)).filter(Boolean)).default('80,443,8080,8443'),
+  OUTBOUND_ALLOWLIST: z.string().transform((val) => val.split(',').map((entry) => entry.trim().toLowerCase()).filter(Boolean)).default(''),
+  OUTBOUND_MAX_RESPONSE_BYTES: z.string().transform((val) => parseInt(val, 10)).default('10485760'), // 10 MB
+  CREDENTIALS_ENCRYPTION_KEY: z.string().min(32, 'CREDENTIALS_ENCRYPTION_KEY must be at least 32 characters').optional(),
   LOG_LEVEL: z.enum(['error', 'warn', 'info', 'debug']).default('info'),
 });
 
@@ -65,10 +87,50 @@ export const appConfig = {
   
   w3c: {
     validatorUrl: config.W3C_VALIDATOR_URL,
+    backend: config.VALIDATOR_BACKEND,
+    concurrency: config.VALIDATOR_CONCURRENCY,
+    vnuCommand: config.VNU_COMMAND,
+    vnuBatchSize: config.VNU_BATCH_SIZE,
+    cacheTtlSeconds: config.VALIDATION_CACHE_TTL,
+    validatorVersion: config.VALIDATOR_VERSION,
+    maxRetries: config.VALIDATION_MAX_RETRIES,
+    retryDelayMs: config.VALIDATION_RETRY_DELAY_MS,
     maxSitemapUrls: config.MAX_SITEMAP_URLS,
     scanTimeoutMs: config.SCAN_TIMEOUT_MS,
   },
   
+  css: {
+    validatorUrl: config.CSS_VALIDATOR_URL,
+    profile: config.CSS_VALIDATOR_PROFILE,
+    requestIntervalMs: config.CSS_VALIDATOR_INTERVAL_MS,
+  },
+  
+  accessibility: {
+    creditCost: config.ACCESSIBILITY_CREDIT_COST,
+  },
+  
+  sitemap: {
+    indexMaxDepth: config.SITEMAP_INDEX_MAX_DEPTH,
+    indexMaxChildren: config.SITEMAP_INDEX_MAX_CHILDREN,
+    maxSizeBytes: config.SITEMAP_MAX_SIZE_BYTES,
+  },
+  
+  crawl: {
+    maxDepth: config.CRAWL_MAX_DEPTH,
+    maxPages: config.CRAWL_MAX_PAGES,
+    requestDelayMs: config.CRAWL_REQUEST_DELAY_MS,
+  },
+  
+  outbound: {
+    allowedPorts: config.OUTBOUND_ALLOWED_PORTS,
+    allowlist: config.OUTBOUND_ALLOWLIST,
+    maxResponseBytes: config.OUTBOUND_MAX_RESPONSE_BYTES,
+  },
+  
+  credentials: {
+    encryptionKey: config.CREDENTIALS_ENCRYPTION_KEY,
+  },
+  
   rateLimit: {
     windowMs: config.RATE_LIMIT_WINDOW_MS,
     maxRequests: config.RATE_LIMIT_MAX_REQUESTS,
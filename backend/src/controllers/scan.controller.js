@@ -4,7 +4,10 @@
  */
 
 import { ScanService } from '../services/scan.service.js';
+import { SiteCredentialService } from '../services/siteCredential.service.js';
+import { SuppressionRuleService } from '../services/suppressionRule.service.js';
 import { logger } from '../utils/logger.js';
+import { isSuppressed } from '../utils/suppressionRules.js';
 import { asyncHandler, successResponse, paginatedResponse } from '../middleware/errorHandler.js';
 
 /**
@@ -13,6 +16,8 @@ import { asyncHandler, successResponse, paginatedResponse } from '../middleware/
 export class ScanController {
   constructor() {
     this.scanService = new ScanService();
+    this.siteCredentialService = new SiteCredentialService();
+    this.suppressionRuleService = new SuppressionRuleService();
   }
 
   /**
@@ -26,10 +31,11 @@ export class ScanController {
     
     logger.info('Create scan request received', { 
       userId, 
-      sitemapUrl: validatedData.sitemapUrl 
+      sitemapUrl: validatedData.sitemapUrl,
+      siteUrl: validatedData.siteUrl 
     });
 
-    const result = await this.scanService.createScan(userId, validatedData.sitemapUrl);
+    const result = await this.scanService.createScan(userId, validatedData);
 
     return successResponse(
       c,
@@ -39,6 +45,60 @@ export class ScanController {
     );
   });
 
+  /**
+   * Create a scan from an uploaded sitemap file (XML, text, RSS/Atom, optionally gzipped)
+   * @param {Context} c - Hono context
+   * @returns {Promise<Response>} JSON response with scan details
+   */
+  uploadScan = asyncHandler(async (c) => {
+    const userId = c.get('userId');
+    const { file, options } = c.get('validatedBody');
+    
+    logger.info('Upload scan request received', { 
+      userId, 
+      fileName: file.name,
+      size: file.size 
+    });
+
+    const result = await this.scanService.createScan(userId, {
+      ...options,
+      upload: {
+        name: (file.name || 'sitemap.xml').slice(0, 255),
+        content: Buffer.from(await file.arrayBuffer()),
+      },
+    });
+
+    return successResponse(
+      c,
+      result,
+      'Scan created and queued successfully',
+      201
+    );
+  });
+
+  /**
+   * Discover sitemaps for a site from robots.txt and well-known locations
+   * @param {Context} c - Hono context
+   * @returns {Promise<Response>} JSON response with sitemap candidates
+   */
+  discoverSitemaps = asyncHandler(async (c) => {
+    const userId = c.get('userId');
+    const validatedData = c.get('validatedBody');
+    
+    logger.info('Discover sitemaps request received', { 
+      userId, 
+      siteUrl: validatedData.siteUrl 
+    });
+
+    const discovery = await this.scanService.discoverSitemaps(validatedData.siteUrl, userId);
+
+    return successResponse(
+      c,
+      discovery,
+      discovery.sitemapUrl ? 'Sitemap discovered successfully' : 'No sitemap found for this site'
+    );
+  });
+
   /**
    * Get scan details by ID
    * @param {Context} c - Hono context
@@ -130,6 +190,38 @@ export class ScanController {
     );
   });
 
+  /**
+   * Get the issues of a scan grouped across pages
+   * @param {Context} c - Hono context
+   * @returns {Promise<Response>} Paginated issue groups, most impactful first
+   */
+  getScanIssues = asyncHandler(async (c) => {
+    const userId = c.get('userId');
+    const validatedParams = c.get('validatedParams');
+    const { page = 1, limit = 20, type = 'all' } = c.get('validatedQuery') || {};
+
+    logger.debug('Get scan issues request received', {
+      userId,
+      scanId: validatedParams.id,
+      page,
+      limit,
+      type,
+    });
+
+    const issues = await this.scanService.getScanIssues(
+      validatedParams.id,
+      userId,
+      { page, limit, type }
+    );
+
+    return paginatedResponse(
+      c,
+      issues.issues,
+      issues.pagination,
+      'Scan issues retrieved successfully'
+    );
+  });
+
   /**
    * Cancel a running scan
    * @param {Context} c - Hono context
@@ -176,6 +268,137 @@ export class ScanController {
     );
   });
 
+  /**
+   * List the sites the user saved credentials for (secrets are never returned)
+   * @param {Context} c - Hono context
+   * @returns {Promise<Response>} JSON response with saved site credentials
+   */
+  listSiteCredentials = asyncHandler(async (c) => {
+    const userId = c.get('userId');
+    
+    logger.debug('List site credentials request received', { userId });
+
+    const siteCredentials = await this.siteCredentialService.listSiteCredentials(userId);
+
+    return successResponse(
+      c,
+      siteCredentials,
+      'Site credentials retrieved successfully'
+    );
+  });
+
+  /**
+   * Save credentials for a site behind authentication
+   * @param {Context} c - Hono context
+   * @returns {Promise<Response>} JSON response with the saved site credentials (without secrets)
+   */
+  saveSiteCredentials = asyncHandler(async (c) => {
+    const userId = c.get('userId');
+    const validatedData = c.get('validatedBody');
+    
+    logger.info('Save site credentials request received', { 
+      userId, 
+      siteUrl: validatedData.siteUrl 
+    });
+
+    const siteCredential = await this.siteCredentialService.saveSiteCredentials(userId, validatedData);
+
+    return successResponse(
+      c,
+      siteCredential,
+      'Site credentials saved successfully'
+    );
+  });
+
+  /**
+   * Delete saved site credentials
+   * @param {Context} c - Hono context
+   * @returns {Promise<Response>} JSON response confirming deletion
+   */
+  deleteSiteCredentials = asyncHandler(async (c) => {
+    const userId = c.get('userId');
+    const validatedParams = c.get('validatedParams');
+    
+    logger.info('Delete site credentials request received', { 
+      userId, 
+      credentialId: validatedParams.id 
+    });
+
+    await this.siteCredentialService.deleteSiteCredentials(validatedParams.id, userId);
+
+    return successResponse(
+      c,
+      null,
+      'Site credentials deleted successfully'
+    );
+  });
+
+  /**
+   * List the suppression rules of the user
+   * @param {Context} c - Hono context
+   * @returns {Promise<Response>} JSON response with the suppression rules
+   */
+  listSuppressionRules = asyncHandler(async (c) => {
+    const userId = c.get('userId');
+
+    logger.debug('List suppression rules request received', { userId });
+
+    const suppressionRules = await this.suppressionRuleService.listSuppressionRules(userId);
+
+    return successResponse(
+      c,
+      suppressionRules,
+      'Suppression rules retrieved successfully'
+    );
+  });
+
+  /**
+   * Create a rule suppressing validator messages accepted on purpose
+   * @param {Context} c - Hono context
+   * @returns {Promise<Response>} JSON response with the created suppression rule
+   */
+  createSuppressionRule = asyncHandler(async (c) => {
+    const userId = c.get('userId');
+    const validatedData = c.get('validatedBody');
+
+    logger.info('Create suppression rule request received', {
+      userId,
+      siteUrl: validatedData.siteUrl,
+    });
+
+    const suppressionRule = await this.suppressionRuleService.createSuppressionRule(userId, validatedData);
+
+    return successResponse(
+      c,
+      suppressionRule,
+      'Suppression rule created successfully',
+      201
+    );
+  });
+
+  /**
+   * Delete a suppression rule
+   * @param {Context} c - Hono context
+   * @returns {Promise<Response>} JSON response confirming deletion
+   */
+  deleteSuppressionRule = asyncHandler(async (c) => {
+    const userId = c.get('userId');
+    const validatedParams = c.get('validatedParams');
+
+    logger.info('Delete suppression rule request received', {
+      userId,
+      ruleId: validatedParams.id,
+    });
+
+    await this.suppressionRuleService.deleteSuppressionRule(validatedParams.id, userId);
+
+    return successResponse(
+      c,
+      null,
+      'Suppression rule deleted successfully'
+    );
+  });
+
   /**
    * Get user's scan statistics
    * @param {Context} c - Hono context
@@ -262,6 +485,28 @@ export class ScanController {
     return c.body(csvData);
   });
 
+  /**
+   * Download the sitemap.xml generated by a crawl scan
+   * @param {Context} c - Hono context
+   * @returns {Promise<Response>} XML file download
+   */
+  downloadGeneratedSitemap = asyncHandler(async (c) => {
+    const userId = c.get('userId');
+    const validatedParams = c.get('validatedParams');
+    
+    logger.info('Generated sitemap download request received', { 
+      userId, 
+      scanId: validatedParams.id 
+    });
+
+    const sitemapXml = await this.scanService.getGeneratedSitemap(validatedParams.id, userId);
+    
+    c.header('Content-Type', 'application/xml; charset=utf-8');
+    c.header('Content-Disposition', 'attachment; filename="sitemap.xml"');
+    
+    return c.body(sitemapXml);
+  });
+
   /**
    * Get available scan filters and statistics
    * @param {Context} c - Hono context
@@ -283,8 +528,12 @@ export class ScanController {
       valid: scanDetails.summary?.valid || 0,
       errors: scanDetails.summary?.invalid || 0,
       warnings: scanDetails.results?.filter(r => 
-        r.warnings && Array.isArray(r.warnings) && r.warnings.length > 0
+        r.warnings && Array.isArray(r.warnings) && r.warnings.some(warning => !isSuppressed(warning))
       ).length || 0,
+      http: scanDetails.summary?.httpIssues || 0,
+      failed: scanDetails.summary?.failed || 0,
+      accessibility: scanDetails.summary?.pagesWithAccessibilityViolations || 0,
+      seo: scanDetails.summary?.pagesWithSeoIssues || 0,
     };
 
     return successResponse(
@@ -295,6 +544,10 @@ export class ScanController {
           { key: 'valid', label: 'Valid Pages', count: filterStats.valid },
           { key: 'errors', label: 'Pages with Errors', count: filterStats.errors },
           { key: 'warnings', label: 'Pages with Warnings', count: filterStats.warnings },
+          { key: 'http', label: 'Redirects and HTTP Errors', count: filterStats.http },
+          { key: 'failed', label: 'Not Validated', count: filterStats.failed },
+          { key: 'accessibility', label: 'Accessibility Violations', count: filterStats.accessibility },
+          { key: 'seo', label: 'SEO Issues', count: filterStats.seo },
         ],
         summary: scanDetails.summary,
       },
@@ -320,6 +573,13 @@ const calculateProgress = (scan, resultCount) => {
   return scan.status === 'processing' ? 25 : 0;
 };
 
+/**
+ * Quote a CSV text field, doubling the double quotes it contains (selectors, URLs, messages)
+ * @param {string|null|undefined} value - Field text
+ * @returns {string} Quoted field, or an empty string without text
+ */
+const csvField = (value) => (value ? `"${String(value).replace(/"/g, '""')}"` : '');
+
 /**
  * Generate CSV content from scan results
  * @param {Array<Object>} results - Scan results array
@@ -333,18 +593,54 @@ const generateScanResultsCSV = (results) => {
     'Warning Count',
     'Checked At',
     'Error Messages',
-    'Warning Messages'
+    'Warning Messages',
+    'HTTP Status',
+    'Final URL',
+    'Content Type',
+    'Response Time (ms)',
+    'Size (bytes)',
+    'CSS Error Count',
+    'CSS Warning Count',
+    'CSS Error Messages',
+    'Failure Category',
+    'Failure Message',
+    'Attempts',
+    'Accessibility Violation Count',
+    'Accessibility Violations',
+    'SEO Issue Count',
+    'SEO Issues'
   ];
 
-  const rows = results.map(result => [
-    `"${result.url}"`,
-    result.isValid ? 'Yes' : 'No',
-    result.errors ? result.errors.length : 0,
-    result.warnings ? result.warnings.length : 0,
-    result.checkedAt,
-    result.errors ? `"${result.errors.map(e => e.message).join('; ')}"` : '',
-    result.warnings ? `"${result.warnings.map(w => w.message).join('; ')}"` : '',
-  ]);
+  const rows = results.map(result => {
+    // Messages accepted on purpose (suppression rules) are left out of the export
+    const errors = result.errors?.filter(error => !isSuppressed(error));
+    const warnings = result.warnings?.filter(warning => !isSuppressed(warning));
+
+    return [
+      csvField(result.url),
+      result.failureCategory ? 'Not validated' : result.isValid ? 'Yes' : 'No',
+      errors ? errors.length : 0,
+      warnings ? warnings.length : 0,
+      result.checkedAt,
+      csvField(errors?.map(e => e.message).join('; ')),
+      csvField(warnings?.map(w => w.message).join('; ')),
+      result.httpStatus ?? '',
+      result.finalUrl !== result.url ? csvField(result.finalUrl) : '',
+      csvField(result.contentType),
+      result.responseTimeMs ?? '',
+      result.byteSize ?? '',
+      result.cssErrors ? result.cssErrors.length : 0,
+      result.cssWarnings ? result.cssWarnings.length : 0,
+      csvField(result.cssErrors?.map(e => `${e.file}:${e.line ?? '?'} ${e.message}`).join('; ')),
+      result.failureCategory ?? '',
+      csvField(result.failureMessage),
+      result.attempts ?? '',
+      result.accessibilityViolationCount ?? '',
+      csvField(result.accessibilityViolations?.map(v => `${v.ruleId} [${v.impact}] ${v.selector}`).join('; ')),
+      result.seoIssueCount ?? '',
+      csvField(result.seoIssues?.map(issue => `${issue.rule}: ${issue.message}`).join('; ')),
+    ];
+  });
 
   const csvContent = [
     headers.join(','),
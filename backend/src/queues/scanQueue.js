@@ -9,8 +9,26 @@ import { appConfig } from '../config/index.js';
 import { logger } from '../utils/logger.js';
 import { getDatabase } from '../config/database.js';
 import { validateAndParseSitemap } from '../utils/sitemap.js';
+import { crawlSite } from '../utils/crawler.js';
+import { applyUrlFilters, hasUrlFilters } from '../utils/urlFilters.js';
+import { sampleUrls } from '../utils/urlSampling.js';
+import { planIncrementalScan, fetchPageFingerprints, toLastmodDate } from '../utils/incrementalScan.js';
+import {
+  checkUrls,
+  getUrlCheckIssues,
+  getUrlCheckFailure,
+  getUrlCheckFields,
+  buildUrlCheckReport,
+} from '../utils/urlCheck.js';
 import { validateUrls, generateValidationSummary } from '../utils/w3cValidator.js';
+import { getValidatorBackend } from '../utils/validatorBackends.js';
+import { validatePageStylesheets } from '../utils/cssValidator.js';
+import { collectAccessibilityAudits } from '../utils/accessibilityAuditor.js';
+import { auditSeo } from '../utils/seoChecks.js';
+import { decryptCredentials, createSiteAuth } from '../utils/credentials.js';
+import { compileSuppressionRules, applySuppressionRules, countUnsuppressed } from '../utils/suppressionRules.js';
 import { CreditService } from '../services/credit.service.js';
+import { SuppressionRuleService } from '../services/suppressionRule.service.js';
 
 /**
  * Redis connection for BullMQ
@@ -59,64 +77,205 @@ export const scanQueueEvents = new QueueEvents('sitemap-scan', {
 export const scanWorker = new Worker(
   'sitemap-scan',
   async (job) => {
-    const { scanId, userId, sitemapUrl } = job.data;
+    const {
+      scanId,
+      userId,
+      sitemapUrl,
+      source = 'sitemap',
+      crawl,
+      filters,
+      sampling,
+      normalization,
+      incremental,
+      validateCss = false,
+      validationLevel = 'warning',
+      checkAccessibility = false,
+    } = job.data;
     
-    logger.info('Processing scan job', { scanId, userId, sitemapUrl, jobId: job.id });
+    logger.info('Processing scan job', { scanId, userId, sitemapUrl, source, jobId: job.id });
 
     const db = getDatabase();
     const creditService = new CreditService();
+    const suppressionRuleService = new SuppressionRuleService();
 
     try {
       // Update scan status to processing
-      await db.scan.update({
+      // (credentials of sites behind authentication and uploaded content are read here,
+      // never carried in the job data)
+      const { credentials, authentication, sourceContent } = await db.scan.update({
         where: { id: scanId },
         data: { 
           status: 'processing',
         },
+        select: { credentials: true, authentication: true, sourceContent: { select: { content: true } } },
       });
 
+      const auth = credentials ? createSiteAuth(authentication.origin, decryptCredentials(credentials)) : null;
+
       // Update job progress
       await job.updateProgress(10);
 
-      // Step 1: Validate and parse sitemap
-      logger.info('Step 1: Parsing sitemap', { scanId, sitemapUrl });
+      // Step 1: Validate and parse sitemap, or crawl the site from its start URL
+      logger.info(source === 'crawl' ? 'Step 1: Crawling site' : 'Step 1: Parsing sitemap', { scanId, sitemapUrl });
       
-      const sitemapValidation = await validateAndParseSitemap(sitemapUrl);
+      const urlSource = source === 'crawl'
+        ? await crawlSite(sitemapUrl, { ...crawl, normalization, auth })
+        : await validateAndParseSitemap(sitemapUrl, { normalization, auth, content: sourceContent?.content });
       
-      if (!sitemapValidation.isValid) {
-        throw new Error(sitemapValidation.error || 'Invalid sitemap');
+      if (!urlSource.isValid) {
+        throw new Error(urlSource.error || (source === 'crawl' ? 'Site crawl failed' : 'Invalid sitemap'));
+      }
+
+      // Apply the scan filters so that only the remaining URLs are charged
+      let urls = urlSource.urls;
+      let filterReport;
+
+      if (hasUrlFilters(filters)) {
+        ({ urls, report: filterReport } = applyUrlFilters(urls, filters));
+        logger.info('Scan filters applied', { scanId, sitemapUrls: filterReport.inputUrls, keptUrls: urls.length });
+      }
+
+      // In sampling mode, validate (and charge) only a few pages per URL pattern
+      let samplePatterns = null;
+      let samplingReport;
+
+      if (sampling) {
+        const sample = sampleUrls(urls, sampling);
+        samplePatterns = sample.patterns;
+        samplingReport = { populationUrls: urls.length, groups: sample.groups };
+        urls = sample.urls;
+      }
+
+      // In incremental mode, carry forward the results of URLs unchanged since the latest
+      // successful scan of the same sitemap, and validate (and charge) only the others
+      let inherited = [];
+      let previousScanId = null;
+      let fingerprints = null;
+      let incrementalReport;
+
+      if (incremental) {
+        const previousScan = await db.scan.findFirst({
+          // Results of another validation level don't hold the same messages
+          // (and CSS or audited scans need a previous CSS validation or audit to inherit from)
+          where: {
+            userId,
+            sitemapUrl,
+            source,
+            validationLevel,
+            ...(validateCss && { validateCss: true }),
+            ...(checkAccessibility && { checkAccessibility: true }),
+            status: 'success',
+            id: { not: scanId },
+          },
+          orderBy: { startedAt: 'desc' },
+          select: {
+            id: true,
+            scanResults: {
+              select: {
+                url: true,
+                lastmod: true,
+                etag: true,
+                contentHash: true,
+                inheritedFrom: true,
+                httpStatus: true,
+                finalUrl: true,
+                redirectChain: true,
+                contentType: true,
+                responseTimeMs: true,
+                byteSize: true,
+                httpIssue: true,
+                errors: true,
+                warnings: true,
+                cssErrors: true,
+                cssWarnings: true,
+                accessibilityViolations: true,
+                seo: true,
+                isValid: true,
+                failureCategory: true,
+                checkedAt: true,
+              },
+            },
+          },
+        });
+
+        const previousResults = previousScan?.scanResults || [];
+
+        // Fingerprints are recorded for every URL so that the next scan can compare them
+        if (incremental.checkContent) {
+          fingerprints = await fetchPageFingerprints(urls, previousResults, auth);
+        }
+
+        const plan = planIncrementalScan(urls, { lastmods: urlSource.lastmods, previousResults, fingerprints });
+        previousScanId = previousScan?.id || null;
+        inherited = plan.inherited;
+        incrementalReport = { previousScanId, ...plan.report };
+        urls = plan.toValidate;
+
+        logger.info('Incremental scan planned', { scanId, previousScanId, ...plan.report });
       }
 
-      const urls = sitemapValidation.urls;
+      // Check how every URL answers before validating it: redirects, HTTP errors, timeouts and
+      // non-HTML documents are reported as HTTP issues, and pages that cannot be validated are not charged
+      // (the accessibility audit runs on the HTML read here, so each page is audited as it was checked,
+      // and the HTML is kept for the validators)
+      const urlChecks = await checkUrls(urls, auth, { auditAccessibility: checkAccessibility });
+      const urlIssues = new Map([...urlChecks].map(([url, check]) => [url, getUrlCheckIssues(check)]));
+      const urlCheckReport = buildUrlCheckReport(urlChecks);
+      const skippedUrls = urls.filter(url => !urlIssues.get(url).validatable);
+      urls = urls.filter(url => urlIssues.get(url).validatable);
+
+      logger.info('URLs checked before validation', { scanId, ...urlCheckReport });
       
-      // Update scan with total URLs
+      // Update scan with total URLs, the detected source format, the sitemap conformance report
+      // (or the crawl report and generated sitemap), filter counts, sampled URL patterns,
+      // the incremental comparison and the HTTP issues found before validation
       await db.scan.update({
         where: { id: scanId },
         data: { 
           totalUrls: urls.length,
+          sourceFormat: urlSource.format,
+          sitemapReport: urlSource.report,
+          crawlReport: urlSource.crawlReport,
+          generatedSitemap: urlSource.sitemapXml,
+          filterReport,
+          samplingReport,
+          incrementalReport,
+          urlCheckReport,
         },
       });
 
+      if (urls.length === 0 && inherited.length === 0 && skippedUrls.length === 0) {
+        throw new Error('No URLs left to validate after applying the scan filters');
+      }
+
       await job.updateProgress(20);
 
-      // Step 2: Check and deduct credits
-      logger.info('Step 2: Checking credits', { scanId, userId, requiredCredits: urls.length });
-      
-      const creditCheck = await creditService.checkSufficientCredits(userId, urls.length);
-      
-      if (!creditCheck.hasSufficient) {
-        throw new Error(
-          `Insufficient credits. Required: ${urls.length}, Available: ${creditCheck.currentAmount}`
-        );
-      }
+      // Step 2: Check and deduct credits (nothing to charge when every URL is unchanged or cannot be validated)
+      // The accessibility audit is an add-on charged per page on top of the validation credit
+      const accessibilityCost = checkAccessibility ? appConfig.accessibility.creditCost : 0;
+      const requiredCredits = urls.length * (1 + accessibilityCost);
+
+      if (urls.length > 0) {
+        logger.info('Step 2: Checking credits', { scanId, userId, requiredCredits });
+        
+        const creditCheck = await creditService.checkSufficientCredits(userId, requiredCredits);
+        
+        if (!creditCheck.hasSufficient) {
+          throw new Error(
+            `Insufficient credits. Required: ${requiredCredits}, Available: ${creditCheck.currentAmount}`
+          );
+        }
 
-      // Deduct credits
-      await creditService.deductCredits(userId, urls.length, `sitemap_scan_${scanId}`);
+        // Deduct credits
+        await creditService.deductCredits(userId, requiredCredits, `sitemap_scan_${scanId}`);
+      }
       
       await job.updateProgress(30);
 
       // Step 3: Validate URLs with W3C
-      logger.info('Step 3: Validating URLs with W3C', { scanId, urlCount: urls.length });
+      // (pages behind authentication are fetched here and their HTML sent to the validator;
+      // pages validated from their HTML reuse the HTML read while checking them)
+      logger.info('Step 3: Validating URLs with W3C', { scanId, urlCount: urls.length, authenticated: Boolean(auth) });
       
       const validationResults = [];
       let completedUrls = 0;
@@ -135,8 +294,70 @@ export const scanWorker = new Worker(
         });
       };
 
-      const results = await validateUrls(urls, progressCallback);
-      validationResults.push(...results);
+      const results = await validateUrls(urls, progressCallback, { auth, level: validationLevel, checks: urlChecks });
+
+      // Step 3b: Validate the stylesheets and <style> blocks of the validated pages, read from
+      // the HTML of the URL checks (a stylesheet shared across pages is validated once per scan)
+      let cssReport;
+
+      // URLs that still could not be validated after retries are not charged
+      const failedResults = results.filter(result => result.failure);
+      const validatedUrls = results.filter(result => !result.failure).map(result => result.url);
+
+      if (validateCss && validatedUrls.length > 0) {
+        logger.info('Step 3b: Validating CSS', { scanId, urlCount: validatedUrls.length });
+
+        const css = await validatePageStylesheets(validatedUrls, { auth, checks: urlChecks });
+        cssReport = css.report;
+
+        validationResults.push(...results.map(result => ({
+          ...result,
+          cssErrors: css.pages.get(result.url)?.errors,
+          cssWarnings: css.pages.get(result.url)?.warnings,
+        })));
+      } else {
+        validationResults.push(...results);
+      }
+
+      // The HTML read while checking the URLs is no longer needed
+      urlChecks.forEach((check) => {
+        check.body = null;
+      });
+
+      // Step 3c: Collect the axe-core accessibility audits of the validated pages (add-on)
+      let accessibilityReport;
+
+      if (checkAccessibility && validatedUrls.length > 0) {
+        logger.info('Step 3c: Collecting accessibility audits', { scanId, urlCount: validatedUrls.length });
+
+        const accessibility = collectAccessibilityAudits(validatedUrls, urlChecks);
+        accessibilityReport = accessibility.report;
+
+        validationResults.forEach((result, index) => {
+          validationResults[index] = { ...result, accessibilityViolations: accessibility.pages.get(result.url) };
+        });
+      }
+
+      // Step 3d: Flag the messages the user accepted on purpose (suppression rules):
+      // they are kept with the rule that matched them, but no longer make pages invalid
+      const suppressionRules = compileSuppressionRules(await suppressionRuleService.getActiveRules(userId));
+      validationResults.forEach((result, index) => {
+        validationResults[index] = applySuppressionRules(result, suppressionRules);
+      });
+
+      // Step 3e: Run the SEO rules on the HTML read while checking the URLs (unchanged pages keep
+      // the data read by their scan): duplicate titles and descriptions are found across all the pages
+      const seo = auditSeo(
+        new Map([
+          ...inherited.filter(({ previous }) => previous.seo).map(({ url, previous }) => [url, previous.seo]),
+          ...[...urlChecks].filter(([, check]) => check.seo).map(([url, check]) => [url, check.seo]),
+        ]),
+        { inSitemap: source === 'sitemap' || source === 'upload' }
+      );
+
+      validationResults.forEach((result, index) => {
+        validationResults[index] = { ...result, seoIssues: seo.pages.get(result.url) };
+      });
 
       await job.updateProgress(90);
 
@@ -146,15 +367,114 @@ export const scanWorker = new Worker(
       const scanResults = validationResults.map(result => ({
         scanId: scanId,
         url: result.url,
+        sourceSitemap: urlSource.sources[result.url] || null,
+        sampleGroup: samplePatterns?.get(result.url) || null,
+        lastmod: toLastmodDate(urlSource.lastmods[result.url]),
+        etag: fingerprints?.get(result.url)?.etag || null,
+        contentHash: fingerprints?.get(result.url)?.contentHash || null,
+        ...getUrlCheckFields(urlChecks.get(result.url)),
         errors: result.errors,
         warnings: result.warnings,
+        warningCount: countUnsuppressed(result.warnings),
+        cssErrors: result.cssErrors,
+        cssWarnings: result.cssWarnings,
+        accessibilityViolations: result.accessibilityViolations,
+        accessibilityViolationCount: result.accessibilityViolations?.length ?? null,
+        seoIssues: result.seoIssues,
+        seoIssueCount: result.seoIssues?.length ?? null,
         isValid: result.isValid,
+        fromCache: result.fromCache || false,
+        failureCategory: result.failure?.category ?? null,
+        failureMessage: result.failure?.message ?? null,
+        attempts: result.failure?.attempts ?? result.attempts ?? 1,
       }));
 
+      // Pages that could not be validated have no markup messages: their HTTP issue,
+      // like the redirects of validated pages, is kept in its own columns (httpIssue, failureMessage)
+      for (const url of skippedUrls) {
+        const failure = getUrlCheckFailure(urlChecks.get(url));
+
+        scanResults.push({
+          scanId: scanId,
+          url,
+          sourceSitemap: urlSource.sources[url] || null,
+          sampleGroup: samplePatterns?.get(url) || null,
+          lastmod: toLastmodDate(urlSource.lastmods[url]),
+          etag: fingerprints?.get(url)?.etag || null,
+          contentHash: fingerprints?.get(url)?.contentHash || null,
+          ...getUrlCheckFields(urlChecks.get(url)),
+          errors: [],
+          warnings: [],
+          warningCount: 0,
+          isValid: false,
+          failureCategory: failure.category,
+          failureMessage: failure.message,
+        });
+      }
+
+      // Unchanged URLs keep the result (and validation date) of the scan that actually validated them
+      for (const { url, previous } of inherited) {
+        const fingerprint = fingerprints?.get(url);
+
+        // Unchanged pages follow the current rules too (new, expired or deleted ones)
+        const { errors, warnings, isValid } = applySuppressionRules(
+          { url, errors: previous.errors, warnings: previous.warnings, isValid: previous.isValid },
+          suppressionRules
+        );
+
+        scanResults.push({
+          scanId: scanId,
+          url,
+          sourceSitemap: urlSource.sources[url] || null,
+          lastmod: toLastmodDate(urlSource.lastmods[url]) || previous.lastmod,
+          etag: fingerprint?.etag || previous.etag,
+          contentHash: fingerprint?.contentHash || previous.contentHash,
+          inheritedFrom: previous.inheritedFrom || previousScanId,
+          httpStatus: previous.httpStatus,
+          finalUrl: previous.finalUrl,
+          redirectChain: previous.redirectChain ?? undefined,
+          contentType: previous.contentType,
+          responseTimeMs: previous.responseTimeMs,
+          byteSize: previous.byteSize,
+          httpIssue: previous.httpIssue,
+          errors: errors ?? undefined,
+          warnings: warnings ?? undefined,
+          warningCount: countUnsuppressed(warnings),
+          cssErrors: validateCss ? previous.cssErrors ?? undefined : undefined,
+          cssWarnings: validateCss ? previous.cssWarnings ?? undefined : undefined,
+          accessibilityViolations: checkAccessibility ? previous.accessibilityViolations ?? undefined : undefined,
+          accessibilityViolationCount: checkAccessibility ? previous.accessibilityViolations?.length ?? null : null,
+          seo: previous.seo ?? undefined,
+          seoIssues: seo.pages.get(url),
+          seoIssueCount: seo.pages.get(url)?.length ?? null,
+          isValid,
+          checkedAt: previous.checkedAt,
+        });
+      }
+
       await db.scanResult.createMany({
         data: scanResults,
       });
 
+      // Step 4b: Refund the credits of URLs that could not be validated,
+      // and the add-on credits of pages whose accessibility could not be audited
+      const refundedCredits = failedResults.length * (1 + accessibilityCost)
+        + (accessibilityReport?.failed || 0) * accessibilityCost;
+
+      if (refundedCredits > 0) {
+        await creditService.refundCredits(userId, refundedCredits, `scan_failed_urls_${scanId}`, scanId);
+        await db.scan.update({
+          where: { id: scanId },
+          data: { refundedCredits },
+        });
+
+        logger.info('Credits refunded for URLs that could not be validated', {
+          scanId,
+          userId,
+          refundedCredits,
+        });
+      }
+
       // Step 5: Generate summary and complete scan
       const summary = generateValidationSummary(validationResults);
       
@@ -163,6 +483,9 @@ export const scanWorker = new Worker(
         data: {
           status: 'success',
           finishedAt: new Date(),
+          cssReport,
+          accessibilityReport,
+          seoReport: seo.report,
         },
       });
 
@@ -174,6 +497,7 @@ export const scanWorker = new Worker(
         totalUrls: urls.length,
         validUrls: summary.valid,
         invalidUrls: summary.invalid,
+        failedUrls: summary.failed,
         totalErrors: summary.totalErrors,
         totalWarnings: summary.totalWarnings,
       });
@@ -207,13 +531,17 @@ export const scanWorker = new Worker(
       try {
         const scan = await db.scan.findUnique({
           where: { id: scanId },
-          select: { totalUrls: true },
+          select: { totalUrls: true, refundedCredits: true },
         });
 
-        if (scan?.totalUrls && scan.totalUrls > 0) {
+        // Credits of URLs that could not be validated may already have been given back
+        const chargedCredits = (scan?.totalUrls || 0) * (1 + (checkAccessibility ? appConfig.accessibility.creditCost : 0));
+        const remainingCredits = chargedCredits - (scan?.refundedCredits || 0);
+
+        if (remainingCredits > 0) {
           await creditService.refundCredits(
             userId,
-            scan.totalUrls,
+            remainingCredits,
             `scan_failure_${scanId}`,
             scanId
           );
@@ -221,7 +549,7 @@ export const scanWorker = new Worker(
           logger.info('Credits refunded for failed scan', {
             scanId,
             userId,
-            refundedCredits: scan.totalUrls,
+            refundedCredits: remainingCredits,
           });
         }
       } catch (refundError) {
@@ -250,7 +578,16 @@ export const scanWorker = new Worker(
  * @param {Object} scanData - Scan job data
  * @param {number} scanData.scanId - Database scan ID
  * @param {number} scanData.userId - User ID
- * @param {string} scanData.sitemapUrl - Sitemap URL to scan
+ * @param {string} scanData.sitemapUrl - Sitemap URL to scan (start URL for crawl scans, file name for uploads, site origin for URL lists)
+ * @param {string} [scanData.source] - URL source: sitemap (default), crawl, upload or list
+ * @param {Object} [scanData.crawl] - Crawl depth and page limits, and whether to generate a sitemap
+ * @param {Object} [scanData.filters] - Include/exclude rules and URL cap
+ * @param {Object} [scanData.sampling] - Pages per URL pattern and seed (sampling mode)
+ * @param {Object} [scanData.normalization] - URL normalization options
+ * @param {Object} [scanData.incremental] - Incremental mode options (content check)
+ * @param {boolean} [scanData.validateCss] - Also validate the stylesheets of the pages
+ * @param {string} [scanData.validationLevel] - Validator messages kept: error, warning or info
+ * @param {boolean} [scanData.checkAccessibility] - Also audit the accessibility of the pages (add-on credits)
  * @param {Object} options - Job options
  * @returns {Promise<Object>} Job instance
  */
@@ -341,16 +678,18 @@ export const cancelScanJob = async (jobId) => {
 
 /**
  * Get queue statistics
+ * Includes the validator request budget shared by all workers and the wait expected for a new request.
  * @returns {Promise<Object>} Queue statistics
  */
 export const getQueueStats = async () => {
   try {
-    const [waiting, active, completed, failed, delayed] = await Promise.all([
+    const [waiting, active, completed, failed, delayed, validatorRateLimit] = await Promise.all([
       scanQueue.getWaiting(),
       scanQueue.getActive(),
       scanQueue.getCompleted(),
       scanQueue.getFailed(),
       scanQueue.getDelayed(),
+      getValidatorBackend().limiter.getStatus(),
     ]);
 
     return {
@@ -359,6 +698,7 @@ export const getQueueStats = async () => {
       completed: completed.length,
       failed: failed.length,
       delayed: delayed.length,
+      validatorRateLimit,
     };
   } catch (error) {
     logger.error('Failed to get queue stats', { error: error.message });
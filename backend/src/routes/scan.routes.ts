@@ -4,11 +4,13 @@
  */
 
 import { Hono } from 'hono';
+import { bodyLimit } from 'hono/body-limit';
 import { scanController } from '@/controllers/scan.controller.js';
 import { authenticate, requireCredits } from '@/middleware/auth.js';
-import { validateBody, validateQuery, validateParams } from '@/utils/validation';
+import { validateBody, validateForm, validateQuery, validateParams } from '@/utils/validation';
 import { scanSchemas, querySchemas } from '@/utils/validation';
 import { z } from 'zod';
+import { appConfig } from '@/config/index.js';
 import type { HonoContext } from '@/types/index';
 
 export const scanRoutes = new Hono<{ Variables: { user: any; userId: number } }>();
@@ -28,7 +30,27 @@ const scanFilterQuerySchema = z.object({
     .transform((val) => val ? parseInt(val, 10) : 20)
     .refine((val) => val > 0 && val <= 100, 'Limit must be between 1 and 100'),
   filter: z
-    .enum(['all', 'valid', 'errors', 'warnings'])
+    .enum(['all', 'valid', 'errors', 'warnings', 'http', 'failed', 'accessibility', 'seo'])
+    .optional()
+    .default('all'),
+});
+
+/**
+ * Issue groups query schema
+ */
+const scanIssuesQuerySchema = z.object({
+  page: z
+    .string()
+    .optional()
+    .transform((val) => val ? parseInt(val, 10) : 1)
+    .refine((val) => val > 0, 'Page must be greater than 0'),
+  limit: z
+    .string()
+    .optional()
+    .transform((val) => val ? parseInt(val, 10) : 20)
+    .refine((val) => val > 0 && val <= 100, 'Limit must be between 1 and 100'),
+  type: z
+    .enum(['all', 'errors', 'warnings'])
     .optional()
     .default('all'),
 });
@@ -39,7 +61,19 @@ scanRoutes.use('*', authenticate);
 /**
  * POST / - Create a new sitemap scan
  * Headers: Authorization: Bearer <token>
- * Body: { sitemapUrl: string }
+ * Body: { sitemapUrl: string }, { siteUrl: string } to discover the sitemap,
+ * { crawlUrl: string, crawl?: { maxDepth?, maxPages?, generateSitemap? } } to crawl the site
+ * or { urls: string[] } to validate a pasted list of pages,
+ * plus optional filters: { include?: Rule[], exclude?: Rule[], maxUrls?: number }
+ * where Rule is { type: 'glob' | 'regex', pattern: string },
+ * optional sampling: { perGroup?: number, seed?: number } to validate only a sample per URL pattern,
+ * optional normalization: { trailingSlash?, removeFragment?, stripTrackingParams?, sortQueryParams? }
+ * optional incremental: { checkContent?: boolean } to only validate URLs changed since the previous scan,
+ * optional validateCss: boolean to also validate the stylesheets and <style> blocks of the pages,
+ * optional validationLevel: error | warning | info for the validator messages kept (default warning),
+ * optional checkAccessibility: boolean to also audit the accessibility of the pages (add-on credits per page)
+ * and optional credentials: { basicAuth?: { username, password }, headers?: Record, cookies?: Record }
+ * for sites behind authentication (defaults to the credentials saved for the site)
  */
 scanRoutes.post(
   '/',
@@ -48,6 +82,38 @@ scanRoutes.post(
   scanController.createScan
 );
 
+/**
+ * POST /upload - Create a scan from an uploaded sitemap file
+ * Headers: Authorization: Bearer <token>
+ * Body (multipart/form-data): file (XML, text, RSS/Atom sitemap, optionally .gz)
+ * and optional options: JSON string { filters?, sampling?, normalization?, incremental?, validateCss?, validationLevel?, checkAccessibility? }
+ */
+scanRoutes.post(
+  '/upload',
+  requireCredits(1), // Require at least 1 credit
+  bodyLimit({
+    maxSize: appConfig.sitemap.maxSizeBytes,
+    onError: (c) => c.json({
+      success: false,
+      error: 'Payload too large',
+      message: `Sitemap files cannot exceed ${appConfig.sitemap.maxSizeBytes} bytes`,
+    }, 413),
+  }),
+  validateForm(scanSchemas.uploadScan),
+  scanController.uploadScan
+);
+
+/**
+ * POST /discover - Discover sitemaps of a site (robots.txt, well-known locations)
+ * Headers: Authorization: Bearer <token>
+ * Body: { siteUrl: string }
+ */
+scanRoutes.post(
+  '/discover',
+  validateBody(scanSchemas.discoverSitemaps),
+  scanController.discoverSitemaps
+);
+
 /**
  * GET / - Get user's scan history
  * Headers: Authorization: Bearer <token>
@@ -68,6 +134,67 @@ scanRoutes.get(
   scanController.getScanStatistics
 );
 
+/**
+ * GET /credentials - List sites with saved credentials (secrets are never returned)
+ * Headers: Authorization: Bearer <token>
+ */
+scanRoutes.get(
+  '/credentials',
+  scanController.listSiteCredentials
+);
+
+/**
+ * PUT /credentials - Save credentials for a site, replacing those saved for its origin
+ * Headers: Authorization: Bearer <token>
+ * Body: { siteUrl: string, credentials: { basicAuth?, headers?, cookies? } }
+ */
+scanRoutes.put(
+  '/credentials',
+  validateBody(scanSchemas.saveSiteCredentials),
+  scanController.saveSiteCredentials
+);
+
+/**
+ * DELETE /credentials/:id - Delete saved site credentials
+ * Headers: Authorization: Bearer <token>
+ */
+scanRoutes.delete(
+  '/credentials/:id',
+  validateParams(scanSchemas.siteCredentialParams),
+  scanController.deleteSiteCredentials
+);
+
+/**
+ * GET /suppressions - List the rules suppressing validator messages accepted on purpose
+ * Headers: Authorization: Bearer <token>
+ */
+scanRoutes.get(
+  '/suppressions',
+  scanController.listSuppressionRules
+);
+
+/**
+ * POST /suppressions - Create a suppression rule, for the account or one site
+ * Headers: Authorization: Bearer <token>
+ * Body: { reason: string, messagePattern?: string (regex), urlPattern?: string (glob),
+ * severity?: 'critical' | 'high' | 'medium' | 'low', siteUrl?: string, expiresAt?: string (ISO 8601) }
+ */
+scanRoutes.post(
+  '/suppressions',
+  validateBody(scanSchemas.createSuppressionRule),
+  scanController.createSuppressionRule
+);
+
+/**
+ * DELETE /suppressions/:id - Delete a suppression rule
+ * Headers: Authorization: Bearer <token>
+ */
+scanRoutes.delete(
+  '/suppressions/:id',
+  validateParams(scanSchemas.suppressionRuleParams),
+  scanController.deleteSuppressionRule
+);
+
 /**
  * GET /:id - Get scan details by ID
  * Headers: Authorization: Bearer <token>
@@ -100,6 +227,18 @@ scanRoutes.get(
   scanController.getScanResults
 );
 
+/**
+ * GET /:id/issues - Get the validator issues grouped across pages, most impactful first
+ * Headers: Authorization: Bearer <token>
+ * Query: ?page=1&limit=20&type=all
+ */
+scanRoutes.get(
+  '/:id/issues',
+  validateParams(scanSchemas.scanParams),
+  validateQuery(scanIssuesQuerySchema),
+  scanController.getScanIssues
+);
+
 /**
  * GET /:id/results/export - Export scan results as CSV
  * Headers: Authorization: Bearer <token>
@@ -110,6 +249,16 @@ scanRoutes.get(
   scanController.exportScanResults
 );
 
+/**
+ * GET /:id/sitemap.xml - Download the sitemap generated by a crawl scan
+ * Headers: Authorization: Bearer <token>
+ */
+scanRoutes.get(
+  '/:id/sitemap.xml',
+  validateParams(scanSchemas.scanParams),
+  scanController.downloadGeneratedSitemap
+);
+
 /**
  * GET /:id/filters - Get available filters for scan results
  * Headers: Authorization: Bearer <token>
@@ -155,7 +304,93 @@ if (process.env.NODE_ENV === 'development') {
             auth: true,
             credits: 'Required (1+ credits)',
             body: {
-              sitemapUrl: 'string (required, valid sitemap URL)',
+              sitemapUrl: 'string (valid sitemap URL, required unless siteUrl, crawlUrl or urls is given)',
+              siteUrl: 'string (site URL, sitemap discovered from robots.txt or well-known locations)',
+              crawlUrl: 'string (start URL, pages discovered by crawling the site breadth-first)',
+              crawl: 'object (optional, { maxDepth, maxPages, generateSitemap: build a downloadable sitemap.xml })',
+              urls: 'string[] (list of page URLs to validate instead of a sitemap)',
+              filters: 'object (optional, { include, exclude: [{ type: glob|regex, pattern }], maxUrls })',
+              sampling: 'object (optional, { perGroup: pages per URL pattern, seed: integer to repeat a sample })',
+              normalization: 'object (optional, { trailingSlash: ignore|keep|add|remove, removeFragment, stripTrackingParams, sortQueryParams })',
+              incremental: 'object (optional, { checkContent: also compare ETag/content hash }, re-validates only changed or new URLs)',
+              validateCss: 'boolean (optional, default false, also validate stylesheets and <style> blocks once per scan)',
+              validationLevel: 'string (optional, error: errors only, warning: errors and warnings (default), info: every message)',
+              checkAccessibility: 'boolean (optional, default false, axe-core WCAG audit of each page, ACCESSIBILITY_CREDIT_COST extra credits per page)',
+              credentials: 'object (optional, { basicAuth: { username, password }, headers, cookies }, encrypted at rest, pages validated by content)',
+            },
+          },
+          {
+            method: 'POST',
+            path: '/upload',
+            description: 'Create a scan from an uploaded sitemap file (multipart/form-data)',
+            auth: true,
+            credits: 'Required (1+ credits)',
+            body: {
+              file: 'file (required, XML, text, RSS or Atom sitemap, optionally gzipped)',
+              options: 'string (optional, JSON { filters, sampling, normalization, incremental, validateCss, validationLevel, checkAccessibility })',
+            },
+          },
+          {
+            method: 'POST',
+            path: '/discover',
+            description: 'Discover sitemap candidates for a site',
+            auth: true,
+            body: {
+              siteUrl: 'string (required, any URL on the site)',
+            },
+          },
+          {
+            method: 'GET',
+            path: '/credentials',
+            description: 'List sites with saved credentials (names only, secrets are never returned)',
+            auth: true,
+          },
+          {
+            method: 'PUT',
+            path: '/credentials',
+            description: 'Save credentials for a site behind authentication (encrypted at rest)',
+            auth: true,
+            body: {
+              siteUrl: 'string (required, any URL on the site, credentials apply to its origin)',
+              credentials: 'object (required, { basicAuth: { username, password }, headers, cookies })',
+            },
+          },
+          {
+            method: 'DELETE',
+            path: '/credentials/:id',
+            description: 'Delete saved site credentials',
+            auth: true,
+            params: {
+              id: 'number (required, site credentials ID)',
+            },
+          },
+          {
+            method: 'GET',
+            path: '/suppressions',
+            description: 'List the rules suppressing validator messages accepted on purpose',
+            auth: true,
+          },
+          {
+            method: 'POST',
+            path: '/suppressions',
+            description: 'Create a suppression rule; matching messages of later scans are kept but flagged with the rule, and no longer make pages invalid nor count in summaries and exports',
+            auth: true,
+            body: {
+              reason: 'string (required, shown next to each suppressed message)',
+              messagePattern: 'string (optional, regular expression searched in the message, case-insensitive)',
+              urlPattern: 'string (optional, glob matched against the page URL, or its path when starting with /)',
+              severity: 'string (optional, one of: critical, high, medium, low)',
+              siteUrl: 'string (optional, limits the rule to the origin of this URL, default: every site of the account)',
+              expiresAt: 'string (optional, ISO 8601 date after which the rule stops applying)',
+            },
+          },
+          {
+            method: 'DELETE',
+            path: '/suppressions/:id',
+            description: 'Delete a suppression rule (past scans keep their flagged messages)',
+            auth: true,
+            params: {
+              id: 'number (required, suppression rule ID)',
             },
           },
           {
@@ -204,7 +439,21 @@ if (process.env.NODE_ENV === 'development') {
             query: {
               page: 'number (optional, default: 1)',
               limit: 'number (optional, default: 20, max: 100)',
-              filter: 'string (optional, one of: all, valid, errors, warnings)',
+              filter: 'string (optional, one of: all, valid, errors, warnings, http, failed, accessibility, seo)',
+            },
+          },
+          {
+            method: 'GET',
+            path: '/:id/issues',
+            description: 'Get validator issues grouped across pages (normalized message and extract), with occurrence count, affected pages, sample URLs and severity, sorted by impact',
+            auth: true,
+            params: {
+              id: 'number (required, scan ID)',
+            },
+            query: {
+              page: 'number (optional, default: 1)',
+              limit: 'number (optional, default: 20, max: 100)',
+              type: 'string (optional, one of: all, errors, warnings)',
             },
           },
           {
@@ -217,6 +466,16 @@ if (process.env.NODE_ENV === 'development') {
             },
             response: 'CSV file download',
           },
+          {
+            method: 'GET',
+            path: '/:id/sitemap.xml',
+            description: 'Download the sitemap.xml generated by a crawl scan',
+            auth: true,
+            params: {
+              id: 'number (required, scan ID)',
+            },
+            response: 'XML file download',
+          },
           {
             method: 'GET',
             path: '/:id/filters',
@@ -249,6 +508,7 @@ if (process.env.NODE_ENV === 'development') {
           'All endpoints require Authentication: Bearer <token> header',
           'Scan creation requires at least 1 credit',
           'Credits are deducted based on number of URLs in sitemap',
+          'URLs that still cannot be validated after retries are refunded and excluded from the valid percentage',
           'Scans can be cancelled only if status is pending or processing',
           'Deleted scans cannot be recovered',
           'CSV export includes all results without pagination',
@@ -264,7 +524,11 @@ if (process.env.NODE_ENV === 'development') {
           { filter: 'all', description: 'All scan results' },
           { filter: 'valid', description: 'Only pages that passed W3C validation' },
           { filter: 'errors', description: 'Only pages with W3C validation errors' },
-          { filter: 'warnings', description: 'Only pages with W3C validation warnings' },
+          { filter: 'warnings', description: 'Only pages with W3C validation warnings (not suppressed)' },
+          { filter: 'http', description: 'Only URLs that redirect, return an HTTP error, time out or are not HTML (not validated, not charged)' },
+          { filter: 'failed', description: 'Only URLs that could not be validated (validator or site unavailable, timeout, not HTML), with their failure category; not charged' },
+          { filter: 'accessibility', description: 'Only pages with accessibility violations (scans with the accessibility audit)' },
+          { filter: 'seo', description: 'Only pages with SEO findings: missing or duplicate title or meta description, missing or multiple h1, foreign canonical, noindex, missing lang' },
         ],
       },
     });
@@ -6,9 +6,17 @@
 import { getDatabase } from '../config/database.js';
 import { logger } from '../utils/logger.js';
 import { addScanJob, getScanJobStatus, cancelScanJob } from '../queues/scanQueue.js';
-import { getSitemapInfo } from '../utils/sitemap.js';
+import { getSitemapInfo, discoverSitemaps } from '../utils/sitemap.js';
+import { validateUrl } from '../utils/validation.js';
+import { hasUrlFilters } from '../utils/urlFilters.js';
+import { generateSamplingSeed, extrapolateSample } from '../utils/urlSampling.js';
+import { groupIssues, getTopIssues } from '../utils/issueGroups.js';
+import { isSuppressed } from '../utils/suppressionRules.js';
+import { DEFAULT_NORMALIZATION } from '../utils/urlNormalization.js';
+import { assertOutboundUrl } from '../utils/outboundRequest.js';
 import { CreditService } from './credit.service.js';
-import { NotFoundError, InsufficientCreditsError, ConflictError } from '../middleware/errorHandler.js';
+import { SiteCredentialService } from './siteCredential.service.js';
+import { NotFoundError, InsufficientCreditsError, ConflictError, ValidationError } from '../middleware/errorHandler.js';
 
 /**
  * Scan service class
@@ -17,24 +25,119 @@ export class ScanService {
   constructor() {
     this.db = getDatabase();
     this.creditService = new CreditService();
+    this.siteCredentialService = new SiteCredentialService();
   }
 
   /**
    * Create a new sitemap scan
    * @param {number} userId - User ID
-   * @param {string} sitemapUrl - Sitemap URL to scan
+   * @param {Object} scanRequest - Validated scan request
+   * @param {string} [scanRequest.sitemapUrl] - Sitemap URL to scan
+   * @param {string} [scanRequest.siteUrl] - Site URL to discover the sitemap from (instead of sitemapUrl)
+   * @param {string} [scanRequest.crawlUrl] - Start URL to crawl the site from (instead of a sitemap)
+   * @param {Array<string>} [scanRequest.urls] - Pasted list of page URLs (instead of a sitemap)
+   * @param {Object} [scanRequest.upload] - Uploaded sitemap file: { name, content } (instead of a sitemap URL)
+   * @param {Object} [scanRequest.crawl] - Crawl depth and page limits, and whether to generate a sitemap
+   * @param {Object} [scanRequest.filters] - Include/exclude rules and URL cap applied before charging
+   * @param {Object} [scanRequest.sampling] - Sampling mode: pages per URL pattern and optional seed
+   * @param {Object} [scanRequest.normalization] - URL normalization options overriding the defaults
+   * @param {Object} [scanRequest.incremental] - Incremental mode: only validate URLs changed since the previous scan
+   * @param {boolean} [scanRequest.validateCss] - Also validate the stylesheets and <style> blocks of the pages
+   * @param {string} [scanRequest.validationLevel] - Validator messages kept: error, warning (errors and warnings) or info (every message)
+   * @param {boolean} [scanRequest.checkAccessibility] - Also audit the accessibility of the pages (add-on credits per page)
+   * @param {Object} [scanRequest.credentials] - Basic auth, headers or cookies for a site behind authentication
+   *   (defaults to the credentials saved for the site)
    * @returns {Promise<Object>} Created scan with job information
    * @throws {InsufficientCreditsError} If user doesn't have enough credits
+   * @throws {NotFoundError} If no sitemap could be discovered for siteUrl
+   * @throws {ValidationError} If the URL points to a private network, a refused port or protocol
    */
-  async createScan(userId, sitemapUrl) {
-    logger.info('Creating new scan', { userId, sitemapUrl });
+  async createScan(userId, {
+    sitemapUrl: requestedSitemapUrl,
+    siteUrl,
+    crawlUrl,
+    crawl,
+    urls,
+    upload,
+    filters,
+    sampling: requestedSampling,
+    normalization,
+    incremental,
+    validateCss = false,
+    validationLevel = 'warning',
+    checkAccessibility = false,
+    credentials,
+  }) {
+    logger.info('Creating new scan', {
+      userId,
+      sitemapUrl: requestedSitemapUrl,
+      siteUrl,
+      crawlUrl,
+      listedUrls: urls?.length,
+      upload: upload && { name: upload.name, size: upload.content.length },
+      crawl,
+      filters,
+      sampling: requestedSampling,
+      normalization,
+      incremental,
+      validateCss,
+      validationLevel,
+      checkAccessibility,
+    });
+
+    const source = crawlUrl ? 'crawl' : upload ? 'upload' : urls ? 'list' : 'sitemap';
+    let sitemapUrl = requestedSitemapUrl;
 
     try {
+      // Refuse internal targets before anything is fetched
+      // (uploaded sitemaps have no URL: their pages are checked when validated)
+      const requestedUrl = crawlUrl || siteUrl || requestedSitemapUrl || urls?.[0];
+      let siteCredentials = null;
+
+      if (requestedUrl) {
+        await this.assertFetchableUrl(requestedUrl);
+
+        // Credentials are only ever sent to the origin of the requested URL
+        siteCredentials = await this.siteCredentialService.resolveScanCredentials(
+          userId,
+          new URL(requestedUrl).origin,
+          credentials
+        );
+      }
+
+      const auth = siteCredentials?.auth || null;
+
+      // Step 0: Discover the sitemap when only the site is known
+      // (crawl scans keep their start URL and find pages in the worker, uploaded files and
+      // URL lists are stored and parsed in the worker like a sitemap)
+      let discovery = null;
+      let sourceContent;
+
+      if (source === 'crawl') {
+        sitemapUrl = validateUrl(crawlUrl);
+      } else if (source === 'upload') {
+        sitemapUrl = upload.name;
+        sourceContent = upload.content;
+      } else if (source === 'list') {
+        sitemapUrl = new URL(validateUrl(urls[0])).origin;
+        sourceContent = Buffer.from(urls.join('\n'), 'utf8');
+      } else if (!sitemapUrl) {
+        discovery = await discoverSitemaps(siteUrl, { auth });
+
+        if (!discovery.sitemapUrl) {
+          throw new NotFoundError(`No sitemap found for ${discovery.origin} in robots.txt or well-known locations`);
+        }
+
+        sitemapUrl = discovery.sitemapUrl;
+      }
+
       // Step 1: Get basic sitemap info for validation
-      const sitemapInfo = await getSitemapInfo(sitemapUrl);
-      
-      if (!sitemapInfo.accessible) {
-        throw new Error(`Sitemap is not accessible: ${sitemapInfo.error || 'Unknown error'}`);
+      if (source === 'sitemap') {
+        const sitemapInfo = await getSitemapInfo(sitemapUrl, { auth });
+        
+        if (!sitemapInfo.accessible) {
+          throw new Error(`Sitemap is not accessible: ${sitemapInfo.error || 'Unknown error'}`);
+        }
       }
 
       // Step 2: Check if user has any credits (preliminary check)
@@ -49,20 +152,48 @@ export class ScanService {
       }
 
       // Step 3: Create scan record in database
+      // The seed is stored so that a sample can be repeated
+      const sampling = requestedSampling
+        ? { perGroup: requestedSampling.perGroup, seed: requestedSampling.seed ?? generateSamplingSeed() }
+        : undefined;
+
       const scan = await this.db.scan.create({
         data: {
           userId,
           sitemapUrl,
+          source,
           status: 'pending',
           totalUrls: 0,
+          crawl: source === 'crawl' ? { generateSitemap: false, ...crawl } : undefined,
+          filters: hasUrlFilters(filters) ? filters : undefined,
+          mode: sampling ? 'sample' : incremental ? 'incremental' : 'full',
+          sampling,
+          normalization: { ...DEFAULT_NORMALIZATION, ...normalization },
+          incremental,
+          validateCss,
+          validationLevel,
+          checkAccessibility,
+          credentials: siteCredentials?.encrypted,
+          authentication: siteCredentials?.authentication,
+          sourceContent: sourceContent ? { create: { content: sourceContent } } : undefined,
         },
       });
 
       // Step 4: Add job to processing queue
+      // (credentials and uploaded content stay in the database, the worker reads them from the scan)
       const job = await addScanJob({
         scanId: scan.id,
         userId,
         sitemapUrl,
+        source: scan.source,
+        crawl: scan.crawl,
+        filters: scan.filters,
+        sampling: scan.sampling,
+        normalization: scan.normalization,
+        incremental: scan.incremental,
+        validateCss: scan.validateCss,
+        validationLevel: scan.validationLevel,
+        checkAccessibility: scan.checkAccessibility,
       });
 
       logger.info('Scan created and queued', {
@@ -77,26 +208,64 @@ export class ScanService {
           id: scan.id,
           userId: scan.userId,
           sitemapUrl: scan.sitemapUrl,
+          source: scan.source,
           status: scan.status,
           startedAt: scan.startedAt,
           totalUrls: scan.totalUrls,
+          crawl: scan.crawl,
+          filters: scan.filters,
+          mode: scan.mode,
+          sampling: scan.sampling,
+          normalization: scan.normalization,
+          incremental: scan.incremental,
+          validateCss: scan.validateCss,
+          validationLevel: scan.validationLevel,
+          checkAccessibility: scan.checkAccessibility,
+          authentication: scan.authentication,
         },
         job: {
           id: job.id,
           state: 'waiting',
           progress: 0,
         },
+        discovery,
       };
     } catch (error) {
-      if (error instanceof InsufficientCreditsError) {
+      if (error instanceof InsufficientCreditsError || error instanceof NotFoundError || error instanceof ValidationError) {
         throw error;
       }
 
-      logger.error('Failed to create scan', { userId, sitemapUrl, error: error.message });
+      logger.error('Failed to create scan', { userId, sitemapUrl, siteUrl, crawlUrl, error: error.message });
       throw new Error(`Failed to create scan: ${error.message}`);
     }
   }
 
+  /**
+   * Discover sitemap candidates for a site
+   * @param {string} siteUrl - Site URL (only its origin is used)
+   * @param {number} userId - User ID (credentials saved for the site are used)
+   * @returns {Promise<Object>} Discovery result with candidates and their sitemap info
+   * @throws {ValidationError} If the URL points to a private network, a refused port or protocol
+   */
+  async discoverSitemaps(siteUrl, userId) {
+    logger.info('Discovering sitemaps for site', { siteUrl });
+
+    try {
+      await this.assertFetchableUrl(siteUrl);
+
+      const siteCredentials = await this.siteCredentialService.resolveScanCredentials(userId, new URL(siteUrl).origin);
+
+      return await discoverSitemaps(siteUrl, { auth: siteCredentials?.auth || null });
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+
+      logger.error('Failed to discover sitemaps', { siteUrl, error: error.message });
+      throw new Error(`Failed to discover sitemaps: ${error.message}`);
+    }
+  }
+
   /**
    * Get scan details by ID
    * @param {number} scanId - Scan ID
@@ -119,9 +288,30 @@ export class ScanService {
             select: {
               id: true,
               url: true,
+              sourceSitemap: true,
+              sampleGroup: true,
+              lastmod: true,
+              inheritedFrom: true,
+              httpStatus: true,
+              finalUrl: true,
+              redirectChain: true,
+              contentType: true,
+              responseTimeMs: true,
+              byteSize: true,
+              httpIssue: true,
               errors: true,
               warnings: true,
+              cssErrors: true,
+              cssWarnings: true,
+              accessibilityViolations: true,
+              accessibilityViolationCount: true,
+              seoIssues: true,
+              seoIssueCount: true,
               isValid: true,
+              fromCache: true,
+              failureCategory: true,
+              failureMessage: true,
+              attempts: true,
               checkedAt: true,
             },
           },
@@ -140,16 +330,49 @@ export class ScanService {
       // Calculate summary statistics
       const summary = this.calculateScanSummary(scan.scanResults);
 
+      // Identical issues across pages, most impactful first
+      summary.topIssues = getTopIssues(scan.scanResults);
+
+      // Sampled scans also estimate the counts for every URL of each pattern
+      if (scan.mode === 'sample' && scan.samplingReport) {
+        summary.sampling = {
+          ...scan.sampling,
+          ...extrapolateSample(scan.scanResults, scan.samplingReport.groups),
+        };
+      }
+
       return {
         scan: {
           id: scan.id,
           userId: scan.userId,
           sitemapUrl: scan.sitemapUrl,
+          source: scan.source,
           status: scan.status,
           startedAt: scan.startedAt,
           finishedAt: scan.finishedAt,
           totalUrls: scan.totalUrls,
+          refundedCredits: scan.refundedCredits,
           errorMsg: scan.errorMsg,
+          sourceFormat: scan.sourceFormat,
+          sitemapReport: scan.sitemapReport,
+          filters: scan.filters,
+          filterReport: scan.filterReport,
+          mode: scan.mode,
+          sampling: scan.sampling,
+          samplingReport: scan.samplingReport,
+          normalization: scan.normalization,
+          crawl: scan.crawl,
+          crawlReport: scan.crawlReport,
+          incremental: scan.incremental,
+          incrementalReport: scan.incrementalReport,
+          urlCheckReport: scan.urlCheckReport,
+          validateCss: scan.validateCss,
+          cssReport: scan.cssReport,
+          validationLevel: scan.validationLevel,
+          checkAccessibility: scan.checkAccessibility,
+          accessibilityReport: scan.accessibilityReport,
+          seoReport: scan.seoReport,
+          authentication: scan.authentication,
         },
         results: scan.scanResults,
         summary,
@@ -215,8 +438,14 @@ export class ScanService {
             select: {
               scanId: true,
               isValid: true,
+              fromCache: true,
+              failureCategory: true,
+              httpIssue: true,
               errors: true,
               warnings: true,
+              cssErrors: true,
+              accessibilityViolationCount: true,
+              seoIssueCount: true,
             },
           })
         : [];
@@ -241,6 +470,7 @@ export class ScanService {
         return {
           id: scan.id,
           sitemapUrl: scan.sitemapUrl,
+          source: scan.source,
           status: scan.status,
           startedAt: scan.startedAt,
           finishedAt: scan.finishedAt,
@@ -298,13 +528,30 @@ export class ScanService {
       switch (filter) {
         case 'errors':
           whereClause.isValid = false;
+          whereClause.failureCategory = null;
           break;
         case 'valid':
           whereClause.isValid = true;
           break;
         case 'warnings':
-          // Need to check if warnings exist
-          whereClause.warnings = { not: null };
+          // Pages with warnings left after suppression rules
+          whereClause.warningCount = { gt: 0 };
+          break;
+        case 'http':
+          // Redirects, HTTP errors, timeouts and non-HTML documents found before validation
+          whereClause.httpIssue = { not: null };
+          break;
+        case 'failed':
+          // URLs that could not be validated (validator or site unavailable), not charged
+          whereClause.failureCategory = { not: null };
+          break;
+        case 'accessibility':
+          // Pages with accessibility violations (scans with the accessibility audit)
+          whereClause.accessibilityViolationCount = { gt: 0 };
+          break;
+        case 'seo':
+          // Pages with SEO findings (title, description, headings, canonical, noindex, lang)
+          whereClause.seoIssueCount = { gt: 0 };
           break;
         // 'all' doesn't add any filter
       }
@@ -318,9 +565,30 @@ export class ScanService {
           select: {
             id: true,
             url: true,
+            sourceSitemap: true,
+            sampleGroup: true,
+            lastmod: true,
+            inheritedFrom: true,
+            httpStatus: true,
+            finalUrl: true,
+            redirectChain: true,
+            contentType: true,
+            responseTimeMs: true,
+            byteSize: true,
+            httpIssue: true,
             errors: true,
             warnings: true,
+            cssErrors: true,
+            cssWarnings: true,
+            accessibilityViolations: true,
+            accessibilityViolationCount: true,
+            seoIssues: true,
+            seoIssueCount: true,
             isValid: true,
+            fromCache: true,
+            failureCategory: true,
+            failureMessage: true,
+            attempts: true,
             checkedAt: true,
           },
         }),
@@ -348,6 +616,112 @@ export class ScanService {
     }
   }
 
+  /**
+   * Get the issues of a scan grouped across pages, sorted by impact
+   * @param {number} scanId - Scan ID
+   * @param {number} userId - User ID (for ownership validation)
+   * @param {Object} options - Query options
+   * @param {number} options.page - Page number
+   * @param {number} options.limit - Issue groups per page
+   * @param {string} options.type - 'all', 'errors' or 'warnings'
+   * @returns {Promise<Object>} Paginated issue groups with occurrence and page counts
+   * @throws {NotFoundError} If scan not found or not owned by user
+   */
+  async getScanIssues(scanId, userId, { page = 1, limit = 20, type = 'all' } = {}) {
+    logger.debug('Getting scan issues', { scanId, userId, page, limit, type });
+
+    try {
+      const scan = await this.db.scan.findFirst({
+        where: {
+          id: scanId,
+          userId: userId,
+        },
+        select: { id: true, status: true },
+      });
+
+      if (!scan) {
+        throw new NotFoundError('Scan not found or not accessible');
+      }
+
+      const results = await this.db.scanResult.findMany({
+        where: { scanId, failureCategory: null },
+        orderBy: { url: 'asc' },
+        select: {
+          url: true,
+          errors: true,
+          warnings: true,
+        },
+      });
+
+      let issues = groupIssues(results);
+
+      if (type === 'errors') {
+        issues = issues.filter(issue => issue.type === 'error');
+      } else if (type === 'warnings') {
+        issues = issues.filter(issue => issue.type === 'warning');
+      }
+
+      const skip = (page - 1) * limit;
+
+      return {
+        issues: issues.slice(skip, skip + limit),
+        pagination: {
+          page,
+          limit,
+          total: issues.length,
+          totalPages: Math.ceil(issues.length / limit),
+        },
+        type,
+        scanStatus: scan.status,
+      };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+
+      logger.error('Failed to get scan issues', { scanId, userId, error: error.message });
+      throw new Error('Failed to retrieve scan issues');
+    }
+  }
+
+  /**
+   * Get the sitemap.xml generated by a crawl scan
+   * @param {number} scanId - Scan ID
+   * @param {number} userId - User ID (for ownership validation)
+   * @returns {Promise<string>} sitemap.xml content
+   * @throws {NotFoundError} If scan not found, not owned by user or without a generated sitemap
+   */
+  async getGeneratedSitemap(scanId, userId) {
+    logger.debug('Getting generated sitemap', { scanId, userId });
+
+    try {
+      const scan = await this.db.scan.findFirst({
+        where: {
+          id: scanId,
+          userId: userId,
+        },
+        select: { id: true, generatedSitemap: true },
+      });
+
+      if (!scan) {
+        throw new NotFoundError('Scan not found or not accessible');
+      }
+
+      if (!scan.generatedSitemap) {
+        throw new NotFoundError('No sitemap was generated for this scan');
+      }
+
+      return scan.generatedSitemap;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+
+      logger.error('Failed to get generated sitemap', { scanId, userId, error: error.message });
+      throw new Error('Failed to retrieve generated sitemap');
+    }
+  }
+
   /**
    * Cancel a running scan
    * @param {number} scanId - Scan ID
@@ -441,6 +815,20 @@ export class ScanService {
     }
   }
 
+  /**
+   * Check that a customer URL may be fetched by the scanner
+   * @param {string} url - Sitemap, site or crawl start URL
+   * @returns {Promise<void>}
+   * @throws {ValidationError} If the URL points to a private network, a refused port or protocol
+   */
+  async assertFetchableUrl(url) {
+    try {
+      await assertOutboundUrl(url);
+    } catch (error) {
+      throw new ValidationError(`URL cannot be scanned: ${error.message}`);
+    }
+  }
+
   /**
    * Calculate summary statistics from scan results
    * @param {Array<Object>} results - Array of scan results
@@ -454,6 +842,16 @@ export class ScanService {
         invalid: 0,
         totalErrors: 0,
         totalWarnings: 0,
+        totalCssErrors: 0,
+        totalAccessibilityViolations: 0,
+        pagesWithAccessibilityViolations: 0,
+        totalSeoIssues: 0,
+        pagesWithSeoIssues: 0,
+        httpIssues: 0,
+        cacheHits: 0,
+        failed: 0,
+        failureCategories: {},
+        suppressed: 0,
         validPercentage: 0,
       };
     }
@@ -464,25 +862,71 @@ export class ScanService {
       invalid: 0,
       totalErrors: 0,
       totalWarnings: 0,
+      totalCssErrors: 0,
+      totalAccessibilityViolations: 0,
+      pagesWithAccessibilityViolations: 0,
+      totalSeoIssues: 0,
+      pagesWithSeoIssues: 0,
+      httpIssues: 0,
+      cacheHits: 0,
+      failed: 0,
+      failureCategories: {},
+      suppressed: 0,
     };
 
     results.forEach(result => {
+      if (result.httpIssue) {
+        summary.httpIssues++;
+      }
+
+      // SEO findings come from the HTML read before validation, validated or not
+      if (result.seoIssueCount > 0) {
+        summary.totalSeoIssues += result.seoIssueCount;
+        summary.pagesWithSeoIssues++;
+      }
+
+      // URLs that could not be validated are neither valid nor invalid HTML
+      if (result.failureCategory) {
+        summary.failed++;
+        summary.failureCategories[result.failureCategory] = (summary.failureCategories[result.failureCategory] || 0) + 1;
+        return;
+      }
+
       if (result.isValid) {
         summary.valid++;
       } else {
         summary.invalid++;
       }
 
+      // Messages accepted on purpose (suppression rules) are kept out of the counts
       if (result.errors && Array.isArray(result.errors)) {
-        summary.totalErrors += result.errors.length;
+        const errors = result.errors.filter(error => !isSuppressed(error));
+        summary.totalErrors += errors.length;
+        summary.suppressed += result.errors.length - errors.length;
       }
 
       if (result.warnings && Array.isArray(result.warnings)) {
-        summary.totalWarnings += result.warnings.length;
+        const warnings = result.warnings.filter(warning => !isSuppressed(warning));
+        summary.totalWarnings += warnings.length;
+        summary.suppressed += result.warnings.length - warnings.length;
+      }
+
+      if (result.cssErrors && Array.isArray(result.cssErrors)) {
+        summary.totalCssErrors += result.cssErrors.length;
+      }
+
+      if (result.accessibilityViolationCount > 0) {
+        summary.totalAccessibilityViolations += result.accessibilityViolationCount;
+        summary.pagesWithAccessibilityViolations++;
+      }
+
+      if (result.fromCache) {
+        summary.cacheHits++;
       }
     });
 
-    summary.validPercentage = Math.round((summary.valid / summary.total) * 100);
+    const validated = summary.valid + summary.invalid;
+    summary.validPercentage = validated > 0 ? Math.round((summary.valid / validated) * 100) : 0;
 
     return summary;
   }
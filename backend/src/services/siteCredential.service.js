@@ -0,0 +1,169 @@
+/**
+ * Site credential service
+ * @fileoverview Business logic for credentials of sites behind authentication (staging, pre-production)
+ */
+
+import { getDatabase } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { validateUrl } from '../utils/validation.js';
+import {
+  isCredentialEncryptionEnabled,
+  encryptCredentials,
+  decryptCredentials,
+  describeCredentials,
+  createSiteAuth,
+} from '../utils/credentials.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+
+/**
+ * Fields of saved site credentials returned by the API (never the secrets)
+ */
+const SITE_CREDENTIAL_SELECT = {
+  id: true,
+  origin: true,
+  authentication: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Site credential service class
+ */
+export class SiteCredentialService {
+  constructor() {
+    this.db = getDatabase();
+  }
+
+  /**
+   * Ensure credentials can be encrypted at rest on this deployment
+   * @returns {void}
+   * @throws {ValidationError} If no encryption key is configured
+   */
+  assertEncryptionEnabled() {
+    if (!isCredentialEncryptionEnabled()) {
+      throw new ValidationError('Authenticated scans are not available: credential encryption is not configured');
+    }
+  }
+
+  /**
+   * List the sites a user saved credentials for
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<Object>>} Saved site credentials, without secrets
+   */
+  async listSiteCredentials(userId) {
+    logger.debug('Listing site credentials', { userId });
+
+    try {
+      return await this.db.siteCredential.findMany({
+        where: { userId },
+        select: SITE_CREDENTIAL_SELECT,
+        orderBy: { origin: 'asc' },
+      });
+    } catch (error) {
+      logger.error('Failed to list site credentials', { userId, error: error.message });
+      throw new Error('Failed to retrieve site credentials');
+    }
+  }
+
+  /**
+   * Save the credentials of a site, replacing those already saved for its origin
+   * @param {number} userId - User ID
+   * @param {Object} request - Validated request
+   * @param {string} request.siteUrl - Any URL of the site (only its origin is used)
+   * @param {Object} request.credentials - Credentials ({ basicAuth?, headers?, cookies? })
+   * @returns {Promise<Object>} Saved site credentials, without secrets
+   * @throws {ValidationError} If credential encryption is not configured
+   */
+  async saveSiteCredentials(userId, { siteUrl, credentials }) {
+    const origin = new URL(validateUrl(siteUrl)).origin;
+    logger.info('Saving site credentials', { userId, origin });
+
+    this.assertEncryptionEnabled();
+
+    try {
+      const data = {
+        credentials: encryptCredentials(credentials),
+        authentication: describeCredentials(credentials),
+      };
+
+      return await this.db.siteCredential.upsert({
+        where: { userId_origin: { userId, origin } },
+        create: { userId, origin, ...data },
+        update: data,
+        select: SITE_CREDENTIAL_SELECT,
+      });
+    } catch (error) {
+      logger.error('Failed to save site credentials', { userId, origin, error: error.message });
+      throw new Error('Failed to save site credentials');
+    }
+  }
+
+  /**
+   * Delete saved site credentials
+   * @param {number} credentialId - Site credential ID
+   * @param {number} userId - User ID (for ownership validation)
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} If the credentials are not found or not owned by user
+   */
+  async deleteSiteCredentials(credentialId, userId) {
+    logger.info('Deleting site credentials', { credentialId, userId });
+
+    try {
+      const { count } = await this.db.siteCredential.deleteMany({
+        where: { id: credentialId, userId },
+      });
+
+      if (count === 0) {
+        throw new NotFoundError('Site credentials not found or not accessible');
+      }
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+
+      logger.error('Failed to delete site credentials', { credentialId, userId, error: error.message });
+      throw new Error('Failed to delete site credentials');
+    }
+  }
+
+  /**
+   * Resolve the credentials of a scan: those given with the request, or those saved for the site
+   * @param {number} userId - User ID
+   * @param {string} origin - Origin of the scanned site
+   * @param {Object} [credentials] - Credentials given with the scan request
+   * @returns {Promise<Object|null>} { encrypted, authentication (origin and credential names), auth }, or null for public sites
+   * @throws {ValidationError} If credentials are given but cannot be encrypted
+   */
+  async resolveScanCredentials(userId, origin, credentials) {
+    if (credentials) {
+      this.assertEncryptionEnabled();
+
+      return {
+        encrypted: encryptCredentials(credentials),
+        authentication: { origin, ...describeCredentials(credentials) },
+        auth: createSiteAuth(origin, credentials),
+      };
+    }
+
+    if (!isCredentialEncryptionEnabled()) {
+      return null;
+    }
+
+    const saved = await this.db.siteCredential.findUnique({
+      where: { userId_origin: { userId, origin } },
+      select: { credentials: true, authentication: true },
+    });
+
+    if (!saved) {
+      return null;
+    }
+
+    logger.debug('Using saved site credentials', { userId, origin });
+
+    return {
+      encrypted: saved.credentials,
+      authentication: { origin, ...saved.authentication },
+      auth: createSiteAuth(origin, decryptCredentials(saved.credentials)),
+    };
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Suppression rule service
+ * @fileoverview Business logic for the rules flagging validator messages a user accepted on purpose
+ */
+
+import { getDatabase } from '../config/database.js';
+import { logger } from '../utils/logger.js';
+import { validateUrl } from '../utils/validation.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+
+/**
+ * Fields of suppression rules returned by the API
+ */
+const SUPPRESSION_RULE_SELECT = {
+  id: true,
+  origin: true,
+  messagePattern: true,
+  urlPattern: true,
+  severity: true,
+  reason: true,
+  expiresAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Suppression rule service class
+ */
+export class SuppressionRuleService {
+  constructor() {
+    this.db = getDatabase();
+  }
+
+  /**
+   * List the suppression rules of a user, expired ones included
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<Object>>} Suppression rules, site-wide ones first
+   */
+  async listSuppressionRules(userId) {
+    logger.debug('Listing suppression rules', { userId });
+
+    try {
+      return await this.db.suppressionRule.findMany({
+        where: { userId },
+        select: SUPPRESSION_RULE_SELECT,
+        orderBy: [{ origin: 'asc' }, { createdAt: 'asc' }],
+      });
+    } catch (error) {
+      logger.error('Failed to list suppression rules', { userId, error: error.message });
+      throw new Error('Failed to retrieve suppression rules');
+    }
+  }
+
+  /**
+   * Create a suppression rule, for the whole account or for one site
+   * @param {number} userId - User ID
+   * @param {Object} request - Validated request
+   * @param {string} [request.siteUrl] - Any URL of the site the rule is limited to (only its origin is used)
+   * @param {string} [request.messagePattern] - Regular expression searched in the message
+   * @param {string} [request.urlPattern] - Glob matched against the page URL
+   * @param {string} [request.severity] - Severity of the messages
+   * @param {string} request.reason - Why the messages are accepted
+   * @param {string} [request.expiresAt] - Date after which the rule stops applying
+   * @returns {Promise<Object>} Created suppression rule
+   */
+  async createSuppressionRule(userId, { siteUrl, messagePattern, urlPattern, severity, reason, expiresAt }) {
+    const origin = siteUrl ? new URL(validateUrl(siteUrl)).origin : null;
+    logger.info('Creating suppression rule', { userId, origin });
+
+    try {
+      return await this.db.suppressionRule.create({
+        data: {
+          userId,
+          origin,
+          messagePattern: messagePattern || null,
+          urlPattern: urlPattern || null,
+          severity: severity || null,
+          reason,
+          expiresAt: expiresAt ? new Date(expiresAt) : null,
+        },
+        select: SUPPRESSION_RULE_SELECT,
+      });
+    } catch (error) {
+      logger.error('Failed to create suppression rule', { userId, origin, error: error.message });
+      throw new Error('Failed to create suppression rule');
+    }
+  }
+
+  /**
+   * Delete a suppression rule
+   * Messages already flagged by the rule stay suppressed in past scans.
+   * @param {number} ruleId - Suppression rule ID
+   * @param {number} userId - User ID (for ownership validation)
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} If the rule is not found or not owned by user
+   */
+  async deleteSuppressionRule(ruleId, userId) {
+    logger.info('Deleting suppression rule', { ruleId, userId });
+
+    try {
+      const { count } = await this.db.suppressionRule.deleteMany({
+        where: { id: ruleId, userId },
+      });
+
+      if (count === 0) {
+        throw new NotFoundError('Suppression rule not found or not accessible');
+      }
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        throw error;
+      }
+
+      logger.error('Failed to delete suppression rule', { ruleId, userId, error: error.message });
+      throw new Error('Failed to delete suppression rule');
+    }
+  }
+
+  /**
+   * Get the rules applied to the results of a scan: those of the account that have not expired
+   * (site rules are matched against the origin of each page)
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<Object>>} Active suppression rules
+   */
+  async getActiveRules(userId) {
+    return this.db.suppressionRule.findMany({
+      where: {
+        userId,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+      },
+      select: SUPPRESSION_RULE_SELECT,
+      orderBy: { createdAt: 'asc' },
+    });
+  }
+}
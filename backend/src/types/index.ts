@@ -27,9 +27,43 @@ export interface AppConfig {
   };
   w3c: {
     validatorUrl: string;
+    backend: 'public' | 'nu-http' | 'vnu-cli';
+    concurrency: number;
+    vnuCommand: string;
+    vnuBatchSize: number;
+    cacheTtlSeconds: number;
+    validatorVersion?: string;
+    maxRetries: number;
+    retryDelayMs: number;
     maxSitemapUrls: number;
     scanTimeoutMs: number;
   };
+  css: {
+    validatorUrl: string;
+    profile: string;
+    requestIntervalMs: number;
+  };
+  accessibility: {
+    creditCost: number;
+  };
+  sitemap: {
+    indexMaxDepth: number;
+    indexMaxChildren: number;
+    maxSizeBytes: number;
+  };
+  crawl: {
+    maxDepth: number;
+    maxPages: number;
+    requestDelayMs: number;
+  };
+  outbound: {
+    allowedPorts: number[];
+    allowlist: string[];
+    maxResponseBytes: number;
+  };
+  credentials: {
+    encryptionKey?: string;
+  };
   rateLimit: {
     windowMs: number;
     maxRequests: number;
@@ -140,11 +174,63 @@ export interface CreditStatistics {
  */
 export interface W3CMessage {
   type: 'error' | 'info' | 'warning';
+  subType?: 'fatal' | 'warning';
   message: string;
   line?: number;
   column?: number;
+  firstLine?: number;
+  lastLine?: number;
+  firstColumn?: number;
+  lastColumn?: number;
   extract?: string;
+  hiliteStart?: number;
+  hiliteLength?: number;
   severity: 'critical' | 'high' | 'medium' | 'low';
+  fingerprint?: string;
+  suppressedBy?: {
+    ruleId: number;
+    reason: string;
+  };
+}
+
+/**
+ * Validator messages kept by a scan: errors only, errors and warnings, or every message
+ */
+export type ValidationLevel = 'error' | 'warning' | 'info';
+
+/**
+ * Validator message grouped across the pages of a scan (normalized text and extract)
+ */
+export interface IssueGroup {
+  fingerprint: string;
+  type: 'error' | 'warning';
+  severity: 'critical' | 'high' | 'medium' | 'low';
+  message: string;
+  extract?: string;
+  occurrences: number;
+  pages: number;
+  sampleUrls: string[];
+  impact: number;
+}
+
+/**
+ * Why a URL could not be validated, kept apart from markup errors
+ */
+export type ValidationFailureCategory =
+  | 'validator_unavailable'
+  | 'target_unreachable'
+  | 'target_timeout'
+  | 'target_http_error'
+  | 'target_blocked'
+  | 'non_html';
+
+/**
+ * URL that could not be validated after retries
+ */
+export interface ValidationFailure {
+  category: ValidationFailureCategory;
+  message: string;
+  attempts: number;
 }
 
 /**
@@ -155,6 +241,13 @@ export interface W3CValidationResult {
   isValid: boolean;
   errors: W3CMessage[];
   warnings: W3CMessage[];
+  cssErrors?: CssFinding[];
+  cssWarnings?: CssFinding[];
+  accessibilityViolations?: AccessibilityViolation[];
+  seoIssues?: SeoIssue[];
+  fromCache?: boolean;
+  attempts?: number;
+  failure?: ValidationFailure;
   summary: {
     errorCount: number;
     warningCount: number;
@@ -163,6 +256,54 @@ export interface W3CValidationResult {
   raw?: any;
 }
 
+/**
+ * Format of a URL source document
+ */
+export type SitemapFormat = 'urlset' | 'sitemapindex' | 'text' | 'rss' | 'atom';
+
+/**
+ * Sitemap fetched while expanding a sitemap index
+ */
+export interface ProcessedSitemap {
+  url: string;
+  type: SitemapFormat | null;
+  depth: number;
+  urlCount: number;
+  error?: string;
+}
+
+/**
+ * Sitemap protocol conformance issue, aggregated per code and sitemap
+ */
+export interface SitemapConformanceIssue {
+  code: string;
+  severity: 'error' | 'warning';
+  message: string;
+  sitemapUrl: string;
+  count: number;
+  samples: string[];
+}
+
+/**
+ * Sitemap protocol conformance report
+ */
+export interface SitemapConformanceReport {
+  conforms: boolean;
+  checkedAt: string;
+  sitemaps: Array<{
+    url: string;
+    type: SitemapFormat | null;
+    entryCount: number;
+    size: number;
+  }>;
+  summary: {
+    errors: number;
+    warnings: number;
+    issueTypes: Record<string, number>;
+  };
+  issues: SitemapConformanceIssue[];
+}
+
 /**
  * Sitemap validation result
  */
@@ -170,12 +311,17 @@ export interface SitemapValidationResult {
   isValid: boolean;
   urlCount: number;
   urls: string[];
+  sources: Record<string, string>;
+  lastmods: Record<string, string>;
+  format: SitemapFormat | null;
+  report: SitemapConformanceReport | null;
   warnings: string[];
   error?: string;
   metadata: {
     fetchedAt: string;
     contentSize?: number;
     sitemapUrl: string;
+    sitemaps?: ProcessedSitemap[];
     domains?: string[];
   };
 }
@@ -212,7 +358,19 @@ export interface ScanSummary {
   invalid: number;
   totalErrors: number;
   totalWarnings: number;
+  totalCssErrors: number;
+  totalAccessibilityViolations: number;
+  pagesWithAccessibilityViolations: number;
+  totalSeoIssues: number;
+  pagesWithSeoIssues: number;
+  httpIssues: number;
+  cacheHits: number;
+  failed: number;
+  failureCategories: Partial<Record<ValidationFailureCategory, number>>;
+  suppressed: number;
   validPercentage: number;
+  topIssues?: IssueGroup[];
+  sampling?: SamplingSummary;
 }
 
 /**
@@ -223,11 +381,36 @@ export interface ScanDetails {
     id: number;
     userId: number;
     sitemapUrl: string;
+    source: ScanSource;
     status: string;
     startedAt: Date;
     finishedAt?: Date;
     totalUrls?: number;
+    refundedCredits: number;
     errorMsg?: string;
+    sourceFormat?: SitemapFormat | null;
+    sitemapReport?: SitemapConformanceReport | null;
+    filters?: UrlFilters | null;
+    filterReport?: UrlFilterReport | null;
+    mode: 'full' | 'sample' | 'incremental';
+    sampling?: SamplingOptions | null;
+    samplingReport?: {
+      populationUrls: number;
+      groups: SamplingGroup[];
+    } | null;
+    normalization?: UrlNormalizationOptions | null;
+    crawl?: CrawlOptions | null;
+    crawlReport?: CrawlReport | null;
+    incremental?: IncrementalOptions | null;
+    incrementalReport?: IncrementalReport | null;
+    urlCheckReport?: UrlCheckReport | null;
+    validateCss: boolean;
+    cssReport?: CssReport | null;
+    validationLevel: ValidationLevel;
+    checkAccessibility: boolean;
+    accessibilityReport?: AccessibilityReport | null;
+    seoReport?: SeoReport | null;
+    authentication?: ScanAuthentication | null;
   };
   results: ScanResult[];
   summary: ScanSummary;
@@ -284,6 +467,318 @@ export interface ValidationProgress {
   error?: string;
 }
 
+/**
+ * URL filter rule
+ */
+export interface UrlFilterRule {
+  type: 'glob' | 'regex';
+  pattern: string;
+}
+
+/**
+ * Per-scan URL filters
+ */
+export interface UrlFilters {
+  include: UrlFilterRule[];
+  exclude: UrlFilterRule[];
+  maxUrls?: number;
+}
+
+/**
+ * URL counts per filter rule
+ */
+export interface UrlFilterReport {
+  inputUrls: number;
+  keptUrls: number;
+  notIncluded: number;
+  overLimit: number;
+  include: Array<UrlFilterRule & { matched: number }>;
+  exclude: Array<UrlFilterRule & { excluded: number }>;
+}
+
+/**
+ * URL normalization options
+ */
+export interface UrlNormalizationOptions {
+  trailingSlash: 'ignore' | 'keep' | 'add' | 'remove';
+  removeFragment: boolean;
+  stripTrackingParams: boolean;
+  sortQueryParams: boolean;
+}
+
+/**
+ * Sampling mode options
+ */
+export interface SamplingOptions {
+  perGroup: number;
+  seed: number;
+}
+
+/**
+ * URL pattern with its population and sample sizes
+ */
+export interface SamplingGroup {
+  pattern: string;
+  totalUrls: number;
+  sampledUrls: number;
+}
+
+/**
+ * Sampled results extrapolated to every URL of each pattern
+ */
+export interface SamplingSummary extends SamplingOptions {
+  groups: Array<SamplingGroup & {
+    validatedUrls: number;
+    invalidUrls: number;
+    errors: number;
+    warnings: number;
+    estimatedInvalidUrls: number;
+    estimatedErrors: number;
+    estimatedWarnings: number;
+  }>;
+  estimated: {
+    totalUrls: number;
+    validatedUrls: number;
+    invalidUrls: number;
+    totalErrors: number;
+    totalWarnings: number;
+  };
+}
+
+/**
+ * Where the URLs of a scan come from
+ */
+export type ScanSource = 'sitemap' | 'crawl' | 'upload' | 'list';
+
+/**
+ * Crawl mode options
+ */
+export interface CrawlOptions {
+  maxDepth?: number;
+  maxPages?: number;
+  generateSitemap: boolean;
+}
+
+/**
+ * Pages fetched and skipped while crawling a site
+ */
+export interface CrawlReport {
+  startUrl: string;
+  robotsTxt: boolean;
+  maxDepth: number;
+  maxPages: number;
+  pagesFetched: number;
+  depthReached: number;
+  truncated: boolean;
+  sitemapGenerated: boolean;
+  skipped: {
+    robots: number;
+    nofollow: number;
+    external: number;
+    nonHtml: number;
+    errors: number;
+  };
+}
+
+/**
+ * Incremental mode options
+ */
+export interface IncrementalOptions {
+  checkContent: boolean;
+}
+
+/**
+ * Comparison of an incremental scan with the previous scan of the same sitemap
+ */
+export interface IncrementalReport {
+  previousScanId: number | null;
+  previousUrls: number;
+  validatedUrls: number;
+  inheritedUrls: number;
+  removedUrls: number;
+  reasons: {
+    new: number;
+    lastmodChanged: number;
+    contentChanged: number;
+    noChangeSignal: number;
+    previousFailed: number;
+  };
+}
+
+/**
+ * HTTP issue found when a URL is checked before validation
+ */
+export type HttpIssue = 'redirect' | 'http_status' | 'not_html' | 'timeout' | 'unreachable';
+
+/**
+ * URLs checked before validation: those skipped (not validated, not charged) and counts per HTTP issue
+ */
+export interface UrlCheckReport {
+  checkedUrls: number;
+  skippedUrls: number;
+  issues: Record<HttpIssue, number>;
+}
+
+/**
+ * CSS finding of a page: stylesheet URL (or page URL for <style> blocks) and line
+ */
+export interface CssFinding {
+  type: 'css';
+  file: string;
+  line?: number;
+  message: string;
+  context?: string;
+  severity: 'high' | 'low';
+}
+
+/**
+ * CSS validation pass of a scan: pages read, stylesheets and <style> blocks validated once each, failures
+ */
+export interface CssReport {
+  pages: number;
+  stylesheets: number;
+  styleBlocks: number;
+  failed: number;
+}
+
+/**
+ * Accessibility violation of a page element found by axe-core
+ */
+export interface AccessibilityViolation {
+  type: 'accessibility';
+  ruleId: string;
+  impact: 'critical' | 'serious' | 'moderate' | 'minor';
+  severity: 'critical' | 'high' | 'medium' | 'low';
+  message: string;
+  wcag: string[];
+  level: 'A' | 'AA' | null;
+  selector: string;
+  html: string;
+  helpUrl: string;
+}
+
+/**
+ * Accessibility audit of a scan: pages audited, violations found, pages that could not be audited
+ */
+export interface AccessibilityReport {
+  pages: number;
+  violations: number;
+  failed: number;
+  axeVersion: string;
+}
+
+/**
+ * On-page SEO data read from the HTML of a page when its URL is checked
+ */
+export interface SeoData {
+  title: string | null;
+  description: string | null;
+  h1Count: number;
+  canonical: string | null;
+  noindex: boolean;
+  lang: string | null;
+}
+
+/**
+ * SEO rules run on every page
+ */
+export type SeoRule =
+  | 'title_missing'
+  | 'title_duplicate'
+  | 'description_missing'
+  | 'description_duplicate'
+  | 'h1_missing'
+  | 'h1_multiple'
+  | 'canonical_mismatch'
+  | 'noindex'
+  | 'lang_missing';
+
+/**
+ * SEO finding of a page
+ */
+export interface SeoIssue {
+  type: 'seo';
+  rule: SeoRule;
+  severity: 'high' | 'medium' | 'low';
+  message: string;
+}
+
+/**
+ * Title or meta description shared by several pages of a scan
+ */
+export interface SeoDuplicate {
+  value: string;
+  pages: number;
+  sampleUrls: string[];
+}
+
+/**
+ * SEO checks of a scan: pages read, findings per rule, duplicates across pages
+ */
+export interface SeoReport {
+  pages: number;
+  pagesWithIssues: number;
+  issues: Record<SeoRule, number>;
+  duplicates: {
+    titles: SeoDuplicate[];
+    descriptions: SeoDuplicate[];
+  };
+}
+
+/**
+ * Credentials for a site behind authentication (write-only: never returned by the API)
+ */
+export interface SiteCredentials {
+  basicAuth?: {
+    username: string;
+    password: string;
+  };
+  headers?: Record<string, string>;
+  cookies?: Record<string, string>;
+}
+
+/**
+ * Description of site credentials without their secrets
+ */
+export interface CredentialsDescription {
+  basicAuth: boolean;
+  headers: string[];
+  cookies: string[];
+}
+
+/**
+ * Credentials used by a scan: origin they are sent to and their description
+ */
+export interface ScanAuthentication extends CredentialsDescription {
+  origin: string;
+}
+
+/**
+ * Credentials saved for a site, as returned by the API
+ */
+export interface SavedSiteCredentials {
+  id: number;
+  origin: string;
+  authentication: CredentialsDescription;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
+/**
+ * Rule suppressing validator messages accepted on purpose, for the account (origin null) or one site
+ */
+export interface SuppressionRule {
+  id: number;
+  origin: string | null;
+  messagePattern: string | null;
+  urlPattern: string | null;
+  severity: 'critical' | 'high' | 'medium' | 'low' | null;
+  reason: string;
+  expiresAt: Date | null;
+  createdAt: Date;
+  updatedAt: Date;
+}
+
 /**
  * BullMQ scan job data
  */
@@ -291,6 +786,15 @@ export interface ScanJobData {
   scanId: number;
   userId: number;
   sitemapUrl: string;
+  source?: ScanSource;
+  crawl?: CrawlOptions | null;
+  filters?: UrlFilters | null;
+  sampling?: SamplingOptions | null;
+  normalization?: Partial<UrlNormalizationOptions> | null;
+  incremental?: IncrementalOptions | null;
+  validateCss?: boolean;
+  validationLevel?: ValidationLevel;
+  checkAccessibility?: boolean;
 }
 
 /**
@@ -309,6 +813,21 @@ export interface JobStatus {
   maxAttempts?: number;
 }
 
+/**
+ * Budget of a rate limiter shared by all workers
+ */
+export interface RateLimitStatus {
+  name: string;
+  capacity: number;
+  intervalMs: number;
+  effectiveIntervalMs: number;
+  slowdownFactor: number;
+  tokens: number;
+  blockedForMs: number;
+  waiting: number;
+  estimatedWaitMs: number;
+}
+
 /**
  * Queue statistics
  */
@@ -318,6 +837,7 @@ export interface QueueStats {
   completed: number;
   failed: number;
   delayed: number;
+  validatorRateLimit: RateLimitStatus | null;
 }
 
 /**
@@ -360,7 +880,7 @@ export interface PaginationOptions {
  * Scan filter options
  */
 export interface ScanFilterOptions extends PaginationOptions {
-  filter?: 'all' | 'valid' | 'errors' | 'warnings';
+  filter?: 'all' | 'valid' | 'errors' | 'warnings' | 'http' | 'failed' | 'accessibility' | 'seo';
 }
 
 /**
@@ -0,0 +1,139 @@
+/**
+ * Accessibility audit utilities
+ * @fileoverview Run axe-core in jsdom (no browser) against the HTML read when URLs are checked,
+ * and report WCAG violations by rule, impact and selector
+ */
+
+import axe from 'axe-core';
+import { JSDOM, VirtualConsole } from 'jsdom';
+import { logger } from './logger.js';
+
+/**
+ * Markup kept per violating element
+ */
+const MAX_HTML_LENGTH = 250;
+
+/**
+ * WCAG 2.x levels A and AA checked by the audit
+ */
+const WCAG_TAGS = ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa'];
+
+/**
+ * Rules that need layout or rendering, which jsdom does not compute
+ * (they would only report incomplete results)
+ */
+const LAYOUT_RULES = ['color-contrast', 'link-in-text-block', 'target-size'];
+
+/**
+ * Internal severity of axe-core impacts
+ */
+const IMPACT_SEVERITIES = {
+  critical: 'critical',
+  serious: 'high',
+  moderate: 'medium',
+  minor: 'low',
+};
+
+/**
+ * Get the WCAG success criteria of an axe-core rule from its tags
+ * @param {Array<string>} tags - Rule tags
+ * @returns {Array<string>} Success criteria, e.g. ['1.1.1']
+ * @example
+ * getWcagCriteria(['cat.forms', 'wcag2a', 'wcag412', 'wcag1410']) // ['4.1.2', '1.4.10']
+ */
+export const getWcagCriteria = (tags) => tags
+  .filter(tag => /^wcag\d{3,}$/.test(tag))
+  .map(tag => `${tag[4]}.${tag[5]}.${tag.slice(6)}`);
+
+/**
+ * Get the WCAG conformance level of an axe-core rule from its tags
+ * @param {Array<string>} tags - Rule tags
+ * @returns {string|null} 'A', 'AA' or null for best practices
+ */
+const getWcagLevel = (tags) => {
+  const level = tags.find(tag => /^wcag2\d*a{1,2}$/.test(tag));
+  return level ? level.replace(/^wcag2\d*/, '').toUpperCase() : null;
+};
+
+/**
+ * Flatten axe-core violations into one finding per violating element
+ * @param {Array<Object>} violations - axe-core violations
+ * @returns {Array<Object>} Findings: { type, ruleId, impact, severity, message, wcag, level, selector, html, helpUrl }
+ */
+const toFindings = (violations) => violations.flatMap(violation => violation.nodes.map(node => {
+  const impact = node.impact || violation.impact || 'moderate';
+
+  return {
+    type: 'accessibility',
+    ruleId: violation.id,
+    impact,
+    severity: IMPACT_SEVERITIES[impact] || 'medium',
+    message: violation.help,
+    wcag: getWcagCriteria(violation.tags),
+    level: getWcagLevel(violation.tags),
+    // Elements inside iframes or shadow roots have one selector per level
+    selector: node.target.flat().join(' '),
+    html: node.html.length > MAX_HTML_LENGTH ? `${node.html.slice(0, MAX_HTML_LENGTH)}…` : node.html,
+    helpUrl: violation.helpUrl,
+  };
+}));
+
+/**
+ * Audit the accessibility of an HTML document with axe-core
+ * Page scripts are not run and no subresource is loaded: the audit sees the served markup.
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL (resolves relative links)
+ * @returns {Promise<Array<Object>>} Violations, one per element, most severe first
+ */
+export const auditHtml = async (html, url) => {
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole(),
+  });
+
+  try {
+    dom.window.eval(axe.source);
+
+    const { violations } = await dom.window.axe.run(dom.window.document, {
+      runOnly: { type: 'tag', values: WCAG_TAGS },
+      rules: Object.fromEntries(LAYOUT_RULES.map(rule => [rule, { enabled: false }])),
+      resultTypes: ['violations'],
+    });
+
+    const severities = Object.values(IMPACT_SEVERITIES);
+    return toFindings(violations)
+      .sort((a, b) => severities.indexOf(a.severity) - severities.indexOf(b.severity));
+  } finally {
+    dom.window.close();
+  }
+};
+
+/**
+ * Collect the accessibility audits of pages, run on their HTML when their URL was checked
+ * @param {Array<string>} urls - Page URLs
+ * @param {Map<string, Object>} checks - URL checks run with the audit (see checkUrls())
+ * @returns {Object} { pages: Map<url, violations>, report: { pages, violations, failed, axeVersion } }
+ */
+export const collectAccessibilityAudits = (urls, checks) => {
+  const report = { pages: 0, violations: 0, failed: 0, axeVersion: axe.version };
+  const pages = new Map();
+
+  for (const url of urls) {
+    // Pages too large to be read, or whose audit failed, have no violation list
+    const violations = checks.get(url)?.accessibilityViolations;
+
+    if (Array.isArray(violations)) {
+      pages.set(url, violations);
+      report.pages++;
+      report.violations += violations.length;
+    } else {
+      report.failed++;
+    }
+  }
+
+  logger.info('Accessibility audit completed', report);
+
+  return { pages, report };
+};
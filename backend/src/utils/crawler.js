@@ -0,0 +1,398 @@
+/**
+ * Site crawler
+ * @fileoverview Breadth-first crawl of a site without a sitemap, producing the URL list validated by a scan
+ */
+
+import { parseHtml } from './htmlParser.js';
+import { safeFetch } from './outboundRequest.js';
+import { validateUrl } from './validation.js';
+import { normalizeUrl } from './urlNormalization.js';
+import { SITEMAP_NAMESPACE } from './sitemapConformance.js';
+import { fetchRobotsTxt, parseRobotsTxt, isPathAllowed } from './robots.js';
+import { logger } from './logger.js';
+import { appConfig } from '../config/index.js';
+
+/**
+ * Maximum HTML page size read while crawling (5 MB)
+ */
+const MAX_PAGE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Time allowed for a crawled page to answer and be read (ms)
+ */
+const PAGE_TIMEOUT_MS = 15000;
+
+/**
+ * Content types of pages whose links are followed
+ */
+const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+/**
+ * Link extensions that never point to an HTML page, skipped without being fetched
+ */
+const NON_HTML_EXTENSIONS = /\.(?:pdf|jpe?g|png|gif|webp|avif|svg|ico|bmp|css|js|mjs|json|xml|txt|csv|zip|gz|tar|rar|7z|docx?|xlsx?|pptx?|mp3|mp4|webm|ogg|wav|avi|mov|woff2?|ttf|otf|eot)$/i;
+
+/**
+ * Check whether a robots directive list (meta robots or X-Robots-Tag) forbids following links
+ * @param {string} value - Comma-separated directives
+ * @returns {boolean} True for "nofollow" or "none"
+ */
+const hasNofollowDirective = (value) => value
+  .toLowerCase()
+  .split(/[\s,]+/)
+  .some(directive => directive === 'nofollow' || directive === 'none');
+
+/**
+ * Extract the links of an HTML page
+ * Uses the lenient HTML parser (see parseHtml()), so malformed markup only loses the broken tags.
+ * @param {string} html - Page HTML
+ * @returns {Object} Links ({ href, nofollow }), base URL from <base href> and page-level nofollow
+ * @example
+ * extractLinks('<a href="/about">About</a><a rel="nofollow" href="/login">Login</a>')
+ * // { links: [{ href: '/about', nofollow: false }, { href: '/login', nofollow: true }], baseHref: null, nofollow: false }
+ */
+export const extractLinks = (html) => {
+  const links = [];
+  let baseHref = null;
+  let nofollow = false;
+
+  parseHtml(html, {
+    onopentag: ({ name, attributes }) => {
+      const href = typeof attributes.href === 'string' ? attributes.href.trim() : '';
+
+      if ((name === 'a' || name === 'area') && href) {
+        const rel = String(attributes.rel || '').toLowerCase().split(/\s+/);
+        links.push({ href, nofollow: rel.includes('nofollow') });
+      } else if (name === 'base' && href && baseHref === null) {
+        baseHref = href;
+      } else if (name === 'meta' && String(attributes.name || '').toLowerCase() === 'robots') {
+        nofollow ||= hasNofollowDirective(String(attributes.content || ''));
+      }
+    },
+  });
+
+  return { links, baseHref, nofollow };
+};
+
+/**
+ * Fetch a page while crawling
+ * Non-HTML responses are aborted without reading their body.
+ * @param {string} url - Page URL
+ * @param {Object|null} auth - Site credentials ({ origin, headers })
+ * @returns {Promise<Object>} Final URL after redirects, whether it is HTML, its body and headers of interest
+ * @throws {Error} If the request fails or the server does not answer 2xx
+ */
+const fetchPage = async (url, auth) => {
+  const controller = new AbortController();
+
+  const response = await safeFetch(url, {
+    method: 'GET',
+    headers: {
+      'User-Agent': 'W3C-Checker-Bot/1.0 (Sitemap Scanner)',
+      'Accept': 'text/html, application/xhtml+xml;q=0.9, */*;q=0.1',
+    },
+    follow: 5,
+    size: MAX_PAGE_SIZE,
+    signal: AbortSignal.any([controller.signal, AbortSignal.timeout(PAGE_TIMEOUT_MS)]),
+    auth,
+  });
+
+  if (!response.ok) {
+    controller.abort();
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  const isHtml = HTML_CONTENT_TYPES.some(type => contentType.includes(type));
+
+  if (!isHtml) {
+    controller.abort();
+    return { url: response.url, isHtml: false };
+  }
+
+  return {
+    url: response.url,
+    isHtml: true,
+    html: await response.text(),
+    robotsTag: response.headers.get('x-robots-tag') || '',
+    lastModified: response.headers.get('last-modified'),
+  };
+};
+
+/**
+ * Wait between two requests to the crawled site
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Convert an HTTP date to a W3C datetime (sitemap lastmod)
+ * @param {string|null} httpDate - Last-Modified header value
+ * @returns {string|undefined} ISO 8601 datetime, or undefined if missing or unparseable
+ */
+const toLastmod = (httpDate) => {
+  const time = httpDate ? Date.parse(httpDate) : NaN;
+  return Number.isNaN(time) ? undefined : new Date(time).toISOString();
+};
+
+/**
+ * Escape a value for an XML text node
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+const escapeXml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Build a sitemaps.org urlset document
+ * @param {Array<Object>} entries - Pages: { loc, lastmod? }
+ * @returns {string} sitemap.xml content
+ */
+export const buildSitemapXml = (entries) => {
+  const urls = entries.map(({ loc, lastmod }) => [
+    '  <url>',
+    `    <loc>${escapeXml(loc)}</loc>`,
+    ...(lastmod ? [`    <lastmod>${lastmod}</lastmod>`] : []),
+    '  </url>',
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<urlset xmlns="${SITEMAP_NAMESPACE}">`,
+    ...urls,
+    '</urlset>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Crawl a site breadth-first from a start URL
+ * Only same-origin HTML pages are kept. robots.txt rules, rel="nofollow" links and
+ * nofollow meta robots / X-Robots-Tag directives are respected. The depth and page
+ * limits are capped by the server configuration.
+ * @param {string} startUrl - Page the crawl starts from
+ * @param {Object} options - Crawl options
+ * @param {number} [options.maxDepth] - Maximum number of links followed from the start page
+ * @param {number} [options.maxPages] - Maximum number of pages kept
+ * @param {boolean} [options.generateSitemap] - Also build a sitemap.xml of the crawled pages
+ * @param {Object} [options.normalization] - URL normalization options (see DEFAULT_NORMALIZATION)
+ * @param {number} [options.requestDelayMs] - Delay between two requests
+ * @param {Object|null} [options.auth] - Site credentials ({ origin, headers }) for sites behind authentication
+ * @returns {Promise<Object>} Result shaped like validateAndParseSitemap(), plus the crawl report and sitemap
+ */
+export const crawlSite = async (startUrl, {
+  maxDepth = appConfig.crawl.maxDepth,
+  maxPages = appConfig.crawl.maxPages,
+  generateSitemap = false,
+  normalization,
+  requestDelayMs = appConfig.crawl.requestDelayMs,
+  auth = null,
+} = {}) => {
+  const depthLimit = Math.min(maxDepth, appConfig.crawl.maxDepth);
+  const pageLimit = Math.min(maxPages, appConfig.crawl.maxPages);
+
+  logger.info('Crawling site', { url: startUrl, maxDepth: depthLimit, maxPages: pageLimit, generateSitemap });
+
+  try {
+    const start = normalizeUrl(validateUrl(startUrl), normalization);
+    const { origin } = new URL(start.url);
+
+    const robotsContent = await fetchRobotsTxt(origin, { auth });
+    const { rules } = robotsContent ? parseRobotsTxt(robotsContent, origin) : { rules: [] };
+
+    const report = {
+      startUrl: start.url,
+      robotsTxt: robotsContent !== null,
+      maxDepth: depthLimit,
+      maxPages: pageLimit,
+      pagesFetched: 0,
+      depthReached: 0,
+      truncated: false,
+      sitemapGenerated: Boolean(generateSitemap),
+      skipped: { robots: 0, nofollow: 0, external: 0, nonHtml: 0, errors: 0 },
+    };
+
+    const queue = [{ url: start.url, depth: 0 }];
+    const seen = new Set([start.key]);
+    const pages = [];
+    const warnings = [];
+
+    while (queue.length > 0) {
+      if (pages.length >= pageLimit) {
+        report.truncated = true;
+        break;
+      }
+
+      const { url, depth } = queue.shift();
+      const { pathname, search } = new URL(url);
+
+      if (!isPathAllowed(rules, `${pathname}${search}`)) {
+        report.skipped.robots++;
+        continue;
+      }
+
+      if (report.pagesFetched > 0 && requestDelayMs > 0) {
+        await delay(requestDelayMs);
+      }
+
+      let page;
+
+      try {
+        page = await fetchPage(url, auth);
+        report.pagesFetched++;
+      } catch (error) {
+        logger.debug('Crawled page could not be fetched', { url, error: error.message });
+        report.skipped.errors++;
+        if (depth === 0) {
+          throw new Error(`Start page could not be fetched: ${error.message}`);
+        }
+        continue;
+      }
+
+      // Follow redirects only within the site, and keep each page once
+      let pageUrl = url;
+
+      if (page.url && page.url !== url) {
+        if (new URL(page.url).origin !== origin) {
+          report.skipped.external++;
+          continue;
+        }
+
+        const redirected = normalizeUrl(page.url, normalization);
+        if (redirected.key !== normalizeUrl(url, normalization).key) {
+          if (seen.has(redirected.key)) {
+            continue;
+          }
+          seen.add(redirected.key);
+        }
+        pageUrl = redirected.url;
+      }
+
+      if (!page.isHtml) {
+        report.skipped.nonHtml++;
+        continue;
+      }
+
+      pages.push({ loc: pageUrl, lastmod: toLastmod(page.lastModified) });
+      report.depthReached = Math.max(report.depthReached, depth);
+
+      if (depth >= depthLimit) {
+        continue;
+      }
+
+      const { links, baseHref, nofollow } = extractLinks(page.html);
+
+      if (nofollow || hasNofollowDirective(page.robotsTag)) {
+        report.skipped.nofollow += links.length;
+        continue;
+      }
+
+      let base = pageUrl;
+      try {
+        base = baseHref ? new URL(baseHref, pageUrl).toString() : pageUrl;
+      } catch (error) {
+        logger.debug('Invalid base URL on crawled page', { url: pageUrl, baseHref });
+      }
+
+      for (const link of links) {
+        if (link.nofollow) {
+          report.skipped.nofollow++;
+          continue;
+        }
+
+        let target;
+        try {
+          target = new URL(link.href, base);
+        } catch (error) {
+          continue;
+        }
+
+        if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+          continue;
+        }
+
+        if (target.origin !== origin) {
+          report.skipped.external++;
+          continue;
+        }
+
+        const normalized = normalizeUrl(target.toString(), normalization);
+        if (seen.has(normalized.key)) {
+          continue;
+        }
+        seen.add(normalized.key);
+
+        if (NON_HTML_EXTENSIONS.test(target.pathname)) {
+          report.skipped.nonHtml++;
+          continue;
+        }
+
+        queue.push({ url: normalized.url, depth: depth + 1 });
+      }
+    }
+
+    if (pages.length === 0) {
+      throw new Error('No HTML pages found while crawling');
+    }
+
+    if (report.truncated) {
+      warnings.push(`Crawl stopped after ${pageLimit} pages - some pages of the site were not discovered`);
+    }
+
+    if (report.skipped.robots > 0) {
+      warnings.push(`${report.skipped.robots} pages were not crawled because robots.txt disallows them`);
+    }
+
+    const urls = pages.map(({ loc }) => loc);
+
+    logger.info('Site crawl completed', {
+      url: start.url,
+      urlCount: urls.length,
+      pagesFetched: report.pagesFetched,
+      depthReached: report.depthReached,
+      truncated: report.truncated,
+    });
+
+    return {
+      isValid: true,
+      urlCount: urls.length,
+      urls,
+      sources: {},
+      lastmods: Object.fromEntries(pages.filter(({ lastmod }) => lastmod).map(({ loc, lastmod }) => [loc, lastmod])),
+      format: null,
+      report: null,
+      crawlReport: report,
+      sitemapXml: generateSitemap ? buildSitemapXml(pages) : null,
+      warnings,
+      metadata: {
+        fetchedAt: new Date().toISOString(),
+        startUrl: start.url,
+      },
+    };
+  } catch (error) {
+    logger.error('Site crawl failed', { url: startUrl, error: error.message });
+
+    return {
+      isValid: false,
+      error: error.message,
+      urlCount: 0,
+      urls: [],
+      sources: {},
+      lastmods: {},
+      format: null,
+      report: null,
+      crawlReport: null,
+      sitemapXml: null,
+      warnings: [],
+      metadata: {
+        fetchedAt: new Date().toISOString(),
+        startUrl,
+      },
+    };
+  }
+};
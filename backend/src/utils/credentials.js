@@ -0,0 +1,119 @@
+/**
+ * Site credentials utilities
+ * @fileoverview Encryption at rest and request headers for staging sites behind basic auth, headers or cookies
+ */
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { appConfig } from '../config/index.js';
+
+/**
+ * Cipher used for credentials at rest (authenticated encryption)
+ */
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Version prefix of encrypted payloads, to allow key or cipher rotation later
+ */
+const PAYLOAD_VERSION = 'v1';
+
+/**
+ * Get the 256-bit encryption key derived from CREDENTIALS_ENCRYPTION_KEY
+ * @returns {Buffer} Encryption key
+ * @throws {Error} If no encryption key is configured
+ */
+const getEncryptionKey = () => {
+  if (!appConfig.credentials.encryptionKey) {
+    throw new Error('Credential encryption is not configured (CREDENTIALS_ENCRYPTION_KEY)');
+  }
+
+  return createHash('sha256').update(appConfig.credentials.encryptionKey).digest();
+};
+
+/**
+ * Check whether credentials can be stored on this deployment
+ * @returns {boolean} True if an encryption key is configured
+ */
+export const isCredentialEncryptionEnabled = () => Boolean(appConfig.credentials.encryptionKey);
+
+/**
+ * Encrypt site credentials for storage
+ * @param {Object} credentials - Credentials ({ basicAuth?, headers?, cookies? })
+ * @returns {string} Encrypted payload ("v1:iv:tag:ciphertext", base64 parts)
+ * @throws {Error} If no encryption key is configured
+ */
+export const encryptCredentials = (credentials) => {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+
+  return [PAYLOAD_VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part))
+    .join(':');
+};
+
+/**
+ * Decrypt stored site credentials
+ * @param {string} payload - Encrypted payload from encryptCredentials()
+ * @returns {Object} Credentials ({ basicAuth?, headers?, cookies? })
+ * @throws {Error} If the payload is malformed, was tampered with or the key changed
+ */
+export const decryptCredentials = (payload) => {
+  const [version, iv, tag, ciphertext] = payload.split(':');
+
+  if (version !== PAYLOAD_VERSION || !ciphertext) {
+    throw new Error('Unsupported credentials payload');
+  }
+
+  try {
+    const decipher = createDecipheriv(ALGORITHM, getEncryptionKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch (error) {
+    throw new Error('Stored credentials could not be decrypted');
+  }
+};
+
+/**
+ * Build the request headers carrying site credentials
+ * @param {Object} credentials - Credentials ({ basicAuth?, headers?, cookies? })
+ * @returns {Object} Request headers (Authorization for basic auth, Cookie, custom headers)
+ */
+export const buildCredentialHeaders = ({ basicAuth, headers = {}, cookies = {} } = {}) => {
+  const requestHeaders = { ...headers };
+
+  if (basicAuth) {
+    const token = Buffer.from(`${basicAuth.username}:${basicAuth.password}`, 'utf8').toString('base64');
+    requestHeaders.Authorization = `Basic ${token}`;
+  }
+
+  const cookieHeader = Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ');
+  if (cookieHeader) {
+    requestHeaders.Cookie = cookieHeader;
+  }
+
+  return requestHeaders;
+};
+
+/**
+ * Describe credentials without their secrets, for API responses
+ * @param {Object} credentials - Credentials ({ basicAuth?, headers?, cookies? })
+ * @returns {Object} Whether basic auth is set, and header and cookie names
+ */
+export const describeCredentials = ({ basicAuth, headers = {}, cookies = {} } = {}) => ({
+  basicAuth: Boolean(basicAuth),
+  headers: Object.keys(headers),
+  cookies: Object.keys(cookies),
+});
+
+/**
+ * Build the site credentials passed to outbound requests
+ * @param {string} origin - Origin the credentials are sent to (scheme://host[:port])
+ * @param {Object} credentials - Credentials ({ basicAuth?, headers?, cookies? })
+ * @returns {Object} { origin, headers } for safeFetch()
+ */
+export const createSiteAuth = (origin, credentials) => ({
+  origin,
+  headers: buildCredentialHeaders(credentials),
+});
@@ -0,0 +1,264 @@
+/**
+ * W3C CSS Validator utilities
+ * @fileoverview Discover the stylesheets and <style> blocks of pages and validate them
+ * with the W3C CSS validator (jigsaw or a local instance), each shared stylesheet once per scan
+ */
+
+import { createHash } from 'crypto';
+import { parseHtml } from './htmlParser.js';
+import fetch, { FormData } from 'node-fetch';
+import { safeFetch } from './outboundRequest.js';
+import { createRateLimiter, createResponseError } from './rateLimiter.js';
+import { logger } from './logger.js';
+import { appConfig } from '../config/index.js';
+
+/**
+ * Maximum page or stylesheet size read for CSS validation (5 MB)
+ */
+const MAX_DOCUMENT_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Requests to the CSS validator, spaced by CSS_VALIDATOR_INTERVAL_MS across all workers
+ */
+const limiter = createRateLimiter('css-validator', { capacity: 1, intervalMs: appConfig.css.requestIntervalMs });
+
+/**
+ * Extract the stylesheets and <style> blocks of an HTML page
+ * @param {string} html - Page HTML
+ * @returns {Object} Linked stylesheet hrefs, style blocks ({ css, line: 1-based line of the <style> tag }) and <base href>
+ * @example
+ * extractStylesheets('<link rel="stylesheet" href="/main.css"><style>a { color: red }</style>')
+ * // { stylesheets: ['/main.css'], styleBlocks: [{ css: 'a { color: red }', line: 1 }], baseHref: null }
+ */
+export const extractStylesheets = (html) => {
+  const stylesheets = [];
+  const styleBlocks = [];
+  let baseHref = null;
+  let currentBlock = null;
+
+  parseHtml(html, {
+    onopentag: ({ name, attributes }, parser) => {
+      const href = typeof attributes.href === 'string' ? attributes.href.trim() : '';
+
+      if (name === 'link' && href && String(attributes.rel || '').toLowerCase().split(/\s+/).includes('stylesheet')) {
+        stylesheets.push(href);
+      } else if (name === 'base' && href && baseHref === null) {
+        baseHref = href;
+      } else if (name === 'style') {
+        currentBlock = { css: '', line: parser.line + 1 };
+      }
+    },
+
+    ontext: (text) => {
+      if (currentBlock) {
+        currentBlock.css += text;
+      }
+    },
+
+    onclosetag: (name) => {
+      if (name === 'style' && currentBlock) {
+        if (currentBlock.css.trim()) {
+          styleBlocks.push(currentBlock);
+        }
+        currentBlock = null;
+      }
+    },
+  });
+
+  return { stylesheets, styleBlocks, baseHref };
+};
+
+/**
+ * Fetch a page or stylesheet as text
+ * @param {string} url - URL
+ * @param {string} accept - Accept header
+ * @param {Object|null} auth - Site credentials ({ origin, headers })
+ * @returns {Promise<Object>} { url (after redirects), text }
+ * @throws {Error} If the request fails or the server does not answer 2xx
+ */
+const fetchText = async (url, accept, auth) => {
+  const response = await safeFetch(url, {
+    method: 'GET',
+    headers: {
+      'User-Agent': 'W3C-Checker-Bot/1.0 (Sitemap Scanner)',
+      'Accept': accept,
+    },
+    signal: AbortSignal.timeout(15000),
+    size: MAX_DOCUMENT_SIZE,
+    auth,
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return { url: response.url || url, text: await response.text() };
+};
+
+/**
+ * Validate CSS with the W3C CSS validator, within its shared rate limit
+ * @param {string} css - Stylesheet content
+ * @returns {Promise<Object>} { errors, warnings } with the validator line, message and context
+ * @throws {Error} If the validator request fails
+ */
+export const validateCss = (css) => limiter.schedule(async () => {
+  const form = new FormData();
+  form.set('text', css);
+  form.set('profile', appConfig.css.profile);
+  form.set('usermedium', 'all');
+  form.set('warning', '1');
+  form.set('output', 'json');
+  form.set('lang', 'en');
+
+  const response = await fetch(appConfig.css.validatorUrl, {
+    method: 'POST',
+    headers: {
+      'User-Agent': 'W3C-Checker-SaaS/1.0 (https://github.com/your-repo)',
+      'Accept': 'application/json',
+    },
+    body: form,
+    signal: AbortSignal.timeout(appConfig.w3c.scanTimeoutMs),
+  });
+
+  if (!response.ok) {
+    throw createResponseError(`W3C CSS validator returned ${response.status}: ${response.statusText}`, response);
+  }
+
+  const { cssvalidation: result = {} } = await response.json();
+
+  return {
+    errors: (result.errors || []).map(error => ({
+      line: error.line,
+      message: (error.message || 'No message provided').trim(),
+      context: error.context?.trim() || undefined,
+    })),
+    warnings: (result.warnings || []).map(warning => ({
+      line: warning.line,
+      message: (warning.message || 'No message provided').trim(),
+    })),
+  };
+});
+
+/**
+ * Build the CSS findings of a stylesheet or style block
+ * @param {Object} validation - Result of validateCss()
+ * @param {string} file - Stylesheet URL, or page URL for <style> blocks
+ * @param {number} [lineOffset] - Lines before the CSS in the file (<style> blocks)
+ * @returns {Object} { errors, warnings } with type, file, line and severity
+ */
+const toFindings = ({ errors, warnings }, file, lineOffset = 0) => ({
+  errors: errors.map(error => ({
+    type: 'css',
+    file,
+    ...error,
+    line: error.line ? error.line + lineOffset : undefined,
+    severity: 'high',
+  })),
+  warnings: warnings.map(warning => ({
+    type: 'css',
+    file,
+    ...warning,
+    line: warning.line ? warning.line + lineOffset : undefined,
+    severity: 'low',
+  })),
+});
+
+/**
+ * Validate the CSS of pages: linked stylesheets and <style> blocks
+ * A stylesheet shared across pages (and an identical <style> block) is validated once and its
+ * findings reported on every page using it.
+ * @param {Array<string>} urls - Page URLs
+ * @param {Object} options - Validation options
+ * @param {Object|null} [options.auth] - Site credentials ({ origin, headers })
+ * @param {Map<string, Object>|null} [options.checks] - URL checks (see checkUrls()): the HTML read while
+ * checking a page is used instead of downloading it again
+ * @returns {Promise<Object>} { pages: Map<url, { errors, warnings }>, report }
+ */
+export const validatePageStylesheets = async (urls, { auth = null, checks = null } = {}) => {
+  const validations = new Map();
+  const report = { pages: 0, stylesheets: 0, styleBlocks: 0, failed: 0 };
+  const pages = new Map();
+
+  /**
+   * Validate CSS once per key (stylesheet URL or block hash) within the scan
+   * @param {string} key - Cache key
+   * @param {Function} loadCss - Returns the CSS to validate
+   * @returns {Promise<Object|null>} Result of validateCss(), or null if it failed
+   */
+  const validateOnce = (key, loadCss) => {
+    if (!validations.has(key)) {
+      validations.set(key, (async () => {
+        try {
+          return await validateCss(await loadCss());
+        } catch (error) {
+          logger.warn('CSS validation failed', { key, error: error.message });
+          report.failed++;
+          return null;
+        }
+      })());
+    }
+
+    return validations.get(key);
+  };
+
+  for (const url of urls) {
+    try {
+      const check = checks?.get(url);
+      const page = check?.body
+        ? { url: check.finalUrl, text: check.body.toString('utf8') }
+        : await fetchText(url, 'text/html, application/xhtml+xml;q=0.9, */*;q=0.1', auth);
+      const { stylesheets, styleBlocks, baseHref } = extractStylesheets(page.text);
+      const base = baseHref ? new URL(baseHref, page.url).toString() : page.url;
+      const findings = { errors: [], warnings: [] };
+
+      for (const href of stylesheets) {
+        let stylesheetUrl;
+        try {
+          stylesheetUrl = new URL(href, base).toString();
+        } catch {
+          continue;
+        }
+
+        const validation = await validateOnce(
+          stylesheetUrl,
+          async () => (await fetchText(stylesheetUrl, 'text/css,*/*;q=0.1', auth)).text
+        );
+
+        if (validation) {
+          const { errors, warnings } = toFindings(validation, stylesheetUrl);
+          findings.errors.push(...errors);
+          findings.warnings.push(...warnings);
+        }
+      }
+
+      for (const block of styleBlocks) {
+        const hash = createHash('sha256').update(block.css).digest('hex');
+        const validation = await validateOnce(`style:${hash}`, async () => block.css);
+
+        if (validation) {
+          const { errors, warnings } = toFindings(validation, url, block.line - 1);
+          findings.errors.push(...errors);
+          findings.warnings.push(...warnings);
+        }
+      }
+
+      pages.set(url, findings);
+      report.pages++;
+    } catch (error) {
+      logger.warn('Page stylesheets could not be read', { url, error: error.message });
+      report.failed++;
+    }
+  }
+
+  for (const key of validations.keys()) {
+    if (key.startsWith('style:')) {
+      report.styleBlocks++;
+    } else {
+      report.stylesheets++;
+    }
+  }
+
+  logger.info('CSS validation completed', report);
+
+  return { pages, report };
+};
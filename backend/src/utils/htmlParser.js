@@ -0,0 +1,41 @@
+/**
+ * HTML parsing utilities
+ * @fileoverview Lenient SAX parsing of real-world HTML, shared by the extractors that read pages
+ * (crawled links, stylesheets, SEO data)
+ */
+
+import sax from 'sax';
+
+/**
+ * Parse an HTML document with a lenient sax parser: malformed markup only loses the broken constructs
+ * Tag names are lowercased. Each handler gets the parser as its last argument (e.g. for parser.line).
+ * @param {string} html - Page HTML
+ * @param {Object} handlers - sax handlers
+ * @param {Function} [handlers.onopentag] - Called with ({ name, attributes }, parser)
+ * @param {Function} [handlers.ontext] - Called with (text, parser)
+ * @param {Function} [handlers.onclosetag] - Called with (name, parser)
+ * @example
+ * parseHtml('<p>Hello <b>world</p>', { onopentag: ({ name }) => console.log(name) }) // p, b
+ */
+export const parseHtml = (html, { onopentag, ontext, onclosetag } = {}) => {
+  const parser = sax.parser(false, { lowercase: true });
+
+  if (onopentag) {
+    parser.onopentag = (tag) => onopentag(tag, parser);
+  }
+  if (ontext) {
+    parser.ontext = (text) => ontext(text, parser);
+  }
+  if (onclosetag) {
+    parser.onclosetag = (name) => onclosetag(name, parser);
+  }
+
+  parser.onerror = () => {
+    // Real-world HTML is rarely well-formed: skip the broken construct and go on
+    parser.error = null;
+    parser.resume();
+  };
+
+  // HTML may omit <html>: a synthetic root keeps sibling top-level elements from being dropped
+  parser.write('<document-root>').write(html).write('</document-root>').close();
+};
@@ -0,0 +1,189 @@
+/**
+ * Incremental scan utilities
+ * @fileoverview Decide which URLs changed since the previous scan of a sitemap, from lastmod and page fingerprints
+ */
+
+import { createHash } from 'crypto';
+import { safeFetch } from './outboundRequest.js';
+import { logger } from './logger.js';
+
+/**
+ * Maximum page size read to compute a content hash (5 MB)
+ */
+const MAX_PAGE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Convert a sitemap lastmod value to a date
+ * @param {string|Date|null|undefined} value - W3C datetime from the sitemap, or a stored date
+ * @returns {Date|null} Date, or null if missing or unparseable
+ */
+export const toLastmodDate = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const time = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time);
+};
+
+/**
+ * Fetch the ETag and content hash of a page
+ * When the previous ETag is known, the request is conditional and a 304 means unchanged.
+ * @param {string} url - Page URL
+ * @param {Object} previous - Fingerprint recorded by the previous scan
+ * @param {string|null} [previous.etag] - Previous ETag
+ * @param {Object|null} [auth] - Site credentials ({ origin, headers })
+ * @returns {Promise<Object|null>} { etag, contentHash, notModified }, or null if the page could not be fetched
+ */
+export const fetchPageFingerprint = async (url, { etag } = {}, auth = null) => {
+  try {
+    const response = await safeFetch(url, {
+      method: 'GET',
+      headers: {
+        'User-Agent': 'W3C-Checker-Bot/1.0 (Sitemap Scanner)',
+        'Accept': 'text/html, application/xhtml+xml;q=0.9, */*;q=0.1',
+        ...(etag ? { 'If-None-Match': etag } : {}),
+      },
+      signal: AbortSignal.timeout(15000),
+      follow: 5,
+      size: MAX_PAGE_SIZE,
+      auth,
+    });
+
+    if (response.status === 304) {
+      return { etag, contentHash: null, notModified: true };
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const body = Buffer.from(await response.arrayBuffer());
+
+    return {
+      etag: response.headers.get('etag'),
+      contentHash: createHash('sha256').update(body).digest('hex'),
+      notModified: false,
+    };
+  } catch (error) {
+    logger.debug('Page fingerprint could not be fetched', { url, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Fetch the fingerprint of every URL, one page at a time
+ * @param {Array<string>} urls - Page URLs
+ * @param {Array<Object>} previousResults - Results of the previous scan ({ url, etag })
+ * @param {Object|null} [auth] - Site credentials ({ origin, headers })
+ * @returns {Promise<Map<string, Object>>} Fingerprint per URL (pages that failed are left out)
+ */
+export const fetchPageFingerprints = async (urls, previousResults = [], auth = null) => {
+  const previousEtags = new Map(previousResults.map(result => [result.url, result.etag]));
+  const fingerprints = new Map();
+
+  for (const url of urls) {
+    const fingerprint = await fetchPageFingerprint(url, { etag: previousEtags.get(url) }, auth);
+    if (fingerprint) {
+      fingerprints.set(url, fingerprint);
+    }
+  }
+
+  logger.info('Page fingerprints fetched', { urls: urls.length, fetched: fingerprints.size });
+
+  return fingerprints;
+};
+
+/**
+ * Compare a page fingerprint with the previous scan
+ * @param {Object} fingerprint - Current fingerprint
+ * @param {Object} previous - Previous result ({ etag, contentHash })
+ * @returns {boolean|null} True if unchanged, false if changed, null if they cannot be compared
+ */
+const isSameContent = (fingerprint, previous) => {
+  if (fingerprint.notModified) {
+    return true;
+  }
+
+  if (fingerprint.etag && previous.etag) {
+    return fingerprint.etag === previous.etag;
+  }
+
+  if (fingerprint.contentHash && previous.contentHash) {
+    return fingerprint.contentHash === previous.contentHash;
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a previous result comes from a failed validation request rather than the validator,
+ * or from a page that could not be validated (HTTP error, timeout, not HTML)
+ * @param {Object} previous - Previous result
+ * @returns {boolean} True if the page was never actually validated
+ */
+const isFailedValidation = (previous) => Boolean(previous.failureCategory) || (Array.isArray(previous.errors)
+  && previous.errors.some(error => error?.type === 'validation_error' || error?.type === 'http'));
+
+/**
+ * Split the URLs of a scan into those to validate and those whose previous result is carried forward
+ * A URL is re-validated when it is new, its lastmod is more recent, its ETag or content hash changed,
+ * its previous validation failed, or nothing tells whether it changed.
+ * @param {Array<string>} urls - URLs of the current scan
+ * @param {Object} options - Change signals
+ * @param {Object} [options.lastmods] - Sitemap lastmod per URL
+ * @param {Array<Object>} [options.previousResults] - Results of the previous scan ({ url, lastmod, etag, contentHash, errors, failureCategory })
+ * @param {Map<string, Object>|null} [options.fingerprints] - Current page fingerprints (content check enabled)
+ * @returns {Object} URLs to validate, inherited results ({ url, previous }) and per-reason counts
+ */
+export const planIncrementalScan = (urls, { lastmods = {}, previousResults = [], fingerprints = null } = {}) => {
+  const previousByUrl = new Map(previousResults.map(result => [result.url, result]));
+  const reasons = { new: 0, lastmodChanged: 0, contentChanged: 0, noChangeSignal: 0, previousFailed: 0 };
+  const toValidate = [];
+  const inherited = [];
+
+  for (const url of urls) {
+    const previous = previousByUrl.get(url);
+    let reason = null;
+
+    if (!previous) {
+      reason = 'new';
+    } else if (isFailedValidation(previous)) {
+      reason = 'previousFailed';
+    } else {
+      const lastmod = toLastmodDate(lastmods[url]);
+      const previousLastmod = toLastmodDate(previous.lastmod);
+      const fingerprint = fingerprints?.get(url);
+      const sameContent = fingerprint ? isSameContent(fingerprint, previous) : null;
+
+      if (lastmod && previousLastmod && lastmod > previousLastmod) {
+        reason = 'lastmodChanged';
+      } else if (sameContent !== null) {
+        reason = sameContent ? null : 'contentChanged';
+      } else if (!lastmod || !previousLastmod) {
+        reason = 'noChangeSignal';
+      }
+    }
+
+    if (reason) {
+      reasons[reason]++;
+      toValidate.push(url);
+    } else {
+      inherited.push({ url, previous });
+    }
+  }
+
+  const current = new Set(urls);
+
+  return {
+    toValidate,
+    inherited,
+    report: {
+      previousUrls: previousByUrl.size,
+      validatedUrls: toValidate.length,
+      inheritedUrls: inherited.length,
+      removedUrls: [...previousByUrl.keys()].filter(url => !current.has(url)).length,
+      reasons,
+    },
+  };
+};
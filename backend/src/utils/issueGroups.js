@@ -0,0 +1,139 @@
+/**
+ * Issue grouping utilities
+ * @fileoverview Fingerprint validator messages and group identical issues across the pages of a scan
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Sample URLs kept per issue group
+ */
+const SAMPLE_URL_COUNT = 5;
+
+/**
+ * Issue groups listed in scan summaries
+ */
+const TOP_ISSUE_COUNT = 10;
+
+/**
+ * Weight of an issue severity in the impact score (affected pages × weight)
+ */
+const SEVERITY_WEIGHTS = {
+  critical: 4,
+  high: 3,
+  medium: 2,
+  low: 1,
+};
+
+/**
+ * Normalize a validator message: quoted values that are not element or attribute names
+ * (URLs, sizes, text) and standalone numbers are replaced, so the same issue on pages
+ * with different content gets the same text
+ * @param {string} message - Validator message
+ * @returns {string} Normalized message
+ * @example
+ * normalizeIssueMessage('Bad value “/a b” for attribute “href” on element “a”.')
+ * // 'Bad value “…” for attribute “href” on element “a”.'
+ */
+export const normalizeIssueMessage = (message) => (message || '')
+  .replace(/“([^”]*)”/g, (quoted, value) => (/^[a-z][\w:.-]*$/i.test(value) ? quoted : '“…”'))
+  .replace(/\b\d+\b/g, '#')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Normalize the markup extract of a validator message: whitespace is collapsed,
+ * attribute values emptied and numbers replaced, keeping the tag structure
+ * @param {string} extract - Markup around the issue
+ * @returns {string} Normalized extract
+ */
+export const normalizeIssueExtract = (extract) => (extract || '')
+  .replace(/=\s*("[^"]*"|'[^']*')/g, '=""')
+  .replace(/\d+/g, '#')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Fingerprint a validator message from its type, normalized text and normalized extract
+ * @param {Object} issue - Processed validator message ({ type, message, extract })
+ * @returns {string} 16 hex characters, identical for the same issue on different pages
+ */
+export const fingerprintIssue = (issue) => createHash('sha256')
+  .update(`${issue.type}\n${normalizeIssueMessage(issue.message)}\n${normalizeIssueExtract(issue.extract)}`)
+  .digest('hex')
+  .slice(0, 16);
+
+/**
+ * Group identical validator messages across the pages of a scan, sorted by impact
+ * (affected pages weighted by severity, then errors before warnings, then occurrences).
+ * HTTP issues found before validation, suppressed messages and URLs that could not be validated are left out.
+ * @param {Array<Object>} results - Validation results or scan results ({ url, errors, warnings })
+ * @param {Object} [options] - Grouping options
+ * @param {number} [options.sampleSize] - Sample URLs kept per group
+ * @returns {Array<Object>} Groups: { fingerprint, type, severity, message, extract, occurrences, pages, sampleUrls, impact }
+ */
+export const groupIssues = (results, { sampleSize = SAMPLE_URL_COUNT } = {}) => {
+  const groups = new Map();
+
+  for (const result of results) {
+    if (result.failure || result.failureCategory) {
+      continue;
+    }
+
+    const issues = [
+      ...(Array.isArray(result.errors) ? result.errors.map(issue => ['error', issue]) : []),
+      ...(Array.isArray(result.warnings) ? result.warnings.map(issue => ['warning', issue]) : []),
+    ];
+
+    for (const [type, issue] of issues) {
+      if (issue.type === 'http' || issue.suppressedBy) {
+        continue;
+      }
+
+      // Results saved before fingerprinting get theirs computed here
+      const fingerprint = issue.fingerprint || fingerprintIssue(issue);
+      let group = groups.get(fingerprint);
+
+      if (!group) {
+        group = {
+          fingerprint,
+          type,
+          severity: issue.severity || 'medium',
+          message: issue.message,
+          extract: issue.extract,
+          occurrences: 0,
+          pages: 0,
+          sampleUrls: [],
+          lastUrl: null,
+        };
+        groups.set(fingerprint, group);
+      }
+
+      group.occurrences++;
+      if (group.lastUrl !== result.url) {
+        group.lastUrl = result.url;
+        group.pages++;
+        if (group.sampleUrls.length < sampleSize) {
+          group.sampleUrls.push(result.url);
+        }
+      }
+    }
+  }
+
+  return [...groups.values()]
+    .map(({ lastUrl, ...group }) => ({
+      ...group,
+      impact: group.pages * (SEVERITY_WEIGHTS[group.severity] || SEVERITY_WEIGHTS.medium),
+    }))
+    .sort((a, b) => b.impact - a.impact
+      || (a.type === b.type ? 0 : a.type === 'error' ? -1 : 1)
+      || b.occurrences - a.occurrences
+      || a.message.localeCompare(b.message));
+};
+
+/**
+ * Get the issue groups with the most impact, listed in scan summaries
+ * @param {Array<Object>} results - Validation results or scan results ({ url, errors, warnings })
+ * @returns {Array<Object>} Up to 10 issue groups
+ */
+export const getTopIssues = (results) => groupIssues(results).slice(0, TOP_ISSUE_COUNT);
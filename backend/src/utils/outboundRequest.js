@@ -0,0 +1,271 @@
+/**
+ * Outbound request guard
+ * @fileoverview Central guard for requests made on behalf of customers (sitemaps, robots.txt, pages):
+ * refuses private and reserved networks (SSRF), on every redirect hop and at connection time
+ */
+
+import fetch from 'node-fetch';
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import { logger } from './logger.js';
+import { appConfig } from '../config/index.js';
+
+/**
+ * IPv4 ranges never reachable from customer URLs
+ */
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private (RFC 1918)
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, cloud metadata (169.254.169.254)
+  ['172.16.0.0', 12], // private (RFC 1918)
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.168.0.0', 16], // private (RFC 1918)
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved, broadcast
+];
+
+/**
+ * IPv6 ranges never reachable from customer URLs
+ * IPv4-mapped addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges.
+ */
+const BLOCKED_IPV6_RANGES = [
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // NAT64
+  ['100::', 64], // discard
+  ['2001:db8::', 32], // documentation
+  ['fc00::', 7], // unique local, including cloud metadata (fd00:ec2::254)
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+];
+
+/**
+ * Redirect status codes followed by safeFetch()
+ */
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * Build a block list from address ranges
+ * @param {Array<Array>} ranges - [network, prefix] pairs
+ * @param {string} type - 'ipv4' or 'ipv6'
+ * @param {net.BlockList} [blockList] - List to add the ranges to
+ * @returns {net.BlockList} Block list
+ */
+const createBlockList = (ranges, type, blockList = new net.BlockList()) => {
+  for (const [network, prefix] of ranges) {
+    blockList.addSubnet(network, prefix, type);
+  }
+  return blockList;
+};
+
+const blockedAddresses = createBlockList(BLOCKED_IPV6_RANGES, 'ipv6', createBlockList(BLOCKED_IPV4_RANGES, 'ipv4'));
+
+let policy = null;
+
+/**
+ * Get the outbound policy from the configuration (built on first use)
+ * Allowlist entries are host names, "*.example.com" suffixes, IP addresses or CIDR ranges.
+ * @returns {Object} Allowed ports, allowlisted hosts, host suffixes and addresses
+ */
+const getPolicy = () => {
+  if (policy) {
+    return policy;
+  }
+
+  const { allowedPorts, allowlist } = appConfig.outbound;
+  const hosts = new Set();
+  const suffixes = [];
+  const addresses = new net.BlockList();
+
+  for (const entry of allowlist) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+
+    if (net.isIP(address)) {
+      if (prefix) {
+        addresses.addSubnet(address, parseInt(prefix, 10), type);
+      } else {
+        addresses.addAddress(address, type);
+      }
+    } else if (entry.startsWith('*.')) {
+      suffixes.push(entry.slice(1));
+    } else {
+      hosts.add(entry);
+    }
+  }
+
+  policy = { ports: new Set(allowedPorts), hosts, suffixes, addresses };
+  return policy;
+};
+
+/**
+ * Check whether an IP address is allowlisted
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if the address matches an allowlisted address or range
+ */
+const isAllowlistedAddress = (address) => getPolicy().addresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * Check whether a host is allowlisted (self-hosted deployments reaching internal sites)
+ * @param {string} hostname - Host name or IP address, without brackets
+ * @returns {boolean} True if requests to this host skip the address and port checks
+ */
+const isAllowlistedHost = (hostname) => {
+  const { hosts, suffixes } = getPolicy();
+  const host = hostname.toLowerCase();
+
+  if (net.isIP(host)) {
+    return isAllowlistedAddress(host);
+  }
+
+  return hosts.has(host) || suffixes.some(suffix => host.endsWith(suffix));
+};
+
+/**
+ * Check whether an IP address is in a private or reserved range
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True if requests to this address must be refused
+ */
+export const isBlockedAddress = (address) => {
+  if (isAllowlistedAddress(address)) {
+    return false;
+  }
+
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Check that a URL may be requested on behalf of a customer
+ * Only http/https on allowed ports are accepted, and the host must not be (or resolve to)
+ * a private, loopback, link-local or metadata address, unless it is allowlisted.
+ * @param {string} url - URL to check
+ * @returns {Promise<string>} Normalized URL
+ * @throws {Error} If the URL targets a refused protocol, port or address
+ */
+export const assertOutboundUrl = async (url) => {
+  const parsed = new URL(url);
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Requests to ${parsed.protocol} URLs are not allowed`);
+  }
+
+  if (isAllowlistedHost(hostname)) {
+    return parsed.toString();
+  }
+
+  const port = parsed.port ? parseInt(parsed.port, 10) : (parsed.protocol === 'https:' ? 443 : 80);
+  if (!getPolicy().ports.has(port)) {
+    throw new Error(`Requests to port ${port} are not allowed`);
+  }
+
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await dns.promises.lookup(hostname, { all: true })).map(({ address }) => address);
+
+  const blocked = addresses.find(isBlockedAddress);
+  if (blocked) {
+    logger.warn('Outbound request refused', { url, address: blocked });
+    throw new Error(`Requests to ${hostname} are not allowed (private or reserved address)`);
+  }
+
+  return parsed.toString();
+};
+
+/**
+ * DNS lookup used for outbound connections: refuses blocked addresses at connection time,
+ * so a host cannot resolve to a public address when checked and a private one when connecting
+ * @param {string} hostname - Host name to resolve
+ * @param {Object} options - dns.lookup() options
+ * @param {Function} callback - dns.lookup() callback
+ */
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+
+    const resolved = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+
+    if (!isAllowlistedHost(hostname) && resolved.some(isBlockedAddress)) {
+      callback(new Error(`Requests to ${hostname} are not allowed (private or reserved address)`));
+      return;
+    }
+
+    callback(null, address, family);
+  });
+};
+
+const httpAgent = new http.Agent({ lookup: guardedLookup });
+const httpsAgent = new https.Agent({ lookup: guardedLookup });
+
+/**
+ * Fetch a customer URL through the outbound guard
+ * Same options as node-fetch; redirects are followed manually so that every hop is checked,
+ * and the response body is capped at `size` bytes (OUTBOUND_MAX_RESPONSE_BYTES by default).
+ * Site credentials are only sent to their own origin, never to a redirect target elsewhere.
+ * @param {string} url - URL to fetch
+ * @param {Object} options - node-fetch options
+ * @param {number} [options.follow] - Maximum number of redirects (default 5)
+ * @param {number} [options.size] - Maximum response body size in bytes
+ * @param {Object|null} [options.auth] - Site credentials: { origin, headers } from buildCredentialHeaders()
+ * @param {Function|null} [options.onRedirect] - Called with { url, status, location } for every redirect followed
+ * @returns {Promise<Response>} Final response; its `url` is the URL after redirects
+ * @throws {Error} If a hop is refused, there are too many redirects or the request fails
+ */
+export const safeFetch = async (url, {
+  follow = 5,
+  size = appConfig.outbound.maxResponseBytes,
+  auth = null,
+  onRedirect = null,
+  ...options
+} = {}) => {
+  let currentUrl = url;
+  let method = options.method || 'GET';
+
+  for (let redirects = 0; ; redirects++) {
+    currentUrl = await assertOutboundUrl(currentUrl);
+
+    const authHeaders = auth && new URL(currentUrl).origin === auth.origin ? auth.headers : {};
+
+    const response = await fetch(currentUrl, {
+      ...options,
+      headers: { ...options.headers, ...authHeaders },
+      method,
+      size,
+      redirect: 'manual',
+      agent: ({ protocol }) => (protocol === 'http:' ? httpAgent : httpsAgent),
+    });
+
+    const location = response.headers.get('location');
+
+    if (!REDIRECT_STATUSES.includes(response.status) || !location) {
+      return response;
+    }
+
+    // Discard the redirect body to release the connection
+    response.body?.resume();
+
+    if (redirects >= follow) {
+      throw new Error(`Too many redirects (maximum ${follow}) at ${currentUrl}`);
+    }
+
+    if (response.status === 303 && method !== 'HEAD') {
+      method = 'GET';
+    }
+
+    logger.debug('Following redirect', { from: currentUrl, to: location, status: response.status });
+    const nextUrl = new URL(location, currentUrl).toString();
+    onRedirect?.({ url: currentUrl, status: response.status, location: nextUrl });
+    currentUrl = nextUrl;
+  }
+};
@@ -0,0 +1,314 @@
+/**
+ * Distributed rate limiter
+ * @fileoverview Redis token buckets shared by every worker process and job calling a remote service,
+ * slowing down when the service answers 429 or 503 and honouring its Retry-After
+ */
+
+import { randomUUID } from 'crypto';
+import { getRedisClient } from './redis.js';
+import { logger } from './logger.js';
+
+/**
+ * Interval between requests once an unthrottled service asks to slow down (ms)
+ */
+const MIN_PENALTY_INTERVAL_MS = 250;
+
+/**
+ * Largest slow-down: the interval is doubled on each 429/503, up to 32 times the normal one
+ */
+const MAX_SLOWDOWN_FACTOR = 32;
+
+/**
+ * The slow-down is halved after this long without a 429/503 (ms)
+ */
+const RECOVERY_MS = 30000;
+
+/**
+ * Pause after a 429/503 without Retry-After (ms)
+ */
+const DEFAULT_RETRY_AFTER_MS = 5000;
+
+/**
+ * Requests retried after a 429/503 before the error is returned
+ */
+const MAX_THROTTLED_RETRIES = 3;
+
+/**
+ * Bucket state expires when the service has not been called for an hour (ms)
+ */
+const BUCKET_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * A waiting request is forgotten if its process did not come back for it (ms)
+ */
+const WAITER_TTL_MS = 60000;
+
+/**
+ * Lua prelude loading the bucket of KEYS[1] at Redis time, so every worker shares one clock
+ * ARGV: capacity, intervalMs, minPenaltyIntervalMs, recoveryMs
+ */
+const LOAD_BUCKET = `
+redis.replicate_commands()
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local capacity = tonumber(ARGV[1])
+local interval = tonumber(ARGV[2])
+local minPenaltyInterval = tonumber(ARGV[3])
+local recoveryMs = tonumber(ARGV[4])
+local state = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt', 'factor', 'slowedAt', 'blockedUntil')
+local tokens = tonumber(state[1]) or capacity
+local updatedAt = tonumber(state[2]) or now
+local factor = tonumber(state[3]) or 1
+local slowedAt = tonumber(state[4]) or now
+local blockedUntil = tonumber(state[5]) or 0
+
+while factor > 1 and now - slowedAt >= recoveryMs do
+  factor = math.max(1, factor / 2)
+  slowedAt = slowedAt + recoveryMs
+end
+
+local effective = interval
+if factor > 1 then
+  effective = math.max(interval, minPenaltyInterval) * factor
+end
+
+if effective > 0 then
+  tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) / effective)
+else
+  tokens = capacity
+end
+`;
+
+/**
+ * Lua epilogue saving the bucket. ARGV[5]: bucket TTL (ms)
+ */
+const SAVE_BUCKET = `
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now, 'factor', factor,
+  'slowedAt', slowedAt, 'blockedUntil', blockedUntil)
+redis.call('PEXPIRE', KEYS[1], tonumber(ARGV[5]))
+`;
+
+/**
+ * Take a token: returns 0, or the time to wait before asking again (ms)
+ */
+const ACQUIRE_SCRIPT = `${LOAD_BUCKET}
+local wait = 0
+if blockedUntil > now then
+  wait = blockedUntil - now
+elseif tokens >= 1 then
+  tokens = tokens - 1
+else
+  wait = math.ceil((1 - tokens) * effective)
+end
+${SAVE_BUCKET}
+return wait
+`;
+
+/**
+ * Slow down after a 429/503 and stop requests until Retry-After
+ * ARGV[6]: Retry-After (ms, 0 if not sent), ARGV[7]: max slow-down, ARGV[8]: default pause (ms)
+ * Answers to requests sent before an ongoing pause don't slow down further.
+ */
+const PENALIZE_SCRIPT = `${LOAD_BUCKET}
+local retryAfter = tonumber(ARGV[6])
+if now >= blockedUntil then
+  factor = math.min(tonumber(ARGV[7]), factor * 2)
+  slowedAt = now
+  blockedUntil = now + math.max(tonumber(ARGV[8]), math.max(interval, minPenaltyInterval) * factor)
+end
+if retryAfter > 0 then
+  blockedUntil = math.max(blockedUntil, now + retryAfter)
+end
+tokens = 0
+${SAVE_BUCKET}
+return { factor, blockedUntil - now }
+`;
+
+/**
+ * Read the bucket: { tokens, slow-down, remaining pause (ms), current interval (ms) }
+ */
+const STATUS_SCRIPT = `${LOAD_BUCKET}
+return { tostring(tokens), factor, math.max(0, blockedUntil - now), effective }
+`;
+
+/**
+ * Parse a Retry-After header (delay in seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} [now] - Current time (ms)
+ * @returns {number|null} Delay in milliseconds, or null if missing or invalid
+ * @example
+ * parseRetryAfter('120') // 120000
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+/**
+ * Build the error of a failed HTTP response, keeping its status and Retry-After for the rate limiter
+ * @param {string} message - Error message
+ * @param {Response} response - node-fetch response
+ * @returns {Error} Error with status and retryAfterMs
+ */
+export const createResponseError = (message, response) => Object.assign(new Error(message), {
+  status: response.status,
+  retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+});
+
+/**
+ * Whether the remote service asked to slow down
+ * @param {Error} error - Request error
+ * @returns {boolean} True for 429 and 503 answers
+ */
+const isThrottled = (error) => error.status === 429 || error.status === 503;
+
+/**
+ * Create a rate limiter shared through Redis by every process using the same name
+ * The bucket holds up to `capacity` tokens and gains one every `intervalMs`; a service answering
+ * 429/503 doubles the interval (halved again every 30s without one) and pauses requests until its Retry-After.
+ * If Redis cannot be reached, requests are spaced by `intervalMs` within the process.
+ * @param {string} name - Limiter name, e.g. "validator:public"
+ * @param {Object} options - Limits
+ * @param {number} options.capacity - Requests allowed in a burst
+ * @param {number} options.intervalMs - Time to earn a token (0: no limit until the service pushes back)
+ * @returns {Object} Limiter: { name, acquire(), penalize(retryAfterMs), schedule(task), getStatus() }
+ */
+export const createRateLimiter = (name, { capacity, intervalMs }) => {
+  const key = `ratelimit:${name}`;
+  const waitersKey = `${key}:waiters`;
+  const bucketArgs = [capacity, intervalMs, MIN_PENALTY_INTERVAL_MS, RECOVERY_MS, BUCKET_TTL_MS];
+  let nextLocalStartAt = 0;
+
+  /**
+   * Wait until a request may be sent
+   * @returns {Promise<void>}
+   */
+  const acquire = async () => {
+    const waiter = randomUUID();
+    let client = null;
+    let waiting = false;
+
+    try {
+      client = await getRedisClient();
+
+      for (;;) {
+        const waitMs = Number(await client.eval(ACQUIRE_SCRIPT, 1, key, ...bucketArgs));
+
+        if (waitMs <= 0) {
+          return;
+        }
+
+        // Waiting requests are counted for the queue wait estimate
+        waiting = true;
+        await client.zadd(waitersKey, Date.now() + waitMs + WAITER_TTL_MS, waiter);
+        await client.pexpire(waitersKey, BUCKET_TTL_MS);
+
+        // A little jitter keeps the workers woken by the same token from polling together
+        await new Promise(resolve => setTimeout(resolve, waitMs + Math.floor(Math.random() * 25)));
+      }
+    } catch (error) {
+      logger.warn('Rate limiter unavailable, spacing requests locally', { limiter: name, error: error.message });
+
+      const wait = nextLocalStartAt - Date.now();
+      nextLocalStartAt = Math.max(Date.now(), nextLocalStartAt) + intervalMs;
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+    } finally {
+      if (waiting) {
+        await client.zrem(waitersKey, waiter).catch(() => {});
+      }
+    }
+  };
+
+  /**
+   * Slow down every process after a 429/503 answer
+   * @param {number|null} retryAfterMs - Delay requested by the service (Retry-After)
+   * @returns {Promise<void>}
+   */
+  const penalize = async (retryAfterMs) => {
+    try {
+      const client = await getRedisClient();
+      const [factor, pauseMs] = await client.eval(
+        PENALIZE_SCRIPT,
+        1,
+        key,
+        ...bucketArgs,
+        retryAfterMs ?? 0,
+        MAX_SLOWDOWN_FACTOR,
+        DEFAULT_RETRY_AFTER_MS
+      );
+
+      logger.warn('Remote service asked to slow down', { limiter: name, retryAfterMs, slowdownFactor: factor, pauseMs });
+    } catch (error) {
+      logger.warn('Rate limiter unavailable, pausing locally', { limiter: name, error: error.message });
+      nextLocalStartAt = Math.max(nextLocalStartAt, Date.now() + (retryAfterMs ?? DEFAULT_RETRY_AFTER_MS));
+    }
+  };
+
+  /**
+   * Run a request within the limit, retrying it after the pause requested by a 429/503 answer
+   * @param {Function} task - Async request; its errors carry the response status and retryAfterMs
+   * @returns {Promise<any>} Task result
+   * @throws {Error} Task error, or the last 429/503 once retries are exhausted
+   */
+  const schedule = async (task) => {
+    for (let attempt = 0; ; attempt++) {
+      await acquire();
+
+      try {
+        return await task();
+      } catch (error) {
+        if (!isThrottled(error) || attempt >= MAX_THROTTLED_RETRIES) {
+          throw error;
+        }
+
+        await penalize(error.retryAfterMs);
+      }
+    }
+  };
+
+  /**
+   * Get the current budget of the limiter
+   * @returns {Promise<Object|null>} Budget and wait estimate for a new request, or null if Redis is unavailable
+   */
+  const getStatus = async () => {
+    try {
+      const client = await getRedisClient();
+      await client.zremrangebyscore(waitersKey, '-inf', Date.now());
+
+      const [[tokens, factor, blockedForMs, effectiveIntervalMs], waiting] = await Promise.all([
+        client.eval(STATUS_SCRIPT, 1, key, ...bucketArgs),
+        client.zcard(waitersKey),
+      ]);
+
+      const available = parseFloat(tokens);
+      const ahead = Math.max(0, waiting + 1 - available);
+
+      return {
+        name,
+        capacity,
+        intervalMs,
+        effectiveIntervalMs,
+        slowdownFactor: factor,
+        tokens: Math.floor(available * 100) / 100,
+        blockedForMs,
+        waiting,
+        estimatedWaitMs: blockedForMs + Math.ceil(ahead * effectiveIntervalMs),
+      };
+    } catch (error) {
+      logger.error('Failed to read rate limiter status', { limiter: name, error: error.message });
+      return null;
+    }
+  };
+
+  return { name, acquire, penalize, schedule, getStatus };
+};
@@ -145,7 +145,7 @@ export const CacheKeys = {
   scanResult: (scanId) => `scan:result:${scanId}`,
   sitemapUrls: (sitemapUrl) => `sitemap:urls:${Buffer.from(sitemapUrl).toString('base64')}`,
   userScans: (userId) => `user:scans:${userId}`,
-  w3cValidation: (url) => `w3c:validation:${Buffer.from(url).toString('base64')}`,
+  w3cValidation: (documentHash) => `w3c:validation:${documentHash}`,
 };
 
 export default redisClient;
@@ -0,0 +1,159 @@
+/**
+ * robots.txt utilities
+ * @fileoverview Functions to fetch and parse robots.txt files
+ */
+
+import { safeFetch } from './outboundRequest.js';
+import { logger } from './logger.js';
+
+/**
+ * Maximum robots.txt size read (500 KiB, as recommended by RFC 9309)
+ */
+const MAX_ROBOTS_SIZE = 512000;
+
+/**
+ * Fetch robots.txt for a site origin
+ * @param {string} origin - Site origin (e.g. https://example.com)
+ * @param {Object} options - Request options
+ * @param {Object|null} [options.auth] - Site credentials ({ origin, headers })
+ * @returns {Promise<string|null>} robots.txt content, or null if unavailable
+ */
+export const fetchRobotsTxt = async (origin, { auth = null } = {}) => {
+  const robotsUrl = new URL('/robots.txt', origin).toString();
+
+  try {
+    const response = await safeFetch(robotsUrl, {
+      method: 'GET',
+      headers: {
+        'User-Agent': 'W3C-Checker-Bot/1.0 (Sitemap Scanner)',
+        'Accept': 'text/plain, */*',
+      },
+      signal: AbortSignal.timeout(10000),
+      follow: 5,
+      size: MAX_ROBOTS_SIZE,
+      auth,
+    });
+
+    if (!response.ok) {
+      logger.debug('robots.txt not available', { url: robotsUrl, status: response.status });
+      return null;
+    }
+
+    return await response.text();
+  } catch (error) {
+    logger.warn('Failed to fetch robots.txt', { url: robotsUrl, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Product token matched against robots.txt user-agent lines (case-insensitive)
+ */
+const ROBOTS_PRODUCT_TOKEN = 'w3c-checker-bot';
+
+/**
+ * Parse robots.txt content
+ * Groups naming the bot are used when present, otherwise the "*" groups (RFC 9309).
+ * @param {string} content - Raw robots.txt content
+ * @param {string} origin - Site origin, used to resolve relative sitemap URLs
+ * @param {string} [productToken] - User-agent product token whose rules are returned
+ * @returns {Object} Parsed directives: { sitemaps, rules: [{ type: 'allow'|'disallow', path }] }
+ */
+export const parseRobotsTxt = (content, origin, productToken = ROBOTS_PRODUCT_TOKEN) => {
+  const sitemaps = [];
+  const groups = [];
+  let group = null;
+  let readingAgents = false;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+
+    if (separator === -1) {
+      continue;
+    }
+
+    const directive = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (directive === 'user-agent') {
+      // Consecutive user-agent lines share the rules that follow them
+      if (!readingAgents) {
+        group = { agents: [], rules: [] };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+      readingAgents = true;
+      continue;
+    }
+
+    if (directive === 'sitemap') {
+      if (value) {
+        try {
+          const sitemapUrl = new URL(value, origin).toString();
+          if (!sitemaps.includes(sitemapUrl)) {
+            sitemaps.push(sitemapUrl);
+          }
+        } catch (error) {
+          logger.debug('Invalid sitemap URL in robots.txt', { value });
+        }
+      }
+      continue;
+    }
+
+    readingAgents = false;
+
+    // An empty disallow allows everything, so it adds no rule
+    if (group && (directive === 'allow' || directive === 'disallow') && value) {
+      group.rules.push({ type: directive, path: value });
+    }
+  }
+
+  const token = productToken.toLowerCase();
+  const named = groups.filter(({ agents }) => agents.includes(token));
+  const matching = named.length > 0 ? named : groups.filter(({ agents }) => agents.includes('*'));
+
+  return { sitemaps, rules: matching.flatMap(({ rules }) => rules) };
+};
+
+/**
+ * Convert a robots.txt path pattern to a regular expression
+ * "*" matches any sequence of characters and a trailing "$" anchors the end of the path.
+ * @param {string} pattern - Allow/disallow path
+ * @returns {RegExp} Regular expression matching from the start of the path
+ */
+const robotsPatternToRegExp = (pattern) => {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Check whether robots.txt rules allow fetching a path
+ * The most specific (longest) matching rule wins, and allow wins a tie.
+ * @param {Array<Object>} rules - Rules from parseRobotsTxt()
+ * @param {string} path - Path and query of the URL (e.g. /search?q=a)
+ * @returns {boolean} True if the path may be fetched
+ */
+export const isPathAllowed = (rules, path) => {
+  let match = null;
+
+  for (const rule of rules) {
+    if (!robotsPatternToRegExp(rule.path).test(path)) {
+      continue;
+    }
+
+    const longer = !match || rule.path.length > match.path.length;
+    const tieWonByAllow = match && rule.path.length === match.path.length && rule.type === 'allow';
+
+    if (longer || tieWonByAllow) {
+      match = rule;
+    }
+  }
+
+  return !match || match.type === 'allow';
+};
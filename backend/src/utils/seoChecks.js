@@ -0,0 +1,266 @@
+/**
+ * SEO check utilities
+ * @fileoverview On-page SEO rules computed from the HTML read when URLs are checked: title,
+ * meta description, headings, canonical URL, robots directives and language, with duplicate
+ * titles and descriptions reported across the pages of a scan
+ */
+
+import { parseHtml } from './htmlParser.js';
+
+/**
+ * Sample URLs kept per duplicate title or description
+ */
+const SAMPLE_URL_COUNT = 5;
+
+/**
+ * Duplicate titles and descriptions listed in scan reports
+ */
+const MAX_DUPLICATE_GROUPS = 50;
+
+/**
+ * Severity of each SEO rule
+ */
+const SEO_RULE_SEVERITIES = {
+  title_missing: 'high',
+  title_duplicate: 'medium',
+  description_missing: 'medium',
+  description_duplicate: 'low',
+  h1_missing: 'medium',
+  h1_multiple: 'low',
+  canonical_mismatch: 'high',
+  noindex: 'high',
+  lang_missing: 'medium',
+};
+
+/**
+ * Collapse the whitespace of a text value
+ * @param {string|null} value - Text
+ * @returns {string|null} Trimmed text, or null if empty
+ */
+const normalizeText = (value) => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() || null : null);
+
+/**
+ * Read the on-page SEO data of an HTML document
+ * Titles of inline SVG images are not page titles and are skipped.
+ * @param {string} html - Page HTML
+ * @param {Object} [options] - Extraction options
+ * @param {string} [options.url] - Page URL (after redirects), to resolve the canonical URL
+ * @param {string|null} [options.robotsHeader] - X-Robots-Tag header of the response
+ * @returns {Object} { title, description, h1Count, canonical, noindex, lang } (first title and description)
+ * @example
+ * extractSeoData('<html lang="fr"><title>Accueil</title><h1>Accueil</h1></html>')
+ * // { title: 'Accueil', description: null, h1Count: 1, canonical: null, noindex: false, lang: 'fr' }
+ */
+export const extractSeoData = (html, { url = null, robotsHeader = null } = {}) => {
+  const data = { title: null, description: null, h1Count: 0, canonical: null, noindex: false, lang: null };
+  const robots = [robotsHeader || ''];
+  let svgDepth = 0;
+  let titleText = null;
+  let seenTitle = false;
+  let seenHtml = false;
+
+  parseHtml(html, {
+    onopentag: ({ name, attributes }) => {
+      const attribute = (key) => (typeof attributes[key] === 'string' ? attributes[key].trim() : '');
+
+      if (name === 'svg') {
+        svgDepth++;
+      } else if (name === 'html' && !seenHtml) {
+        seenHtml = true;
+        data.lang = attribute('lang') || attribute('xml:lang') || null;
+      } else if (name === 'title' && svgDepth === 0 && !seenTitle) {
+        seenTitle = true;
+        titleText = '';
+      } else if (name === 'h1') {
+        data.h1Count++;
+      } else if (name === 'meta') {
+        const metaName = attribute('name').toLowerCase();
+
+        if (metaName === 'description' && data.description === null) {
+          data.description = normalizeText(attribute('content')) ?? '';
+        } else if (metaName === 'robots' || metaName === 'googlebot') {
+          robots.push(attribute('content'));
+        }
+      } else if (name === 'link' && data.canonical === null && attribute('rel').toLowerCase().split(/\s+/).includes('canonical')) {
+        try {
+          data.canonical = attribute('href') ? new URL(attribute('href'), url || undefined).toString() : null;
+        } catch {
+          data.canonical = attribute('href');
+        }
+      }
+    },
+
+    ontext: (text) => {
+      if (titleText !== null) {
+        titleText += text;
+      }
+    },
+
+    onclosetag: (name) => {
+      if (name === 'svg' && svgDepth > 0) {
+        svgDepth--;
+      } else if (name === 'title' && titleText !== null) {
+        data.title = normalizeText(titleText);
+        titleText = null;
+      }
+    },
+  });
+
+  data.description = normalizeText(data.description);
+  data.noindex = robots.some(directives => /\b(noindex|none)\b/i.test(directives));
+
+  return data;
+};
+
+/**
+ * Build an SEO finding
+ * @param {string} rule - SEO rule
+ * @param {string} message - What was found
+ * @returns {Object} { type: 'seo', rule, severity, message }
+ */
+const toFinding = (rule, message) => ({ type: 'seo', rule, severity: SEO_RULE_SEVERITIES[rule], message });
+
+/**
+ * Check whether a canonical URL points to the page itself (fragments aside)
+ * @param {string} canonical - Canonical URL
+ * @param {string} url - Page URL listed in the sitemap
+ * @returns {boolean} True if the canonical URL is the page URL
+ */
+const isSelfCanonical = (canonical, url) => {
+  try {
+    const canonicalUrl = new URL(canonical);
+    const pageUrl = new URL(url);
+    canonicalUrl.hash = '';
+    pageUrl.hash = '';
+    return canonicalUrl.toString() === pageUrl.toString();
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Get the SEO findings of a page
+ * @param {string} url - Page URL listed in the sitemap
+ * @param {Object} seo - Result of extractSeoData()
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.inSitemap] - Whether the page comes from a sitemap (noindex pages should not be listed)
+ * @param {Map<string, Array<string>>} [options.titles] - Pages per title across the scan
+ * @param {Map<string, Array<string>>} [options.descriptions] - Pages per meta description across the scan
+ * @returns {Array<Object>} Findings: { type, rule, severity, message }
+ */
+export const getPageSeoIssues = (url, seo, { inSitemap = true, titles = new Map(), descriptions = new Map() } = {}) => {
+  const issues = [];
+
+  if (!seo.title) {
+    issues.push(toFinding('title_missing', 'Missing or empty <title>'));
+  } else if (titles.get(seo.title)?.length > 1) {
+    issues.push(toFinding('title_duplicate', `Title shared with ${titles.get(seo.title).length - 1} other page(s)`));
+  }
+
+  if (!seo.description) {
+    issues.push(toFinding('description_missing', 'Missing or empty meta description'));
+  } else if (descriptions.get(seo.description)?.length > 1) {
+    issues.push(toFinding(
+      'description_duplicate',
+      `Meta description shared with ${descriptions.get(seo.description).length - 1} other page(s)`
+    ));
+  }
+
+  if (seo.h1Count === 0) {
+    issues.push(toFinding('h1_missing', 'Missing <h1>'));
+  } else if (seo.h1Count > 1) {
+    issues.push(toFinding('h1_multiple', `${seo.h1Count} <h1> elements`));
+  }
+
+  if (seo.canonical && !isSelfCanonical(seo.canonical, url)) {
+    issues.push(toFinding('canonical_mismatch', `Canonical URL points to ${seo.canonical}`));
+  }
+
+  if (seo.noindex && inSitemap) {
+    issues.push(toFinding('noindex', 'Listed in the sitemap but excluded from indexing (noindex)'));
+  }
+
+  if (!seo.lang) {
+    issues.push(toFinding('lang_missing', 'Missing lang attribute on <html>'));
+  }
+
+  return issues;
+};
+
+/**
+ * Group the pages of a scan sharing the same value
+ * @param {Map<string, Object>} pages - SEO data per URL
+ * @param {string} field - 'title' or 'description'
+ * @returns {Map<string, Array<string>>} Pages per value
+ */
+const groupByValue = (pages, field) => {
+  const groups = new Map();
+
+  for (const [url, seo] of pages) {
+    if (!seo[field]) {
+      continue;
+    }
+
+    if (!groups.has(seo[field])) {
+      groups.set(seo[field], []);
+    }
+    groups.get(seo[field]).push(url);
+  }
+
+  return groups;
+};
+
+/**
+ * List the values shared by several pages, most pages first
+ * @param {Map<string, Array<string>>} groups - Pages per value
+ * @returns {Array<Object>} Up to 50 duplicates: { value, pages, sampleUrls }
+ */
+const listDuplicates = (groups) => [...groups]
+  .filter(([, urls]) => urls.length > 1)
+  .map(([value, urls]) => ({ value, pages: urls.length, sampleUrls: urls.slice(0, SAMPLE_URL_COUNT) }))
+  .sort((a, b) => b.pages - a.pages || a.value.localeCompare(b.value))
+  .slice(0, MAX_DUPLICATE_GROUPS);
+
+/**
+ * Run the SEO rules on the pages of a scan
+ * Duplicate titles and descriptions are found across all the pages, and reported on each page
+ * and in the scan report.
+ * @param {Map<string, Object>} pages - SEO data per URL (see extractSeoData())
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.inSitemap] - Whether the pages come from a sitemap
+ * @returns {Object} { pages: Map<url, findings>, report: { pages, pagesWithIssues, issues (per rule), duplicates: { titles, descriptions } } }
+ */
+export const auditSeo = (pages, { inSitemap = true } = {}) => {
+  const titles = groupByValue(pages, 'title');
+  const descriptions = groupByValue(pages, 'description');
+  const issuesByRule = Object.fromEntries(Object.keys(SEO_RULE_SEVERITIES).map(rule => [rule, 0]));
+  const findings = new Map();
+  let pagesWithIssues = 0;
+
+  for (const [url, seo] of pages) {
+    const issues = getPageSeoIssues(url, seo, { inSitemap, titles, descriptions });
+
+    for (const { rule } of issues) {
+      issuesByRule[rule]++;
+    }
+
+    if (issues.length > 0) {
+      pagesWithIssues++;
+    }
+
+    findings.set(url, issues);
+  }
+
+  return {
+    pages: findings,
+    report: {
+      pages: pages.size,
+      pagesWithIssues,
+      issues: issuesByRule,
+      duplicates: {
+        titles: listDuplicates(titles),
+        descriptions: listDuplicates(descriptions),
+      },
+    },
+  };
+};
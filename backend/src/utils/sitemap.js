@@ -1,51 +1,96 @@
 /**
  * Sitemap parsing utilities
- * @fileoverview Functions to fetch, parse, and validate XML sitemaps
+ * @fileoverview Functions to fetch, parse, and validate sitemaps and feeds used as URL sources
  */
 
-import fetch from 'node-fetch';
-import { parseString } from 'xml2js';
+import { gunzip, createGunzip } from 'zlib';
+import { promisify } from 'util';
+import { Readable, pipeline } from 'stream';
+import { StringDecoder } from 'string_decoder';
+import { safeFetch } from './outboundRequest.js';
 import { validateUrl } from './validation.js';
+import { createSitemapParser, createTextSitemapParser, isPlainTextSitemap } from './sitemapParser.js';
+import { createSitemapReport } from './sitemapConformance.js';
+import { normalizeUrl } from './urlNormalization.js';
+import { fetchRobotsTxt, parseRobotsTxt } from './robots.js';
 import { logger } from './logger.js';
 import { appConfig } from '../config/index.js';
 
+const gunzipAsync = promisify(gunzip);
+
+/**
+ * Content types used by servers for gzip-compressed sitemaps
+ */
+const GZIP_CONTENT_TYPES = ['application/gzip', 'application/x-gzip', 'application/octet-stream'];
+
+/**
+ * Conventional sitemap locations probed when robots.txt declares none
+ */
+const WELL_KNOWN_SITEMAP_PATHS = ['/sitemap.xml', '/sitemap_index.xml', '/wp-sitemap.xml'];
+
+/**
+ * Request a sitemap and check the response
+ * @param {string} sitemapUrl - URL of the sitemap to request
+ * @param {Object} options - Request options
+ * @param {Object|null} [options.auth] - Site credentials ({ origin, headers })
+ * @returns {Promise<Object>} node-fetch response and whether gzip was announced
+ * @throws {Error} If the URL is invalid or the server does not answer 2xx
+ */
+const requestSitemap = async (sitemapUrl, { auth = null } = {}) => {
+  // Validate and normalize URL
+  const normalizedUrl = validateUrl(sitemapUrl);
+
+  const response = await safeFetch(normalizedUrl, {
+    method: 'GET',
+    headers: {
+      'User-Agent': 'W3C-Checker-Bot/1.0 (Sitemap Scanner)',
+      'Accept': 'application/xml, text/xml, application/rss+xml, application/atom+xml, text/plain, application/gzip, */*',
+    },
+    timeout: 30000, // 30 second timeout
+    follow: 5, // Follow up to 5 redirects
+    size: appConfig.sitemap.maxSizeBytes, // Reject oversized downloads
+    auth,
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  // Check content type
+  const contentType = response.headers.get('content-type') || '';
+  const contentEncoding = response.headers.get('content-encoding') || '';
+  const isGzipType = GZIP_CONTENT_TYPES.some(type => contentType.includes(type));
+
+  if (!contentType.includes('xml') && !contentType.includes('text') && !isGzipType) {
+    logger.warn('Unexpected content type for sitemap', { 
+      url: sitemapUrl, 
+      contentType 
+    });
+  }
+
+  const declaredGzip = new URL(normalizedUrl).pathname.toLowerCase().endsWith('.gz')
+    || isGzipType
+    || contentEncoding.includes('gzip');
+
+  return { response, contentType, declaredGzip };
+};
+
 /**
  * Fetch sitemap content from URL
- * @param {string} sitemapUrl - URL of the sitemap to fetch
+ * @param {string} sitemapUrl - URL of the sitemap to fetch (plain or gzip-compressed)
+ * @param {Object} options - Request options
+ * @param {Object|null} [options.auth] - Site credentials ({ origin, headers })
  * @returns {Promise<string>} Raw XML content
  * @throws {Error} If fetch fails or URL is invalid
  */
-export const fetchSitemap = async (sitemapUrl) => {
+export const fetchSitemap = async (sitemapUrl, { auth = null } = {}) => {
   logger.debug('Fetching sitemap', { url: sitemapUrl });
 
   try {
-    // Validate and normalize URL
-    const normalizedUrl = validateUrl(sitemapUrl);
-
-    const response = await fetch(normalizedUrl, {
-      method: 'GET',
-      headers: {
-        'User-Agent': 'W3C-Checker-Bot/1.0 (Sitemap Scanner)',
-        'Accept': 'application/xml, text/xml, */*',
-      },
-      timeout: 30000, // 30 second timeout
-      follow: 5, // Follow up to 5 redirects
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
+    const { response, contentType, declaredGzip } = await requestSitemap(sitemapUrl, { auth });
 
-    // Check content type
-    const contentType = response.headers.get('content-type') || '';
-    if (!contentType.includes('xml') && !contentType.includes('text')) {
-      logger.warn('Unexpected content type for sitemap', { 
-        url: sitemapUrl, 
-        contentType 
-      });
-    }
-
-    const content = await response.text();
+    const body = Buffer.from(await response.arrayBuffer());
+    const content = await decodeSitemapBody(body, { url: sitemapUrl, declaredGzip });
     
     if (!content || content.trim().length === 0) {
       throw new Error('Empty sitemap content');
@@ -54,6 +99,7 @@ export const fetchSitemap = async (sitemapUrl) => {
     logger.info('Sitemap fetched successfully', { 
       url: sitemapUrl, 
       size: content.length,
+      compressedSize: body.length !== content.length ? body.length : undefined,
       contentType 
     });
 
@@ -68,47 +114,198 @@ export const fetchSitemap = async (sitemapUrl) => {
 };
 
 /**
- * Parse XML sitemap and extract URLs
- * @param {string} xmlContent - Raw XML content
- * @returns {Promise<Array<string>>} Array of URLs found in sitemap
- * @throws {Error} If XML parsing fails or no URLs found
+ * Stream the entries of a sitemap (XML, plain text, RSS or Atom) straight from the HTTP response
+ * The body goes through gzip decompression (when the magic bytes say so) and
+ * the parser matching its format chunk by chunk, so only unconsumed entries are held in memory.
+ * Stopping the iteration early aborts the download.
+ * @param {string} sitemapUrl - URL of the sitemap to stream (file name for uploaded content)
+ * @param {Object} stats - Filled with the document format, root namespace, entity errors and decompressed size
+ * @param {Object} options - Request options
+ * @param {Object|null} [options.auth] - Site credentials ({ origin, headers })
+ * @param {Buffer|null} [options.content] - Uploaded sitemap content, read instead of fetching the URL
+ * @returns {AsyncGenerator<Object>} Entries: { kind, loc, lastmod, changefreq, priority }
+ * @throws {Error} If fetching, decompression or parsing fails
+ */
+export async function* streamSitemapEntries(sitemapUrl, stats = {}, { auth = null, content = null } = {}) {
+  logger.debug('Streaming sitemap', { url: sitemapUrl, uploaded: Boolean(content) });
+
+  try {
+    const { response, contentType, declaredGzip } = content
+      ? { response: { body: Readable.from([content]) }, contentType: '', declaredGzip: /\.gz$/i.test(sitemapUrl) }
+      : await requestSitemap(sitemapUrl, { auth });
+    const decoder = new StringDecoder('utf8');
+    let parser = null;
+
+    stats.size = 0;
+
+    for await (const chunk of readSitemapBody(response.body, { url: sitemapUrl, declaredGzip })) {
+      const text = decoder.write(chunk);
+      stats.size += chunk.length;
+      parser ??= createSourceParser(text, { url: sitemapUrl, contentType });
+      parser.write(text);
+      stats.type = parser.getRootType();
+      yield* parser.takeEntries();
+    }
+
+    parser ??= createSitemapParser();
+    parser.write(decoder.end());
+    parser.close();
+    stats.type = parser.getRootType();
+    stats.namespace = parser.getRootNamespace();
+    stats.entityErrors = parser.getEntityErrors();
+    yield* parser.takeEntries();
+  } catch (error) {
+    logger.error('Failed to stream sitemap', { 
+      url: sitemapUrl, 
+      error: error.message 
+    });
+    throw new Error(`Failed to fetch sitemap: ${error.message}`);
+  }
+}
+
+/**
+ * Pick the parser for a URL source from the start of its content
+ * @param {string} head - First decoded chunk of the document
+ * @param {Object} options - Source details
+ * @param {string} options.url - Source URL (for logging)
+ * @param {string} options.contentType - Declared content type
+ * @returns {Object} Text or XML sitemap parser
+ */
+const createSourceParser = (head, { url, contentType }) => {
+  const isText = isPlainTextSitemap(head);
+
+  if (isText !== contentType.includes('text/plain')) {
+    logger.debug('Sitemap content does not match its declared content type', {
+      url,
+      contentType,
+      detected: isText ? 'text' : 'xml',
+    });
+  }
+
+  return isText ? createTextSitemapParser() : createSitemapParser();
+};
+
+/**
+ * Read a sitemap response body as decompressed chunks
+ * @param {Readable} body - Response body stream
+ * @param {Object} options - Reading options
+ * @param {string} options.url - Sitemap URL (for logging)
+ * @param {boolean} options.declaredGzip - Whether extension or headers announce gzip
+ * @returns {AsyncGenerator<Buffer>} Decompressed chunks
+ * @throws {Error} If the decompressed body exceeds the maximum sitemap size
+ */
+async function* readSitemapBody(body, { url, declaredGzip }) {
+  const maxSize = appConfig.sitemap.maxSizeBytes;
+  const iterator = body[Symbol.asyncIterator]();
+  const first = await iterator.next();
+
+  if (first.done) {
+    return;
+  }
+
+  // Hand the already-read first chunk back in front of the rest of the body
+  const rawChunks = (async function* () {
+    yield first.value;
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      yield next.value;
+    }
+  })();
+
+  let chunks = rawChunks;
+
+  if (isGzipBuffer(first.value)) {
+    chunks = pipeline(Readable.from(rawChunks), createGunzip(), () => {});
+  } else if (declaredGzip) {
+    logger.debug('Sitemap announced as gzip but served uncompressed', { url });
+  }
+
+  let size = 0;
+
+  try {
+    for await (const chunk of chunks) {
+      size += chunk.length;
+      if (size > maxSize) {
+        throw new Error(`Sitemap exceeds the maximum size of ${maxSize} bytes`);
+      }
+      yield chunk;
+    }
+  } finally {
+    body.destroy();
+  }
+}
+
+/**
+ * Check whether a buffer starts with the gzip magic bytes (1f 8b)
+ * @param {Buffer} buffer - Raw response body
+ * @returns {boolean} True if buffer is gzip-compressed
+ */
+export const isGzipBuffer = (buffer) => {
+  return buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+};
+
+/**
+ * Decode a sitemap response body, decompressing gzip content when needed
+ * @param {Buffer} body - Raw response body
+ * @param {Object} options - Decoding options
+ * @param {string} options.url - Sitemap URL (for logging)
+ * @param {boolean} options.declaredGzip - Whether extension or headers announce gzip
+ * @returns {Promise<string>} Decoded XML content
+ * @throws {Error} If decompression fails or exceeds the maximum sitemap size
+ */
+const decodeSitemapBody = async (body, { url, declaredGzip }) => {
+  // Magic bytes are authoritative: servers often mislabel .gz files, and
+  // Content-Encoding: gzip bodies are already inflated by node-fetch
+  if (!isGzipBuffer(body)) {
+    if (declaredGzip) {
+      logger.debug('Sitemap announced as gzip but served uncompressed', { url });
+    }
+    return body.toString('utf8');
+  }
+
+  const maxSize = appConfig.sitemap.maxSizeBytes;
+
+  try {
+    const decompressed = await gunzipAsync(body, { maxOutputLength: maxSize });
+    logger.debug('Gzip sitemap decompressed', { url, compressedSize: body.length, size: decompressed.length });
+    return decompressed.toString('utf8');
+  } catch (error) {
+    if (error.code === 'ERR_BUFFER_TOO_LARGE' || error instanceof RangeError) {
+      throw new Error(`Decompressed sitemap exceeds the maximum size of ${maxSize} bytes`);
+    }
+    throw new Error(`Gzip decompression failed: ${error.message}`);
+  }
+};
+
+/**
+ * Parse a sitemap (XML, plain text, RSS or Atom) and extract URLs
+ * @param {string} xmlContent - Raw document content
+ * @returns {Promise<Object>} Document format with page URLs and child sitemap URLs
+ * @throws {Error} If XML parsing fails
  */
 export const parseSitemap = async (xmlContent) => {
   logger.debug('Parsing sitemap XML');
 
   try {
-    return new Promise((resolve, reject) => {
-      parseString(xmlContent, (err, result) => {
-        if (err) {
-          logger.error('XML parsing failed', { error: err.message });
-          reject(new Error(`XML parsing failed: ${err.message}`));
-          return;
-        }
-
-        try {
-          const urls = extractUrlsFromParsedXml(result);
-          
-          if (urls.length === 0) {
-            throw new Error('No URLs found in sitemap');
-          }
-
-          if (urls.length > appConfig.w3c.maxSitemapUrls) {
-            throw new Error(
-              `Sitemap contains ${urls.length} URLs, maximum allowed is ${appConfig.w3c.maxSitemapUrls}`
-            );
-          }
-
-          logger.info('Sitemap parsed successfully', { 
-            urlCount: urls.length,
-            sampleUrls: urls.slice(0, 3) 
-          });
-
-          resolve(urls);
-        } catch (extractError) {
-          reject(extractError);
-        }
-      });
+    const parser = isPlainTextSitemap(xmlContent) ? createTextSitemapParser() : createSitemapParser();
+    parser.write(xmlContent);
+    parser.close();
+
+    const type = parser.getRootType();
+    const locs = uniqueValidLocs(parser.takeEntries().map(entry => entry.loc));
+    const parsed = {
+      type,
+      urls: type !== 'sitemapindex' ? locs : [],
+      sitemaps: type === 'sitemapindex' ? locs : [],
+    };
+
+    logger.info('Sitemap parsed successfully', { 
+      type: parsed.type,
+      urlCount: parsed.urls.length,
+      sitemapCount: parsed.sitemaps.length,
+      sampleUrls: parsed.urls.slice(0, 3) 
     });
+
+    return parsed;
   } catch (error) {
     logger.error('Sitemap parsing failed', { error: error.message });
     throw error;
@@ -116,64 +313,152 @@ export const parseSitemap = async (xmlContent) => {
 };
 
 /**
- * Extract URLs from parsed XML object
- * @param {Object} parsedXml - Parsed XML object from xml2js
+ * Keep unique, valid `loc` values
+ * @param {Array<string>} locs - Raw `loc` values
  * @returns {Array<string>} Array of extracted URLs
  */
-const extractUrlsFromParsedXml = (parsedXml) => {
-  const urls = [];
+const uniqueValidLocs = (locs) => {
+  return [...new Set(locs)].filter(isAcceptedLoc);
+};
+
+/**
+ * Check that a `loc` value is an HTTP(S) URL we can validate
+ * @param {string} loc - Raw `loc` value
+ * @returns {boolean} True if the URL can be scanned
+ */
+const isAcceptedLoc = (loc) => {
+  if (!loc || !isValidHttpUrl(loc)) {
+    return false;
+  }
 
   try {
-    // Handle standard sitemap format
-    if (parsedXml.urlset && parsedXml.urlset.url) {
-      const urlEntries = Array.isArray(parsedXml.urlset.url) 
-        ? parsedXml.urlset.url 
-        : [parsedXml.urlset.url];
-
-      for (const urlEntry of urlEntries) {
-        if (urlEntry.loc && urlEntry.loc[0]) {
-          const url = urlEntry.loc[0].trim();
-          if (url && isValidHttpUrl(url)) {
-            urls.push(url);
-          }
-        }
-      }
+    validateUrl(loc);
+    return true;
+  } catch (error) {
+    logger.warn('Invalid URL in sitemap', { url: loc, error: error.message });
+    return false;
+  }
+};
+
+/**
+ * Recursively collect page URLs from a sitemap, following sitemap indexes
+ * @param {string} sitemapUrl - URL of the sitemap or sitemap index to process
+ * @param {Object} context - Traversal state shared across the whole expansion
+ * @param {number} depth - Nesting depth of this sitemap (0 for the root)
+ * @returns {Promise<void>}
+ * @throws {Error} If this sitemap cannot be fetched/parsed or the URL limit is exceeded
+ */
+const collectSitemapUrls = async (sitemapUrl, context, depth = 0) => {
+  const stats = {};
+  const sitemaps = new Set();
+  let urlCount = 0;
+  let entryCount = 0;
+
+  // Uploaded content replaces the root document only: child sitemaps of an uploaded index are fetched
+  const content = depth === 0 ? context.content : null;
+
+  for await (const entry of streamSitemapEntries(sitemapUrl, stats, { auth: context.auth, content })) {
+    entryCount++;
+    context.report.checkEntry(entry, sitemapUrl);
+
+    if (!isAcceptedLoc(entry.loc)) {
+      continue;
     }
 
-    // Handle sitemap index format (contains links to other sitemaps)
-    if (parsedXml.sitemapindex && parsedXml.sitemapindex.sitemap) {
-      logger.warn('Sitemap index detected - only processing first-level URLs');
-      
-      const sitemapEntries = Array.isArray(parsedXml.sitemapindex.sitemap)
-        ? parsedXml.sitemapindex.sitemap
-        : [parsedXml.sitemapindex.sitemap];
-
-      for (const sitemapEntry of sitemapEntries) {
-        if (sitemapEntry.loc && sitemapEntry.loc[0]) {
-          const url = sitemapEntry.loc[0].trim();
-          if (url && isValidHttpUrl(url)) {
-            urls.push(url);
-          }
-        }
-      }
+    if (entry.kind === 'sitemap') {
+      sitemaps.add(entry.loc);
+      continue;
     }
 
-    // Remove duplicates and validate URLs
-    const uniqueUrls = [...new Set(urls)];
-    const validUrls = uniqueUrls.filter(url => {
-      try {
-        validateUrl(url);
-        return true;
-      } catch (error) {
-        logger.warn('Invalid URL in sitemap', { url, error: error.message });
-        return false;
+    urlCount++;
+
+    const { url, key } = normalizeUrl(entry.loc, context.normalization);
+    const canonical = context.canonicals.get(key);
+
+    // Keep the first form, the first sitemap a URL was seen in and its lastmod
+    if (!canonical) {
+      context.canonicals.set(key, { url, loc: entry.loc });
+      context.sources.set(url, sitemapUrl);
+      if (entry.lastmod) {
+        context.lastmods.set(url, entry.lastmod);
+      }
+
+      // Abort the download as soon as the limit is crossed
+      if (context.sources.size > appConfig.w3c.maxSitemapUrls) {
+        throw new Error(
+          `Sitemap contains more than ${appConfig.w3c.maxSitemapUrls} URLs, which is the maximum allowed`
+        );
       }
+    } else if (canonical.loc === entry.loc) {
+      context.report.addIssue('duplicate_loc', sitemapUrl, entry.loc);
+    } else {
+      context.report.addIssue('equivalent_url', sitemapUrl, `${entry.loc} → ${canonical.url}`);
+    }
+  }
+
+  context.report.checkDocument({
+    sitemapUrl,
+    type: stats.type,
+    namespace: stats.namespace,
+    entryCount,
+    size: stats.size,
+    entityErrors: stats.entityErrors,
+  });
+
+  const type = stats.type;
+  context.contentSize += stats.size;
+  context.sitemaps.push({ url: sitemapUrl, type, depth, urlCount });
+
+  if (type !== 'sitemapindex') {
+    return;
+  }
+
+  const { indexMaxDepth, indexMaxChildren } = appConfig.sitemap;
+
+  if (depth >= indexMaxDepth) {
+    logger.warn('Sitemap index nesting too deep - children skipped', { url: sitemapUrl, depth });
+    context.warnings.push(
+      `Sitemap index ${sitemapUrl} exceeds the maximum nesting depth of ${indexMaxDepth} - its ${sitemaps.size} child sitemaps were skipped`
+    );
+    return;
+  }
+
+  const children = [];
+  for (const childUrl of sitemaps) {
+    if (context.visited.has(childUrl)) {
+      logger.warn('Sitemap already visited - skipping to avoid a cycle', { url: childUrl, parent: sitemapUrl });
+      context.warnings.push(`Sitemap ${childUrl} is referenced more than once and was only processed once`);
+      continue;
+    }
+    children.push(childUrl);
+  }
+
+  if (children.length > indexMaxChildren) {
+    logger.warn('Sitemap index has too many children - truncating', {
+      url: sitemapUrl,
+      childCount: children.length,
+      maxChildren: indexMaxChildren,
     });
+    context.warnings.push(
+      `Sitemap index ${sitemapUrl} lists ${children.length} sitemaps - only the first ${indexMaxChildren} were processed`
+    );
+    children.length = indexMaxChildren;
+  }
 
-    return validUrls;
-  } catch (error) {
-    logger.error('URL extraction failed', { error: error.message });
-    throw new Error('Failed to extract URLs from sitemap');
+  for (const childUrl of children) {
+    context.visited.add(childUrl);
+
+    try {
+      await collectSitemapUrls(childUrl, context, depth + 1);
+    } catch (error) {
+      if (context.sources.size > appConfig.w3c.maxSitemapUrls) {
+        throw error;
+      }
+
+      logger.warn('Child sitemap could not be processed', { url: childUrl, parent: sitemapUrl, error: error.message });
+      context.sitemaps.push({ url: childUrl, type: null, depth: depth + 1, urlCount: 0, error: error.message });
+      context.warnings.push(`Child sitemap ${childUrl} could not be processed: ${error.message}`);
+    }
   }
 };
 
@@ -194,28 +479,57 @@ const isValidHttpUrl = (string) => {
 /**
  * Validate sitemap structure and content
  * @param {string} sitemapUrl - URL of the sitemap
- * @returns {Promise<Object>} Validation result with URLs and metadata
+ * @param {Object} options - Parsing options
+ * @param {Object} [options.normalization] - URL normalization options (see DEFAULT_NORMALIZATION)
+ * @param {Object|null} [options.auth] - Site credentials ({ origin, headers }) for sitemaps behind authentication
+ * @param {Buffer|null} [options.content] - Uploaded sitemap (XML, text, RSS/Atom, optionally gzipped);
+ *   sitemapUrl is then its file name
+ * @returns {Promise<Object>} Validation result with normalized, de-duplicated URLs, their lastmod and metadata
  */
-export const validateAndParseSitemap = async (sitemapUrl) => {
-  logger.info('Validating and parsing sitemap', { url: sitemapUrl });
+export const validateAndParseSitemap = async (sitemapUrl, { normalization, auth = null, content = null } = {}) => {
+  logger.info('Validating and parsing sitemap', { url: sitemapUrl, normalization });
 
   try {
-    // Fetch sitemap content
-    const xmlContent = await fetchSitemap(sitemapUrl);
-    
-    // Parse and extract URLs
-    const urls = await parseSitemap(xmlContent);
+    // Fetch and parse the sitemap, expanding sitemap indexes recursively
+    const context = {
+      visited: new Set([sitemapUrl]),
+      sources: new Map(),
+      lastmods: new Map(),
+      canonicals: new Map(),
+      normalization,
+      auth,
+      content,
+      sitemaps: [],
+      warnings: [],
+      contentSize: 0,
+      report: createSitemapReport(),
+    };
+
+    await collectSitemapUrls(sitemapUrl, context);
+
+    const urls = [...context.sources.keys()];
+
+    if (urls.length === 0) {
+      throw new Error('No URLs found in sitemap');
+    }
+
+    const report = context.report.build();
     
     // Additional validation
     const validation = {
       isValid: true,
       urlCount: urls.length,
       urls: urls,
-      warnings: [],
+      sources: Object.fromEntries(context.sources),
+      lastmods: Object.fromEntries(context.lastmods),
+      format: context.sitemaps[0].type,
+      report,
+      warnings: [...context.warnings],
       metadata: {
         fetchedAt: new Date().toISOString(),
-        contentSize: xmlContent.length,
+        contentSize: context.contentSize,
         sitemapUrl,
+        sitemaps: context.sitemaps,
       },
     };
 
@@ -237,10 +551,25 @@ export const validateAndParseSitemap = async (sitemapUrl) => {
       validation.warnings.push(`${httpUrls.length} URLs use HTTP instead of HTTPS`);
     }
 
+    const equivalentUrls = report.summary.issueTypes.equivalent_url || 0;
+    if (equivalentUrls > 0) {
+      validation.warnings.push(
+        `${equivalentUrls} URLs are equivalent to another listed URL after normalization and were validated once`
+      );
+    }
+
+    if (!report.conforms) {
+      validation.warnings.push(
+        `Sitemap does not conform to the sitemaps.org protocol (${report.summary.errors} errors)`
+      );
+    }
+
     logger.info('Sitemap validation completed', {
       url: sitemapUrl,
       urlCount: validation.urlCount,
+      sitemapCount: context.sitemaps.length,
       warnings: validation.warnings.length,
+      conformanceErrors: report.summary.errors,
       domains: domains.length,
     });
 
@@ -256,6 +585,10 @@ export const validateAndParseSitemap = async (sitemapUrl) => {
       error: error.message,
       urlCount: 0,
       urls: [],
+      sources: {},
+      lastmods: {},
+      format: null,
+      report: null,
       warnings: [],
       metadata: {
         fetchedAt: new Date().toISOString(),
@@ -265,16 +598,65 @@ export const validateAndParseSitemap = async (sitemapUrl) => {
   }
 };
 
+/**
+ * Discover sitemaps for a site from robots.txt and well-known locations
+ * @param {string} siteUrl - Any URL on the site (only its origin is used)
+ * @param {Object} options - Request options
+ * @param {Object|null} [options.auth] - Site credentials ({ origin, headers })
+ * @returns {Promise<Object>} Origin, candidates with their sitemap info, and the first accessible sitemap URL
+ */
+export const discoverSitemaps = async (siteUrl, { auth = null } = {}) => {
+  const origin = new URL(validateUrl(siteUrl)).origin;
+  logger.info('Discovering sitemaps', { origin });
+
+  const robotsContent = await fetchRobotsTxt(origin, { auth });
+  const robotsSitemaps = robotsContent ? parseRobotsTxt(robotsContent, origin).sitemaps : [];
+
+  const probe = (urls, source) => Promise.all(
+    urls.map(async (url) => ({ url, source, info: await getSitemapInfo(url, { auth }) }))
+  );
+
+  const candidates = await probe(robotsSitemaps, 'robots');
+
+  // Fall back to conventional locations when robots.txt gives nothing usable
+  if (!candidates.some(candidate => candidate.info.accessible)) {
+    const wellKnown = WELL_KNOWN_SITEMAP_PATHS
+      .map(path => new URL(path, origin).toString())
+      .filter(url => !robotsSitemaps.includes(url));
+
+    candidates.push(...await probe(wellKnown, 'well-known'));
+  }
+
+  const found = candidates.find(candidate => candidate.info.accessible);
+
+  logger.info('Sitemap discovery completed', {
+    origin,
+    robotsTxt: robotsContent !== null,
+    candidates: candidates.length,
+    sitemapUrl: found?.url || null,
+  });
+
+  return {
+    origin,
+    robotsTxt: robotsContent !== null,
+    candidates,
+    sitemapUrl: found ? found.url : null,
+  };
+};
+
 /**
  * Get sitemap info without full parsing (for quick preview)
  * @param {string} sitemapUrl - URL of the sitemap
+ * @param {Object} options - Request options
+ * @param {Object|null} [options.auth] - Site credentials ({ origin, headers })
  * @returns {Promise<Object>} Basic sitemap information
  */
-export const getSitemapInfo = async (sitemapUrl) => {
+export const getSitemapInfo = async (sitemapUrl, { auth = null } = {}) => {
   try {
-    const response = await fetch(validateUrl(sitemapUrl), {
+    const response = await safeFetch(validateUrl(sitemapUrl), {
       method: 'HEAD',
       timeout: 10000,
+      auth,
     });
 
     const info = {
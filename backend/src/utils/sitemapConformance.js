@@ -0,0 +1,247 @@
+/**
+ * Sitemap protocol conformance checks
+ * @fileoverview Audit of sitemap documents against the sitemaps.org protocol
+ */
+
+/**
+ * sitemaps.org namespace required on the root element
+ */
+export const SITEMAP_NAMESPACE = 'http://www.sitemaps.org/schemas/sitemap/0.9';
+
+/**
+ * Document formats that must declare the sitemaps.org namespace
+ */
+const XML_SITEMAP_TYPES = ['urlset', 'sitemapindex'];
+
+/**
+ * Protocol limits per sitemap file
+ */
+const MAX_ENTRIES_PER_SITEMAP = 50000;
+const MAX_SITEMAP_BYTES = 52428800; // 50 MB uncompressed
+
+/**
+ * Allowed changefreq values
+ */
+const CHANGEFREQ_VALUES = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+/**
+ * W3C Datetime (https://www.w3.org/TR/NOTE-datetime): YYYY, YYYY-MM, YYYY-MM-DD,
+ * or a full date with hh:mm, hh:mm:ss or hh:mm:ss.s and a time zone designator
+ */
+const W3C_DATETIME = /^\d{4}(-(0[1-9]|1[0-2])(-(0[1-9]|[12]\d|3[01])(T([01]\d|2[0-3]):[0-5]\d(:[0-5]\d(\.\d+)?)?(Z|[+-]([01]\d|2[0-3]):[0-5]\d))?)?)?$/;
+
+/**
+ * Grace period before a lastmod counts as "in the future" (covers time zone skew)
+ */
+const FUTURE_LASTMOD_TOLERANCE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Maximum number of example values kept per issue
+ */
+const MAX_SAMPLES = 5;
+
+/**
+ * Issue definitions by code
+ */
+const ISSUES = {
+  invalid_namespace: {
+    severity: 'error',
+    message: `Root element does not declare the sitemaps.org namespace (${SITEMAP_NAMESPACE})`,
+  },
+  too_many_urls: {
+    severity: 'error',
+    message: `Sitemap lists more than ${MAX_ENTRIES_PER_SITEMAP} entries`,
+  },
+  file_too_large: {
+    severity: 'error',
+    message: 'Sitemap is larger than 50 MB uncompressed',
+  },
+  unescaped_entity: {
+    severity: 'error',
+    message: 'Unescaped or unknown entity (& must be written &amp;)',
+  },
+  invalid_lastmod: {
+    severity: 'error',
+    message: 'lastmod is not a valid W3C Datetime',
+  },
+  invalid_changefreq: {
+    severity: 'error',
+    message: `changefreq must be one of: ${CHANGEFREQ_VALUES.join(', ')}`,
+  },
+  invalid_priority: {
+    severity: 'error',
+    message: 'priority must be a number between 0.0 and 1.0',
+  },
+  future_lastmod: {
+    severity: 'warning',
+    message: 'lastmod is in the future',
+  },
+  duplicate_loc: {
+    severity: 'warning',
+    message: 'URL is listed more than once',
+  },
+  equivalent_url: {
+    severity: 'warning',
+    message: 'URL is listed more than once in equivalent forms (host case, port, trailing slash, fragment or query parameters)',
+  },
+  out_of_scope: {
+    severity: 'warning',
+    message: 'URL is outside the host/path scope of the sitemap that lists it',
+  },
+};
+
+/**
+ * Check whether a value is a valid W3C Datetime
+ * @param {string} value - lastmod value
+ * @returns {boolean} True if valid
+ */
+export const isW3CDatetime = (value) => W3C_DATETIME.test(value);
+
+/**
+ * Check whether a URL may be listed by a sitemap, i.e. shares its protocol,
+ * host and directory (a sitemap at /catalog/sitemap.xml covers /catalog/*)
+ * @param {string} url - Page URL
+ * @param {string} sitemapUrl - URL of the sitemap listing it
+ * @returns {boolean} True if in scope
+ */
+export const isInSitemapScope = (url, sitemapUrl) => {
+  const page = new URL(url);
+  const sitemap = new URL(sitemapUrl);
+  const scopePath = sitemap.pathname.slice(0, sitemap.pathname.lastIndexOf('/') + 1);
+
+  return page.protocol === sitemap.protocol
+    && page.host === sitemap.host
+    && page.pathname.startsWith(scopePath);
+};
+
+/**
+ * Create a conformance report collector for one sitemap expansion
+ * @param {Object} options - Report options
+ * @param {Date} options.now - Reference date for future lastmod checks
+ * @returns {Object} Collector with addIssue, checkEntry, checkDocument and build methods
+ */
+export const createSitemapReport = ({ now = new Date() } = {}) => {
+  const issues = new Map();
+  const sitemaps = [];
+
+  /**
+   * Record one occurrence of an issue
+   * @param {string} code - Issue code
+   * @param {string} sitemapUrl - Sitemap the issue was found in
+   * @param {string} [sample] - Offending value, kept as an example
+   * @param {number} [count] - Number of occurrences
+   */
+  const addIssue = (code, sitemapUrl, sample = null, count = 1) => {
+    const key = `${code} ${sitemapUrl}`;
+
+    if (!issues.has(key)) {
+      issues.set(key, { code, ...ISSUES[code], sitemapUrl, count: 0, samples: [] });
+    }
+
+    const issue = issues.get(key);
+    issue.count += count;
+    if (sample !== null && issue.samples.length < MAX_SAMPLES) {
+      issue.samples.push(sample);
+    }
+  };
+
+  return {
+    addIssue,
+
+    /**
+     * Check the fields of a single `<url>` or `<sitemap>` entry
+     * @param {Object} entry - Entry from the sitemap parser
+     * @param {string} sitemapUrl - Sitemap the entry belongs to
+     */
+    checkEntry: (entry, sitemapUrl) => {
+      const label = entry.loc || '(missing loc)';
+
+      if (entry.lastmod !== undefined) {
+        if (!isW3CDatetime(entry.lastmod)) {
+          addIssue('invalid_lastmod', sitemapUrl, `${label} (${entry.lastmod})`);
+        } else if (Date.parse(entry.lastmod) > now.getTime() + FUTURE_LASTMOD_TOLERANCE_MS) {
+          addIssue('future_lastmod', sitemapUrl, `${label} (${entry.lastmod})`);
+        }
+      }
+
+      if (entry.changefreq !== undefined && !CHANGEFREQ_VALUES.includes(entry.changefreq)) {
+        addIssue('invalid_changefreq', sitemapUrl, `${label} (${entry.changefreq})`);
+      }
+
+      if (entry.priority !== undefined) {
+        const priority = Number(entry.priority);
+        if (entry.priority === '' || Number.isNaN(priority) || priority < 0 || priority > 1) {
+          addIssue('invalid_priority', sitemapUrl, `${label} (${entry.priority})`);
+        }
+      }
+
+      if (entry.kind === 'url' && entry.loc) {
+        try {
+          if (!isInSitemapScope(entry.loc, sitemapUrl)) {
+            addIssue('out_of_scope', sitemapUrl, entry.loc);
+          }
+        } catch (error) {
+          // Invalid locations are rejected by the URL extraction itself
+        }
+      }
+    },
+
+    /**
+     * Check document-level requirements once a sitemap has been fully read
+     * @param {Object} document - Document facts
+     * @param {string} document.sitemapUrl - Sitemap URL
+     * @param {string} document.type - Document format ('urlset', 'sitemapindex', 'text', 'rss' or 'atom')
+     * @param {string|null} document.namespace - Default namespace of the root element
+     * @param {number} document.entryCount - Number of entries
+     * @param {number} document.size - Uncompressed size in bytes
+     * @param {Object} document.entityErrors - Entity errors reported by the parser
+     */
+    checkDocument: ({ sitemapUrl, type, namespace, entryCount, size, entityErrors }) => {
+      sitemaps.push({ url: sitemapUrl, type, entryCount, size });
+
+      // Text sitemaps and feeds have no sitemaps.org namespace to declare
+      if (XML_SITEMAP_TYPES.includes(type) && namespace !== SITEMAP_NAMESPACE) {
+        addIssue('invalid_namespace', sitemapUrl, namespace || '(none)');
+      }
+
+      if (entryCount > MAX_ENTRIES_PER_SITEMAP) {
+        addIssue('too_many_urls', sitemapUrl, String(entryCount));
+      }
+
+      if (size > MAX_SITEMAP_BYTES) {
+        addIssue('file_too_large', sitemapUrl, `${size} bytes`);
+      }
+
+      if (entityErrors && entityErrors.count > 0) {
+        for (const line of entityErrors.lines) {
+          addIssue('unescaped_entity', sitemapUrl, `line ${line}`, 0);
+        }
+        addIssue('unescaped_entity', sitemapUrl, null, entityErrors.count);
+      }
+    },
+
+    /**
+     * Build the structured report
+     * @returns {Object} Report with summary and issues (errors first, most frequent first)
+     */
+    build: () => {
+      const issueList = [...issues.values()].sort((a, b) =>
+        (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1) || b.count - a.count
+      );
+
+      const summary = { errors: 0, warnings: 0, issueTypes: {} };
+      for (const issue of issueList) {
+        summary[issue.severity === 'error' ? 'errors' : 'warnings'] += issue.count;
+        summary.issueTypes[issue.code] = (summary.issueTypes[issue.code] || 0) + issue.count;
+      }
+
+      return {
+        conforms: summary.errors === 0,
+        checkedAt: now.toISOString(),
+        sitemaps,
+        summary,
+        issues: issueList,
+      };
+    },
+  };
+};
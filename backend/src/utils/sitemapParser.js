@@ -0,0 +1,259 @@
+/**
+ * Streaming sitemap parser
+ * @fileoverview SAX-based extraction of sitemap entries, fed chunk by chunk
+ */
+
+import sax from 'sax';
+
+/**
+ * Supported XML root elements: the format they denote, the path of their entry
+ * elements below the root, the entry kind, and the child elements captured as
+ * entry fields (element name -> entry field)
+ */
+const XML_FORMATS = {
+  urlset: {
+    type: 'urlset',
+    entryPath: 'url',
+    kind: 'url',
+    fields: { loc: 'loc', lastmod: 'lastmod', changefreq: 'changefreq', priority: 'priority' },
+  },
+  sitemapindex: {
+    type: 'sitemapindex',
+    entryPath: 'sitemap',
+    kind: 'sitemap',
+    fields: { loc: 'loc', lastmod: 'lastmod', changefreq: 'changefreq', priority: 'priority' },
+  },
+  rss: {
+    type: 'rss',
+    entryPath: 'channel/item',
+    kind: 'url',
+    fields: { link: 'loc', pubDate: 'lastmod' },
+  },
+  feed: {
+    type: 'atom',
+    entryPath: 'entry',
+    kind: 'url',
+    fields: { updated: 'lastmod' },
+  },
+};
+
+/**
+ * SAX errors caused by unescaped or unknown entities, which we record and recover from
+ */
+const ENTITY_ERRORS = ['Invalid character in entity name', 'Invalid character entity'];
+
+/**
+ * Check whether a document is a plain-text sitemap (one URL per line) rather than XML
+ * The content decides: XML served as text/plain is common, so the declared
+ * content type is only compared against it for logging.
+ * @param {string} head - Beginning of the decoded document
+ * @returns {boolean} True if the document is plain text
+ */
+export const isPlainTextSitemap = (head) => {
+  const start = head.replace(/^\uFEFF/, '').trimStart();
+  return start.length > 0 && !start.startsWith('<');
+};
+
+/**
+ * Create an incremental parser for XML sitemaps, sitemap indexes, RSS 2.0 and Atom feeds
+ * Entries are buffered as they are closed and drained with `takeEntries()`,
+ * so callers can process a sitemap without holding the whole document.
+ * Badly escaped entities do not abort parsing; they are counted instead.
+ * @returns {Object} Parser with write, close, takeEntries, getRootType, getRootNamespace and getEntityErrors methods
+ * @throws {Error} From write/close if the XML is malformed or not a sitemap
+ */
+export const createSitemapParser = () => {
+  const parser = sax.parser(true, { trim: false, position: true, strictEntities: true });
+  const stack = [];
+  const entityErrors = { count: 0, lines: [] };
+  let entries = [];
+  let format = null;
+  let rootNamespace = null;
+  let currentEntry = null;
+  let currentField = null;
+
+  parser.onopentag = (node) => {
+    stack.push(node.name);
+
+    if (stack.length === 1) {
+      format = XML_FORMATS[node.name];
+      if (!format) {
+        throw new Error(`Failed to extract URLs from sitemap: unknown root element <${node.name}>`);
+      }
+      rootNamespace = node.attributes.xmlns || null;
+    } else if (stack.slice(1).join('/') === format.entryPath) {
+      currentEntry = {};
+    } else if (currentEntry && stack.length === format.entryPath.split('/').length + 2) {
+      if (format.type === 'atom' && node.name === 'link') {
+        // Atom links are attributes; the page itself is the alternate (default) link
+        const rel = node.attributes.rel || 'alternate';
+        if (rel === 'alternate' && node.attributes.href && currentEntry.loc === undefined) {
+          currentEntry.loc = node.attributes.href;
+        }
+      } else if (format.fields[node.name]) {
+        currentField = format.fields[node.name];
+        currentEntry[currentField] = '';
+      }
+    }
+  };
+
+  parser.ontext = (text) => {
+    if (currentField) {
+      currentEntry[currentField] += text;
+    }
+  };
+
+  parser.oncdata = parser.ontext;
+
+  parser.onclosetag = () => {
+    const path = stack.slice(1).join('/');
+    stack.pop();
+
+    if (currentField) {
+      currentField = null;
+    } else if (currentEntry && path === format.entryPath) {
+      entries.push(toEntry(format, currentEntry));
+      currentEntry = null;
+    }
+  };
+
+  parser.onerror = (error) => {
+    const message = error.message.split('\n')[0];
+
+    if (ENTITY_ERRORS.includes(message)) {
+      entityErrors.count++;
+      if (entityErrors.lines.length < 5) {
+        entityErrors.lines.push(parser.line + 1);
+      }
+      parser.resume();
+      return;
+    }
+
+    throw new Error(`XML parsing failed: ${message}`);
+  };
+
+  return {
+    /**
+     * Feed a chunk of XML text to the parser
+     * @param {string} chunk - XML text
+     */
+    write: (chunk) => {
+      parser.write(chunk);
+    },
+
+    /**
+     * Signal the end of the document
+     * @throws {Error} If the document is empty or incomplete
+     */
+    close: () => {
+      parser.close();
+      if (!format) {
+        throw new Error('Empty sitemap content');
+      }
+    },
+
+    /**
+     * Return and clear the entries parsed since the last call
+     * @returns {Array<Object>} Parsed entries
+     */
+    takeEntries: () => {
+      const parsed = entries;
+      entries = [];
+      return parsed;
+    },
+
+    /**
+     * Get the format of the document once its root element has been seen
+     * @returns {string|null} 'urlset', 'sitemapindex', 'rss', 'atom' or null
+     */
+    getRootType: () => (format ? format.type : null),
+
+    /**
+     * Get the default namespace declared on the root element
+     * @returns {string|null} Namespace URI or null if none was declared
+     */
+    getRootNamespace: () => rootNamespace,
+
+    /**
+     * Get the badly escaped entities found so far
+     * @returns {Object} Error count and the first few line numbers
+     */
+    getEntityErrors: () => entityErrors,
+  };
+};
+
+/**
+ * Create an incremental parser for plain-text sitemaps (one URL per line)
+ * Exposes the same interface as `createSitemapParser()`.
+ * @returns {Object} Parser with write, close, takeEntries, getRootType, getRootNamespace and getEntityErrors methods
+ * @throws {Error} From close if the document is empty
+ */
+export const createTextSitemapParser = () => {
+  let entries = [];
+  let pending = '';
+  let hasContent = false;
+
+  const addLine = (line) => {
+    const loc = line.replace(/^\uFEFF/, '').trim();
+    if (loc) {
+      hasContent = true;
+      entries.push({ kind: 'url', loc });
+    }
+  };
+
+  return {
+    write: (chunk) => {
+      const lines = (pending + chunk).split(/\r?\n/);
+      pending = lines.pop();
+      lines.forEach(addLine);
+    },
+
+    close: () => {
+      addLine(pending);
+      pending = '';
+      if (!hasContent) {
+        throw new Error('Empty sitemap content');
+      }
+    },
+
+    takeEntries: () => {
+      const parsed = entries;
+      entries = [];
+      return parsed;
+    },
+
+    getRootType: () => (hasContent ? 'text' : null),
+
+    getRootNamespace: () => null,
+
+    getEntityErrors: () => ({ count: 0, lines: [] }),
+  };
+};
+
+/**
+ * Build a normalized entry from captured element text
+ * @param {Object} format - Format of the document (see XML_FORMATS)
+ * @param {Object} fields - Captured field text keyed by entry field
+ * @returns {Object} Entry with kind ('url' or 'sitemap') and trimmed fields
+ */
+const toEntry = (format, fields) => {
+  const entry = { kind: format.kind };
+
+  for (const field of Object.values(format.fields).concat('loc')) {
+    if (fields[field] !== undefined && entry[field] === undefined) {
+      entry[field] = fields[field].trim();
+    }
+  }
+
+  // RSS dates are RFC 822; store them as W3C Datetime like sitemap lastmod values
+  if (format.type === 'rss' && entry.lastmod !== undefined) {
+    const date = new Date(entry.lastmod);
+    if (Number.isNaN(date.getTime())) {
+      delete entry.lastmod;
+    } else {
+      entry.lastmod = date.toISOString();
+    }
+  }
+
+  return entry;
+};
@@ -0,0 +1,83 @@
+/**
+ * Suppression rule utilities
+ * @fileoverview Flag the validator messages a user accepted on purpose (vendor widgets, known patterns)
+ * so they no longer make pages invalid nor count in summaries
+ */
+
+import { compileRule } from './urlFilters.js';
+import { isSafeRegExp } from './validation.js';
+import { logger } from './logger.js';
+
+/**
+ * Compile the suppression rules of a user into matchers
+ * Rules with an invalid or unsafe pattern are skipped (patterns are validated when rules are created).
+ * @param {Array<Object>} rules - Active rules ({ id, origin, messagePattern, urlPattern, severity, reason })
+ * @returns {Array<Object>} Compiled rules: { id, reason, matches(url, issue) }
+ */
+export const compileSuppressionRules = (rules) => rules.flatMap((rule) => {
+  try {
+    if (rule.messagePattern && !isSafeRegExp(rule.messagePattern, 'i')) {
+      throw new Error('Invalid or unsafe message pattern');
+    }
+    const message = rule.messagePattern ? new RegExp(rule.messagePattern, 'i') : null;
+    const url = rule.urlPattern ? compileRule({ type: 'glob', pattern: rule.urlPattern }) : null;
+
+    const matches = (pageUrl, issue) => (!rule.origin || new URL(pageUrl).origin === rule.origin)
+      && (!url || url(pageUrl))
+      && (!message || message.test(issue.message || ''))
+      && (!rule.severity || issue.severity === rule.severity);
+
+    return [{ id: rule.id, reason: rule.reason, matches }];
+  } catch (error) {
+    logger.warn('Skipping invalid suppression rule', { ruleId: rule.id, error: error.message });
+    return [];
+  }
+});
+
+/**
+ * Whether a message was suppressed by a rule
+ * @param {Object} issue - Validator message
+ * @returns {boolean} True if the message is flagged as suppressed
+ */
+export const isSuppressed = (issue) => Boolean(issue.suppressedBy);
+
+/**
+ * Count the messages of a result, without those accepted on purpose
+ * @param {Array<Object>|null} messages - Errors or warnings of a scan result
+ * @returns {number} Unsuppressed messages
+ */
+export const countUnsuppressed = (messages) => (Array.isArray(messages) ? messages.filter(message => !isSuppressed(message)).length : 0);
+
+/**
+ * Flag the messages of a validation result matched by suppression rules
+ * Suppressed messages are kept with the rule that matched them ({ ruleId, reason }), and the page
+ * is valid when all its errors are suppressed. Flags of an earlier run (inherited results) are recomputed.
+ * HTTP issues found before validation and URLs that could not be validated are left as-is.
+ * @param {Object} result - Validation result ({ url, errors, warnings, isValid })
+ * @param {Array<Object>} rules - Compiled suppression rules
+ * @returns {Object} Result with flagged messages and isValid recomputed
+ */
+export const applySuppressionRules = (result, rules) => {
+  if (result.failure || result.failureCategory || !Array.isArray(result.errors)) {
+    return result;
+  }
+
+  const flag = ({ suppressedBy, ...issue }) => {
+    if (issue.type === 'http') {
+      return issue;
+    }
+
+    const rule = rules.find(({ matches }) => matches(result.url, issue));
+    return rule ? { ...issue, suppressedBy: { ruleId: rule.id, reason: rule.reason } } : issue;
+  };
+
+  const errors = result.errors.map(flag);
+  const warnings = Array.isArray(result.warnings) ? result.warnings.map(flag) : result.warnings;
+
+  return {
+    ...result,
+    errors,
+    warnings,
+    isValid: !errors.some(error => !isSuppressed(error)),
+  };
+};
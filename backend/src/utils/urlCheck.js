@@ -0,0 +1,311 @@
+/**
+ * URL check utilities
+ * @fileoverview Lightweight fetch of every scanned URL before validation: final status, redirects,
+ * content type, response time and size, on-page SEO data, the accessibility audit (when requested),
+ * and the HTTP issues that keep a page from being validated. The HTML read is kept for the validators.
+ */
+
+import { safeFetch } from './outboundRequest.js';
+import { extractSeoData } from './seoChecks.js';
+import { auditHtml } from './accessibilityAuditor.js';
+import { logger } from './logger.js';
+
+/**
+ * Time allowed for a page to answer, redirects and body included
+ */
+const URL_CHECK_TIMEOUT_MS = 15000;
+
+/**
+ * Maximum page size read to measure a page and read its SEO data (5 MB)
+ */
+const MAX_PAGE_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Pages checked at once
+ */
+const URL_CHECK_CONCURRENCY = 4;
+
+/**
+ * Total size of the page bodies kept for validation per scan (256 MB): pages read past it
+ * are downloaded again by the validators
+ */
+const MAX_KEPT_BODIES_SIZE = 256 * 1024 * 1024;
+
+/**
+ * Content types the HTML validator accepts
+ */
+const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+/**
+ * Read a response body up to MAX_PAGE_SIZE
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Buffer|null>} Body, or null if larger than MAX_PAGE_SIZE
+ */
+const readBody = async (response) => {
+  const chunks = [];
+  let bytes = 0;
+
+  for await (const chunk of response.body) {
+    bytes += chunk.length;
+
+    if (bytes > MAX_PAGE_SIZE) {
+      response.body.destroy();
+      return null;
+    }
+
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks, bytes);
+};
+
+/**
+ * Check whether a content type can be sent to the HTML validator
+ * A missing content type is left to the validator.
+ * @param {string|null} contentType - Content-Type header
+ * @returns {boolean} True for HTML and XHTML pages
+ */
+export const isHtmlContentType = (contentType) => {
+  if (!contentType) {
+    return true;
+  }
+
+  const mediaType = contentType.split(';')[0].trim().toLowerCase();
+  return HTML_CONTENT_TYPES.includes(mediaType);
+};
+
+/**
+ * Fetch a page to record how it answers
+ * @param {string} url - Page URL
+ * @param {Object|null} [auth] - Site credentials ({ origin, headers })
+ * @param {Object} [options] - Check options
+ * @param {boolean} [options.auditAccessibility] - Audit the accessibility of the HTML read (see auditHtml())
+ * @returns {Promise<Object>} { status, finalUrl, redirects: [{ url, status }], contentType, responseTimeMs, byteSize,
+ * seo (see extractSeoData(), HTML pages only), accessibilityViolations (audited pages, null if the audit failed),
+ * body (raw bytes of the HTML pages read, null otherwise), error, timedOut }
+ */
+export const checkUrl = async (url, auth = null, { auditAccessibility = false } = {}) => {
+  const redirects = [];
+  const startedAt = Date.now();
+
+  try {
+    const response = await safeFetch(url, {
+      method: 'GET',
+      headers: {
+        'User-Agent': 'W3C-Checker-Bot/1.0 (Sitemap Scanner)',
+        'Accept': 'text/html, application/xhtml+xml;q=0.9, */*;q=0.1',
+      },
+      signal: AbortSignal.timeout(URL_CHECK_TIMEOUT_MS),
+      follow: 10,
+      auth,
+      onRedirect: ({ url: from, status }) => redirects.push({ url: from, status }),
+    });
+
+    const responseTimeMs = Date.now() - startedAt;
+    const contentType = response.headers.get('content-type');
+    const contentLength = parseInt(response.headers.get('content-length'), 10);
+
+    // Only HTML pages are read, to be measured, for their SEO data and their accessibility audit:
+    // other documents are never downloaded
+    let byteSize = Number.isNaN(contentLength) ? null : contentLength;
+    let seo = null;
+    let accessibilityViolations = null;
+    let body = null;
+
+    if (response.ok && isHtmlContentType(contentType)) {
+      body = await readBody(response);
+      byteSize ??= body?.length ?? null;
+
+      if (body) {
+        const html = body.toString('utf8');
+        seo = extractSeoData(html, {
+          url: response.url || url,
+          robotsHeader: response.headers.get('x-robots-tag'),
+        });
+
+        if (auditAccessibility) {
+          accessibilityViolations = await auditHtml(html, response.url || url).catch((error) => {
+            logger.warn('Page accessibility could not be audited', { url, error: error.message });
+            return null;
+          });
+        }
+      }
+    } else {
+      response.body?.destroy();
+    }
+
+    return {
+      status: response.status,
+      finalUrl: response.url || url,
+      redirects,
+      contentType,
+      responseTimeMs,
+      byteSize,
+      seo,
+      ...(auditAccessibility && { accessibilityViolations }),
+      body,
+      error: null,
+      timedOut: false,
+    };
+  } catch (error) {
+    const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    logger.debug('URL check failed', { url, error: error.message, timedOut });
+
+    return {
+      status: null,
+      finalUrl: null,
+      redirects,
+      contentType: null,
+      responseTimeMs: Date.now() - startedAt,
+      byteSize: null,
+      seo: null,
+      ...(auditAccessibility && { accessibilityViolations: null }),
+      body: null,
+      error: timedOut ? `No response within ${URL_CHECK_TIMEOUT_MS / 1000} seconds` : error.message,
+      timedOut,
+    };
+  }
+};
+
+/**
+ * Check every URL, URL_CHECK_CONCURRENCY pages at a time
+ * The bodies read are kept (up to MAX_KEPT_BODIES_SIZE in total) so that the HTML and CSS
+ * validations don't download the pages again.
+ * @param {Array<string>} urls - Page URLs
+ * @param {Object|null} [auth] - Site credentials ({ origin, headers })
+ * @param {Object} [options] - Check options (see checkUrl())
+ * @returns {Promise<Map<string, Object>>} Check per URL (see checkUrl()), in the order of the URLs
+ */
+export const checkUrls = async (urls, auth = null, options = {}) => {
+  const checks = new Array(urls.length);
+  let keptSize = 0;
+  let next = 0;
+
+  const worker = async () => {
+    while (next < urls.length) {
+      const index = next++;
+      const check = await checkUrl(urls[index], auth, options);
+
+      if (check.body && keptSize + check.body.length > MAX_KEPT_BODIES_SIZE) {
+        check.body = null;
+      }
+      keptSize += check.body?.length ?? 0;
+
+      checks[index] = [urls[index], check];
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(URL_CHECK_CONCURRENCY, urls.length) }, worker));
+
+  logger.info('URLs checked', { urls: urls.length, keptBodiesSize: keptSize });
+
+  return new Map(checks);
+};
+
+/**
+ * Get the HTTP issues of a checked URL
+ * Sitemap URLs should answer 200 with HTML directly: redirects are reported as warnings,
+ * errors, timeouts and non-HTML documents as errors, and those pages cannot be validated.
+ * @param {Object} check - Result of checkUrl()
+ * @returns {Object} { validatable, issue (code of the main issue or null), errors, warnings }
+ */
+export const getUrlCheckIssues = (check) => {
+  const errors = [];
+  const warnings = [];
+  let issue = null;
+
+  if (check.redirects.length > 0) {
+    issue = 'redirect';
+    warnings.push({
+      type: 'http',
+      code: 'redirect',
+      message: `Redirects (${check.redirects.map(hop => hop.status).join(', ')}) to ${check.finalUrl || 'an unreachable URL'}`,
+      severity: 'medium',
+    });
+  }
+
+  if (check.error) {
+    issue = check.timedOut ? 'timeout' : 'unreachable';
+    errors.push({ type: 'http', code: issue, message: check.error, severity: 'critical' });
+  } else if (check.status < 200 || check.status >= 300) {
+    issue = 'http_status';
+    errors.push({
+      type: 'http',
+      code: 'http_status',
+      message: `HTTP ${check.status}`,
+      severity: check.status >= 500 ? 'critical' : 'high',
+    });
+  } else if (!isHtmlContentType(check.contentType)) {
+    issue = 'not_html';
+    errors.push({
+      type: 'http',
+      code: 'not_html',
+      message: `Not an HTML page (${check.contentType.split(';')[0].trim()})`,
+      severity: 'high',
+    });
+  }
+
+  return { validatable: errors.length === 0, issue, errors, warnings };
+};
+
+/**
+ * Get why a checked URL cannot be validated, in the failure categories of the validator
+ * @param {Object} check - Result of checkUrl()
+ * @returns {Object|null} { category, message }, or null if the page can be validated
+ */
+export const getUrlCheckFailure = (check) => {
+  const { validatable, issue, errors } = getUrlCheckIssues(check);
+
+  if (validatable) {
+    return null;
+  }
+
+  const categories = {
+    timeout: 'target_timeout',
+    unreachable: / are not allowed/.test(check.error) ? 'target_blocked' : 'target_unreachable',
+    http_status: 'target_http_error',
+    not_html: 'non_html',
+  };
+
+  return { category: categories[issue], message: errors[0].message };
+};
+
+/**
+ * Get the scan result columns recording a URL check
+ * @param {Object} check - Result of checkUrl()
+ * @returns {Object} httpStatus, finalUrl, redirectChain, contentType, responseTimeMs, byteSize, httpIssue and seo
+ */
+export const getUrlCheckFields = (check) => ({
+  httpStatus: check.status,
+  finalUrl: check.finalUrl,
+  redirectChain: check.redirects.length > 0 ? check.redirects : undefined,
+  contentType: check.contentType?.slice(0, 255) ?? null,
+  responseTimeMs: check.responseTimeMs,
+  byteSize: check.byteSize,
+  httpIssue: getUrlCheckIssues(check).issue,
+  seo: check.seo ?? undefined,
+});
+
+/**
+ * Count the HTTP issues of the checked URLs
+ * @param {Map<string, Object>} checks - Check per URL
+ * @returns {Object} Checked and skipped (not validated, not charged) URLs, and counts per issue
+ */
+export const buildUrlCheckReport = (checks) => {
+  const issues = { redirect: 0, http_status: 0, not_html: 0, timeout: 0, unreachable: 0 };
+  let skippedUrls = 0;
+
+  for (const check of checks.values()) {
+    const { validatable, errors, warnings } = getUrlCheckIssues(check);
+
+    for (const { code } of [...errors, ...warnings]) {
+      issues[code]++;
+    }
+
+    if (!validatable) {
+      skippedUrls++;
+    }
+  }
+
+  return { checkedUrls: checks.size, skippedUrls, issues };
+};
@@ -0,0 +1,129 @@
+/**
+ * URL filter utilities
+ * @fileoverview Per-scan include/exclude rules applied to the URLs of a sitemap
+ */
+
+import { isSafeRegExp } from './validation.js';
+import { logger } from './logger.js';
+
+/**
+ * Convert a glob pattern to a regular expression
+ * `**` matches anything, `*` matches anything but `/`. `?` is kept literal
+ * so that query strings can be written as-is (e.g. `/archives?page=*`).
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+export const globToRegExp = (glob) => {
+  const source = glob
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Compile a filter rule into a URL matcher
+ * Globs starting with `/` are matched against the path and query string,
+ * other globs against the full URL. Regular expressions are searched in the full URL.
+ * @param {Object} rule - Filter rule
+ * @param {string} rule.type - 'glob' or 'regex'
+ * @param {string} rule.pattern - Pattern
+ * @returns {Function} Predicate taking a URL string
+ * @throws {Error} If a regular expression is invalid or could backtrack catastrophically
+ */
+export const compileRule = ({ type, pattern }) => {
+  if (type === 'regex') {
+    if (!isSafeRegExp(pattern)) {
+      throw new Error(`Invalid or unsafe regular expression: ${pattern}`);
+    }
+    const regex = new RegExp(pattern);
+    return (url) => regex.test(url);
+  }
+
+  const regex = globToRegExp(pattern);
+
+  if (pattern.startsWith('/')) {
+    return (url) => {
+      const { pathname, search } = new URL(url);
+      return regex.test(pathname + search);
+    };
+  }
+
+  return (url) => regex.test(url);
+};
+
+/**
+ * Apply include/exclude rules and the URL cap to a list of URLs
+ * A URL is kept if it matches at least one include rule (when any are given)
+ * and no exclude rule. The cap then keeps the first `maxUrls` URLs in sitemap order.
+ * @param {Array<string>} urls - URLs extracted from the sitemap
+ * @param {Object} filters - Filters stored on the scan
+ * @param {Array<Object>} [filters.include] - Include rules: { type, pattern }
+ * @param {Array<Object>} [filters.exclude] - Exclude rules: { type, pattern }
+ * @param {number} [filters.maxUrls] - Maximum number of URLs to keep
+ * @returns {Object} Kept URLs and a report of how many URLs each rule matched or excluded
+ */
+export const applyUrlFilters = (urls, { include = [], exclude = [], maxUrls } = {}) => {
+  const includeRules = include.map(rule => ({ ...rule, matches: compileRule(rule), matched: 0 }));
+  const excludeRules = exclude.map(rule => ({ ...rule, matches: compileRule(rule), excluded: 0 }));
+  let notIncluded = 0;
+  let kept = [];
+
+  for (const url of urls) {
+    if (includeRules.length > 0) {
+      const included = includeRules.filter(rule => rule.matches(url));
+      included.forEach(rule => rule.matched++);
+
+      if (included.length === 0) {
+        notIncluded++;
+        continue;
+      }
+    }
+
+    // Attribute the exclusion to the first matching rule
+    const excludedBy = excludeRules.find(rule => rule.matches(url));
+    if (excludedBy) {
+      excludedBy.excluded++;
+      continue;
+    }
+
+    kept.push(url);
+  }
+
+  let overLimit = 0;
+  if (maxUrls && kept.length > maxUrls) {
+    overLimit = kept.length - maxUrls;
+    kept = kept.slice(0, maxUrls);
+  }
+
+  const report = {
+    inputUrls: urls.length,
+    keptUrls: kept.length,
+    notIncluded,
+    overLimit,
+    include: includeRules.map(({ type, pattern, matched }) => ({ type, pattern, matched })),
+    exclude: excludeRules.map(({ type, pattern, excluded }) => ({ type, pattern, excluded })),
+  };
+
+  logger.info('URL filters applied', {
+    inputUrls: report.inputUrls,
+    keptUrls: report.keptUrls,
+    notIncluded,
+    overLimit,
+  });
+
+  return { urls: kept, report };
+};
+
+/**
+ * Check whether a scan has any filter to apply
+ * @param {Object|null} filters - Filters stored on the scan
+ * @returns {boolean} True if at least one rule or a cap is set
+ */
+export const hasUrlFilters = (filters) => {
+  return Boolean(filters && (filters.include?.length || filters.exclude?.length || filters.maxUrls));
+};
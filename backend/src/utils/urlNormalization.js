@@ -0,0 +1,90 @@
+/**
+ * URL normalization utilities
+ * @fileoverview Canonical form of sitemap URLs, used to validate equivalent URLs only once
+ */
+
+/**
+ * Query parameters added by analytics and ad platforms, which never change the page
+ */
+export const TRACKING_PARAMS = [
+  'gclid', 'dclid', 'gbraid', 'wbraid', 'fbclid', 'msclkid', 'yclid', 'twclid', 'igshid',
+  'mc_cid', 'mc_eid', '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'ref_src',
+];
+
+/**
+ * Default normalization options
+ * Scheme and host case and default ports are always normalized by the URL parser.
+ * - trailingSlash: 'ignore' compares paths without their trailing slash but keeps the
+ *   first URL as listed, 'add'/'remove' rewrite the path, 'keep' treats them as different
+ */
+export const DEFAULT_NORMALIZATION = {
+  trailingSlash: 'ignore',
+  removeFragment: true,
+  stripTrackingParams: true,
+  sortQueryParams: true,
+};
+
+/**
+ * Check whether a query parameter is a tracking parameter
+ * @param {string} name - Parameter name
+ * @returns {boolean} True for utm_* and known click identifiers
+ */
+const isTrackingParam = (name) => {
+  const lower = name.toLowerCase();
+  return lower.startsWith('utm_') || TRACKING_PARAMS.includes(lower);
+};
+
+/**
+ * Normalize a URL
+ * @param {string} rawUrl - URL as listed in the sitemap
+ * @param {Object} options - Normalization options (see DEFAULT_NORMALIZATION)
+ * @returns {Object} Normalized URL to validate, and the key identifying equivalent URLs
+ * @example
+ * normalizeUrl('HTTPS://Example.com:443/a/?utm_source=x#top')
+ * // { url: 'https://example.com/a/', key: 'https://example.com/a' }
+ */
+export const normalizeUrl = (rawUrl, options = {}) => {
+  const { trailingSlash, removeFragment, stripTrackingParams, sortQueryParams } = {
+    ...DEFAULT_NORMALIZATION,
+    ...options,
+  };
+  const url = new URL(rawUrl);
+
+  if (removeFragment) {
+    url.hash = '';
+  }
+
+  if (stripTrackingParams) {
+    for (const name of [...new Set(url.searchParams.keys())]) {
+      if (isTrackingParam(name)) {
+        url.searchParams.delete(name);
+      }
+    }
+  }
+
+  if (sortQueryParams) {
+    url.searchParams.sort();
+  }
+
+  // URLSearchParams leaves a bare "?" behind once every parameter is removed
+  if (!url.searchParams.toString()) {
+    url.search = '';
+  }
+
+  const isRoot = url.pathname === '/';
+
+  if (trailingSlash === 'add' && !isRoot && !url.pathname.endsWith('/')) {
+    url.pathname += '/';
+  } else if (trailingSlash === 'remove' && !isRoot) {
+    url.pathname = url.pathname.replace(/\/+$/, '');
+  }
+
+  const normalized = url.toString();
+
+  if (trailingSlash === 'ignore' && !isRoot) {
+    url.pathname = url.pathname.replace(/\/+$/, '');
+    return { url: normalized, key: url.toString() };
+  }
+
+  return { url: normalized, key: normalized };
+};
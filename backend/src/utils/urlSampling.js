@@ -0,0 +1,199 @@
+/**
+ * URL sampling utilities
+ * @fileoverview Group sitemap URLs by path pattern and pick a reproducible sample per group
+ */
+
+import { countUnsuppressed } from './suppressionRules.js';
+import { logger } from './logger.js';
+
+/**
+ * Path segments collapsed into placeholders when building a URL pattern
+ * (checked in order, first match wins)
+ */
+const SEGMENT_PLACEHOLDERS = [
+  { placeholder: ':id', test: (segment) => /^\d+$/.test(segment) },
+  { placeholder: ':uuid', test: (segment) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(segment) },
+  { placeholder: ':hash', test: (segment) => /^[0-9a-f]{16,}$/i.test(segment) },
+  { placeholder: ':slug', test: (segment) => /^[\p{L}\p{N}]+([-_][\p{L}\p{N}]+)+$/u.test(segment) || /\d/.test(segment) },
+];
+
+/**
+ * Collapse a single path segment, keeping its file extension
+ * @param {string} segment - Decoded path segment
+ * @returns {string} Segment or placeholder
+ */
+const collapseSegment = (segment) => {
+  const match = segment.match(/^(.+?)(\.[a-z0-9]{1,5})?$/i);
+  if (!match) {
+    return segment;
+  }
+
+  const [, name, extension = ''] = match;
+  const rule = SEGMENT_PLACEHOLDERS.find(({ test }) => test(name));
+
+  return rule ? `${rule.placeholder}${extension}` : segment;
+};
+
+/**
+ * Get the template pattern of a URL: host and path with numeric, identifier and
+ * slug segments collapsed, plus the sorted names of its query parameters
+ * @param {string} url - Page URL
+ * @returns {string} Pattern, e.g. "shop.example.com/products/:slug?color"
+ * @example
+ * getUrlPattern('https://example.com/blog/2024/my-first-post') // 'example.com/blog/:id/:slug'
+ */
+export const getUrlPattern = (url) => {
+  const { host, pathname, searchParams } = new URL(url);
+
+  const path = pathname
+    .split('/')
+    .map(segment => (segment ? collapseSegment(safeDecode(segment)) : segment))
+    .join('/');
+
+  const queryKeys = [...new Set(searchParams.keys())].sort();
+
+  return `${host}${path}${queryKeys.length > 0 ? `?${queryKeys.join('&')}` : ''}`;
+};
+
+/**
+ * Decode a URL path segment, keeping it as-is when malformed
+ * @param {string} segment - Encoded path segment
+ * @returns {string} Decoded segment
+ */
+const safeDecode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+};
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Generate a random seed for a new sample
+ * @returns {number} 31-bit integer seed
+ */
+export const generateSamplingSeed = () => Math.floor(Math.random() * 0x7fffffff);
+
+/**
+ * Pick a reproducible sample of URLs: up to `perGroup` URLs per path pattern
+ * The same URLs, seed and group size always give the same sample.
+ * @param {Array<string>} urls - URLs to sample from
+ * @param {Object} options - Sampling options
+ * @param {number} options.perGroup - Number of URLs picked per pattern
+ * @param {number} options.seed - Random seed
+ * @returns {Object} Sampled URLs (in sitemap order), the pattern of each sampled URL, and per-group counts
+ */
+export const sampleUrls = (urls, { perGroup, seed }) => {
+  const random = createSeededRandom(seed);
+  const groups = new Map();
+
+  for (const url of urls) {
+    const pattern = getUrlPattern(url);
+    if (!groups.has(pattern)) {
+      groups.set(pattern, []);
+    }
+    groups.get(pattern).push(url);
+  }
+
+  const patterns = new Map();
+
+  for (const [pattern, members] of groups) {
+    // Partial Fisher-Yates shuffle: the first `perGroup` slots are the sample
+    const pool = [...members];
+    const size = Math.min(perGroup, pool.length);
+
+    for (let i = 0; i < size; i++) {
+      const j = i + Math.floor(random() * (pool.length - i));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+      patterns.set(pool[i], pattern);
+    }
+  }
+
+  const sampled = urls.filter(url => patterns.has(url));
+  const groupCounts = [...groups].map(([pattern, members]) => ({
+    pattern,
+    totalUrls: members.length,
+    sampledUrls: Math.min(perGroup, members.length),
+  }));
+
+  logger.info('URL sample selected', {
+    inputUrls: urls.length,
+    sampledUrls: sampled.length,
+    groups: groups.size,
+    perGroup,
+    seed,
+  });
+
+  return { urls: sampled, patterns, groups: groupCounts };
+};
+
+/**
+ * Extrapolate sampled validation results to the whole population of each group
+ * URLs that could not be validated are neither valid nor invalid HTML, and are left out of the estimates.
+ * @param {Array<Object>} results - Scan results with sampleGroup, isValid, errors, warnings and failureCategory
+ * @param {Array<Object>} groups - Group counts from sampleUrls()
+ * @returns {Object} Per-group and overall estimates
+ */
+export const extrapolateSample = (results, groups) => {
+  const totals = { totalUrls: 0, sampledUrls: 0, invalidUrls: 0, errors: 0, warnings: 0 };
+
+  const groupSummaries = groups.map(({ pattern, totalUrls, sampledUrls }) => {
+    const groupResults = results.filter(result => result.sampleGroup === pattern && !result.failureCategory);
+    const validated = groupResults.length;
+    const invalid = groupResults.filter(result => !result.isValid).length;
+    const errors = groupResults.reduce((sum, result) => sum + countUnsuppressed(result.errors), 0);
+    const warnings = groupResults.reduce((sum, result) => sum + countUnsuppressed(result.warnings), 0);
+    const scale = validated > 0 ? totalUrls / validated : 0;
+
+    const summary = {
+      pattern,
+      totalUrls,
+      sampledUrls,
+      validatedUrls: validated,
+      invalidUrls: invalid,
+      errors,
+      warnings,
+      estimatedInvalidUrls: Math.round(invalid * scale),
+      estimatedErrors: Math.round(errors * scale),
+      estimatedWarnings: Math.round(warnings * scale),
+    };
+
+    totals.totalUrls += totalUrls;
+    totals.sampledUrls += validated;
+    totals.invalidUrls += summary.estimatedInvalidUrls;
+    totals.errors += summary.estimatedErrors;
+    totals.warnings += summary.estimatedWarnings;
+
+    return summary;
+  });
+
+  groupSummaries.sort((a, b) => b.estimatedErrors - a.estimatedErrors || b.totalUrls - a.totalUrls);
+
+  return {
+    groups: groupSummaries,
+    estimated: {
+      totalUrls: totals.totalUrls,
+      validatedUrls: totals.sampledUrls,
+      invalidUrls: totals.invalidUrls,
+      totalErrors: totals.errors,
+      totalWarnings: totals.warnings,
+    },
+  };
+};
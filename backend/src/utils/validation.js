@@ -4,6 +4,7 @@
  */
 
 import { z } from 'zod';
+import safeRegex from 'safe-regex2';
 
 /**
  * User authentication schemas
@@ -42,27 +43,308 @@ export const creditSchemas = {
   }),
 };
 
+/**
+ * Check that a user-supplied regular expression compiles and cannot backtrack catastrophically
+ * URL filters and suppression rules run in the shared scan worker against every URL or message,
+ * so patterns with nested quantifiers such as `(a+)+` are refused.
+ * @param {string} pattern - Regular expression source
+ * @param {string} [flags] - Regular expression flags
+ * @returns {boolean} True if the pattern compiles and is safe to run
+ */
+export const isSafeRegExp = (pattern, flags) => {
+  try {
+    new RegExp(pattern, flags);
+  } catch (error) {
+    return false;
+  }
+  return safeRegex(pattern);
+};
+
+/**
+ * URL filter rule (glob or regular expression)
+ */
+const urlFilterRuleSchema = z
+  .object({
+    type: z.enum(['glob', 'regex']),
+    pattern: z
+      .string()
+      .min(1, 'Pattern is required')
+      .max(500, 'Pattern too long'),
+  })
+  .refine(
+    (rule) => rule.type !== 'regex' || isSafeRegExp(rule.pattern),
+    'Invalid or unsafe regular expression (nested quantifiers are not allowed)'
+  );
+
+/**
+ * HTTP token (header and cookie names)
+ */
+const HTTP_TOKEN_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * Headers managed by the HTTP client or set through dedicated credential fields
+ */
+const RESERVED_CREDENTIAL_HEADERS = ['host', 'connection', 'content-length', 'transfer-encoding', 'cookie'];
+
+/**
+ * Credentials for sites behind authentication (basic auth, request headers, cookies)
+ */
+const siteCredentialsSchema = z
+  .object({
+    basicAuth: z
+      .object({
+        username: z
+          .string()
+          .min(1, 'Username is required')
+          .max(255, 'Username too long')
+          .refine((username) => !username.includes(':'), 'Username cannot contain ":"'),
+        password: z.string().max(1000, 'Password too long'),
+      })
+      .optional(),
+    headers: z
+      .record(
+        z
+          .string()
+          .regex(HTTP_TOKEN_PATTERN, 'Invalid header name')
+          .refine((name) => !RESERVED_CREDENTIAL_HEADERS.includes(name.toLowerCase()), 'This header cannot be set'),
+        z
+          .string()
+          .max(4000, 'Header value too long')
+          .regex(/^[^\r\n]*$/, 'Header values cannot contain line breaks')
+      )
+      .refine((headers) => Object.keys(headers).length <= 20, 'Too many headers')
+      .optional(),
+    cookies: z
+      .record(
+        z.string().regex(HTTP_TOKEN_PATTERN, 'Invalid cookie name'),
+        z
+          .string()
+          .max(4000, 'Cookie value too long')
+          .regex(/^[^;\r\n]*$/, 'Cookie values cannot contain ";" or line breaks')
+      )
+      .refine((cookies) => Object.keys(cookies).length <= 20, 'Too many cookies')
+      .optional(),
+  })
+  .refine(
+    (credentials) => credentials.basicAuth
+      || Object.keys(credentials.headers || {}).length > 0
+      || Object.keys(credentials.cookies || {}).length > 0,
+    'Provide basic auth credentials, headers or cookies'
+  )
+  .refine(
+    (credentials) => !(credentials.basicAuth
+      && Object.keys(credentials.headers || {}).some((name) => name.toLowerCase() === 'authorization')),
+    'Basic auth and an Authorization header cannot be combined'
+  );
+
+/**
+ * Scan options shared by every way of providing the URLs (sitemap, crawl, list, upload)
+ */
+const scanOptionFields = {
+  filters: z
+    .object({
+      include: z.array(urlFilterRuleSchema).max(20, 'Too many include rules').default([]),
+      exclude: z.array(urlFilterRuleSchema).max(20, 'Too many exclude rules').default([]),
+      maxUrls: z
+        .number()
+        .int('Max URLs must be an integer')
+        .min(1, 'Max URLs must be at least 1')
+        .optional(),
+    })
+    .optional(),
+  sampling: z
+    .object({
+      perGroup: z
+        .number()
+        .int('Pages per group must be an integer')
+        .min(1, 'Pages per group must be at least 1')
+        .max(100, 'Pages per group cannot exceed 100')
+        .default(3),
+      seed: z
+        .number()
+        .int('Seed must be an integer')
+        .min(0, 'Seed must be positive')
+        .max(2147483647, 'Seed too large')
+        .optional(),
+    })
+    .optional(),
+  normalization: z
+    .object({
+      trailingSlash: z.enum(['ignore', 'keep', 'add', 'remove']).optional(),
+      removeFragment: z.boolean().optional(),
+      stripTrackingParams: z.boolean().optional(),
+      sortQueryParams: z.boolean().optional(),
+    })
+    .optional(),
+  incremental: z
+    .object({
+      checkContent: z.boolean().default(false),
+    })
+    .optional(),
+  validateCss: z.boolean().default(false),
+  validationLevel: z.enum(['error', 'warning', 'info']).default('warning'),
+  checkAccessibility: z.boolean().default(false),
+};
+
 /**
  * Scan management schemas
  */
 export const scanSchemas = {
-  createScan: z.object({
-    sitemapUrl: z
+  createScan: z
+    .object({
+      sitemapUrl: z
+        .string()
+        .url('Invalid URL format')
+        .max(2000, 'URL too long')
+        .refine(
+          (url) => /\.(xml|txt|rss|atom)(\.gz)?$/i.test(url) || /sitemap|feed|rss|atom/i.test(url),
+          'URL should be a valid sitemap or feed'
+        )
+        .optional(),
+      siteUrl: z
+        .string()
+        .url('Invalid URL format')
+        .max(2000, 'URL too long')
+        .optional(),
+      crawlUrl: z
+        .string()
+        .url('Invalid URL format')
+        .max(2000, 'URL too long')
+        .optional(),
+      crawl: z
+        .object({
+          maxDepth: z
+            .number()
+            .int('Max depth must be an integer')
+            .min(0, 'Max depth must be positive')
+            .optional(),
+          maxPages: z
+            .number()
+            .int('Max pages must be an integer')
+            .min(1, 'Max pages must be at least 1')
+            .optional(),
+          generateSitemap: z.boolean().default(false),
+        })
+        .optional(),
+      urls: z
+        .array(
+          z
+            .string()
+            .url('Invalid URL format')
+            .max(2000, 'URL too long')
+        )
+        .min(1, 'Provide at least one URL')
+        .optional(),
+      ...scanOptionFields,
+      credentials: siteCredentialsSchema.optional(),
+    })
+    .refine(
+      (data) => [data.sitemapUrl, data.siteUrl, data.crawlUrl, data.urls].filter(Boolean).length === 1,
+      'Provide either a sitemapUrl, a siteUrl for sitemap discovery, a crawlUrl to crawl the site or a list of urls'
+    )
+    .refine(
+      (data) => !(data.sampling && data.incremental),
+      'Sampling and incremental modes cannot be combined'
+    ),
+
+  uploadScan: z.object({
+    file: z
+      .custom((value) => value instanceof File, 'A sitemap file is required')
+      .refine((file) => file.size > 0, 'The uploaded file is empty'),
+    options: z
       .string()
-      .url('Invalid URL format')
-      .max(2000, 'URL too long')
-      .refine(
-        (url) => url.toLowerCase().endsWith('.xml') || url.includes('sitemap'),
-        'URL should be a valid sitemap'
+      .default('{}')
+      .transform((val, ctx) => {
+        try {
+          return JSON.parse(val);
+        } catch (error) {
+          ctx.addIssue({ code: z.ZodIssueCode.custom, message: 'Options must be valid JSON' });
+          return z.NEVER;
+        }
+      })
+      .pipe(
+        z
+          .object(scanOptionFields)
+          .refine(
+            (data) => !(data.sampling && data.incremental),
+            'Sampling and incremental modes cannot be combined'
+          )
       ),
   }),
 
+  discoverSitemaps: z.object({
+    siteUrl: z
+      .string()
+      .url('Invalid URL format')
+      .max(2000, 'URL too long'),
+  }),
+
   scanParams: z.object({
     id: z
       .string()
       .transform((val) => parseInt(val, 10))
       .refine((val) => !isNaN(val) && val > 0, 'Invalid scan ID'),
   }),
+
+  saveSiteCredentials: z.object({
+    siteUrl: z
+      .string()
+      .url('Invalid URL format')
+      .max(2000, 'URL too long'),
+    credentials: siteCredentialsSchema,
+  }),
+
+  siteCredentialParams: z.object({
+    id: z
+      .string()
+      .transform((val) => parseInt(val, 10))
+      .refine((val) => !isNaN(val) && val > 0, 'Invalid credentials ID'),
+  }),
+
+  createSuppressionRule: z
+    .object({
+      siteUrl: z
+        .string()
+        .url('Invalid URL format')
+        .max(2000, 'URL too long')
+        .optional(),
+      messagePattern: z
+        .string()
+        .min(1, 'Message pattern cannot be empty')
+        .max(500, 'Message pattern too long')
+        .refine(
+          (pattern) => isSafeRegExp(pattern, 'i'),
+          'Invalid or unsafe regular expression (nested quantifiers are not allowed)'
+        )
+        .optional(),
+      urlPattern: z
+        .string()
+        .min(1, 'URL pattern cannot be empty')
+        .max(500, 'URL pattern too long')
+        .optional(),
+      severity: z.enum(['critical', 'high', 'medium', 'low']).optional(),
+      reason: z
+        .string()
+        .trim()
+        .min(1, 'Reason is required')
+        .max(1000, 'Reason too long'),
+      expiresAt: z
+        .string()
+        .datetime({ offset: true, message: 'Invalid expiry date (ISO 8601 expected)' })
+        .refine((date) => new Date(date) > new Date(), 'Expiry date must be in the future')
+        .optional(),
+    })
+    .refine(
+      (rule) => rule.messagePattern || rule.urlPattern || rule.severity,
+      'A message pattern, URL pattern or severity is required'
+    ),
+
+  suppressionRuleParams: z.object({
+    id: z
+      .string()
+      .transform((val) => parseInt(val, 10))
+      .refine((val) => !isNaN(val) && val > 0, 'Invalid suppression rule ID'),
+  }),
 };
 
 /**
@@ -144,6 +426,42 @@ export const validateBody = (schema) => {
   };
 };
 
+/**
+ * Middleware function to validate a multipart form body against a schema
+ * @param {z.ZodSchema} schema - Zod schema to validate against (files are File instances)
+ * @returns {Function} Hono middleware function
+ */
+export const validateForm = (schema) => {
+  return async (c, next) => {
+    try {
+      const body = await c.req.parseBody();
+      const validatedData = schema.parse(body);
+      
+      // Store validated data in context
+      c.set('validatedBody', validatedData);
+      await next();
+    } catch (error) {
+      if (error instanceof z.ZodError) {
+        return c.json({
+          success: false,
+          error: 'Validation failed',
+          message: 'Invalid request data',
+          details: error.errors.map(err => ({
+            field: err.path.join('.'),
+            message: err.message,
+          })),
+        }, 400);
+      }
+      
+      return c.json({
+        success: false,
+        error: 'Invalid form data',
+        message: 'Request body must be multipart/form-data',
+      }, 400);
+    }
+  };
+};
+
 /**
  * Middleware function to validate query parameters against a schema
  * @param {z.ZodSchema} schema - Zod schema to validate against
@@ -0,0 +1,231 @@
+/**
+ * HTML validator backends
+ * @fileoverview Nu HTML Checker backends (public service, self-hosted vnu.jar HTTP server, vnu command line),
+ * each declaring its rate limits and capabilities; the backend is chosen per deployment (VALIDATOR_BACKEND)
+ * and its calls share one Redis rate limiter across all workers
+ */
+
+import { execFile } from 'child_process';
+import { mkdtemp, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import fetch from 'node-fetch';
+import { createRateLimiter, createResponseError } from './rateLimiter.js';
+import { logger } from './logger.js';
+import { appConfig } from '../config/index.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Maximum size of the vnu command line report (it lists every message of a batch)
+ */
+const VNU_MAX_OUTPUT_BYTES = 64 * 1024 * 1024;
+
+/**
+ * Create a backend for a Nu HTML Checker reached over HTTP
+ * The checker can fetch pages itself (`doc` parameter) or validate documents posted to it.
+ * @param {Object} options - Backend options
+ * @param {string} options.name - Backend name
+ * @param {string} options.validatorUrl - Nu checker URL
+ * @param {Object} options.rateLimit - { concurrency: requests at a time per job, intervalMs: between requests of all workers }
+ * @returns {Object} Validator backend
+ */
+const createNuHttpBackend = ({ name, validatorUrl, rateLimit }) => {
+  const limiter = createRateLimiter(`validator:${name}`, {
+    capacity: rateLimit.concurrency,
+    intervalMs: rateLimit.intervalMs,
+  });
+
+  /**
+   * Send a request to the checker within the shared rate limit and return its JSON report
+   * @param {URLSearchParams} params - Query parameters (besides out=json)
+   * @param {Object} options - node-fetch options
+   * @returns {Promise<Object>} Nu JSON report ({ messages })
+   */
+  const request = (params, options) => limiter.schedule(async () => {
+    const requestUrl = new URL(validatorUrl);
+    for (const [key, value] of params) {
+      requestUrl.searchParams.set(key, value);
+    }
+    requestUrl.searchParams.set('out', 'json');
+
+    const response = await fetch(requestUrl.toString(), {
+      ...options,
+      headers: {
+        'User-Agent': 'W3C-Checker-SaaS/1.0 (https://github.com/your-repo)',
+        'Accept': 'application/json',
+        ...options.headers,
+      },
+      timeout: appConfig.w3c.scanTimeoutMs,
+    });
+
+    if (!response.ok) {
+      throw createResponseError(`W3C API returned ${response.status}: ${response.statusText}`, response);
+    }
+
+    return response.json();
+  });
+
+  /**
+   * Check that the checker answers
+   * @returns {Promise<Object>} { available, status, responseTime, server }
+   */
+  const getStatus = async () => {
+    const response = await fetch(validatorUrl, {
+      method: 'HEAD',
+      timeout: 5000,
+    });
+
+    return {
+      available: response.ok,
+      status: response.status,
+      responseTime: response.headers.get('x-response-time'),
+      server: response.headers.get('server'),
+    };
+  };
+
+  return {
+    name,
+    capabilities: { fetchesUrls: true, batchSize: 1 },
+    rateLimit,
+    limiter,
+
+    // Only the 'error' level is filtered by the checker, other levels are filtered from the full report
+    validateUrl: (url, { level } = {}) => request(
+      new URLSearchParams(level === 'error' ? { doc: url, level } : { doc: url }),
+      { method: 'GET' }
+    ),
+
+    validateDocument: ({ body, contentType }) => request(new URLSearchParams(), {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body,
+    }),
+
+    getStatus,
+
+    // The checker does not report its version over HTTP: the deployment states it (VALIDATOR_VERSION)
+    getVersion: async () => appConfig.w3c.validatorVersion || null,
+  };
+};
+
+/**
+ * Create a backend running the vnu command line on batches of downloaded documents
+ * One process (and JVM start) validates a whole batch; pages are fetched by the scanner.
+ * @param {Object} options - Backend options
+ * @param {string} options.command - vnu command, e.g. "vnu" or "java -jar /opt/vnu/vnu.jar"
+ * @param {number} options.batchSize - Documents validated per process
+ * @returns {Object} Validator backend
+ */
+const createVnuCliBackend = ({ command, batchSize }) => {
+  const [file, ...baseArgs] = command.trim().split(/\s+/);
+  const limiter = createRateLimiter('validator:vnu-cli', { capacity: 1, intervalMs: 0 });
+
+  /**
+   * Validate documents in one vnu process
+   * Batches go through the shared limiter too, so queue stats report them like the HTTP backends.
+   * @param {Array<Object>} documents - Documents ({ body, contentType })
+   * @returns {Promise<Array<Object>>} Nu JSON report ({ messages }) per document, in order
+   */
+  const validateDocuments = (documents) => limiter.schedule(async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'vnu-'));
+
+    try {
+      // vnu picks the HTML or XHTML parser from the file extension
+      const files = await Promise.all(documents.map(async ({ body, contentType }, index) => {
+        const extension = /xhtml/i.test(contentType || '') ? 'xhtml' : 'html';
+        const fileName = path.join(directory, `${index}.${extension}`);
+        await writeFile(fileName, body);
+        return fileName;
+      }));
+
+      // The JSON report is written to stderr; --exit-zero-always keeps invalid documents from failing the process
+      const { stderr } = await execFileAsync(
+        file,
+        [...baseArgs, '--format', 'json', '--exit-zero-always', ...files],
+        { timeout: appConfig.w3c.scanTimeoutMs + documents.length * 1000, maxBuffer: VNU_MAX_OUTPUT_BYTES }
+      );
+
+      const { messages = [] } = JSON.parse(stderr || '{}');
+      const reports = documents.map(() => ({ messages: [] }));
+
+      for (const message of messages) {
+        const index = parseInt(path.basename(message.url || ''), 10);
+
+        if (reports[index]) {
+          reports[index].messages.push(message);
+        }
+      }
+
+      return reports;
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+
+  /**
+   * Get the vnu version
+   * @returns {Promise<string>} Version printed by vnu --version
+   */
+  const getVersion = async () => {
+    const { stdout } = await execFileAsync(file, [...baseArgs, '--version'], { timeout: 30000 });
+    return stdout.trim();
+  };
+
+  return {
+    name: 'vnu-cli',
+    capabilities: { fetchesUrls: false, batchSize },
+    rateLimit: { concurrency: 1, intervalMs: 0 },
+    limiter,
+
+    validateDocuments,
+
+    validateDocument: async (document) => (await validateDocuments([document]))[0],
+
+    getStatus: async () => ({ available: true, version: await getVersion() }),
+
+    getVersion,
+  };
+};
+
+/**
+ * Validator backend of this deployment
+ */
+let backend = null;
+
+/**
+ * Get the validator backend configured for this deployment (VALIDATOR_BACKEND)
+ * - public: validator.w3.org, one request per second across all workers
+ * - nu-http: self-hosted vnu.jar HTTP server, no throttling, VALIDATOR_CONCURRENCY requests at a time
+ * - vnu-cli: vnu command line, VNU_BATCH_SIZE downloaded documents per process
+ * @returns {Object} Backend: { name, capabilities: { fetchesUrls, batchSize }, rateLimit: { concurrency, intervalMs },
+ * limiter, validateUrl?(url, { level }), validateDocument({ body, contentType }), validateDocuments?(documents), getStatus(),
+ * getVersion() (null if unknown) }
+ */
+export const getValidatorBackend = () => {
+  if (backend) {
+    return backend;
+  }
+
+  const { backend: name, validatorUrl, concurrency, vnuCommand, vnuBatchSize } = appConfig.w3c;
+
+  switch (name) {
+    case 'nu-http':
+      backend = createNuHttpBackend({ name, validatorUrl, rateLimit: { concurrency, intervalMs: 0 } });
+      break;
+    case 'vnu-cli':
+      backend = createVnuCliBackend({ command: vnuCommand, batchSize: vnuBatchSize });
+      break;
+    default:
+      backend = createNuHttpBackend({ name: 'public', validatorUrl, rateLimit: { concurrency: 1, intervalMs: 1000 } });
+  }
+
+  logger.info('Validator backend selected', {
+    backend: backend.name,
+    capabilities: backend.capabilities,
+    rateLimit: backend.rateLimit,
+  });
+
+  return backend;
+};
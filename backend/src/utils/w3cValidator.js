@@ -1,46 +1,128 @@
 /**
  * W3C HTML Validator utilities
- * @fileoverview Functions to interact with W3C Nu HTML Checker API
+ * @fileoverview Validate pages with the Nu HTML Checker through the validator backend of the deployment,
+ * reusing the report of identical documents already validated (by any scan or user)
  */
 
-import fetch from 'node-fetch';
+import { createHash } from 'crypto';
+import { assertOutboundUrl, safeFetch } from './outboundRequest.js';
+import { getValidatorBackend } from './validatorBackends.js';
+import { fingerprintIssue, getTopIssues } from './issueGroups.js';
+import { isSuppressed } from './suppressionRules.js';
+import { cacheGet, cacheSet, CacheKeys } from './redis.js';
 import { logger } from './logger.js';
 import { appConfig } from '../config/index.js';
 
 /**
- * Validate single URL using W3C Nu HTML Checker
- * @param {string} url - URL to validate
- * @returns {Promise<Object>} Validation result with errors and warnings
- * @throws {Error} If validation request fails
+ * Validation level of scans that don't choose one: errors and warnings
  */
-export const validateUrl = async (url) => {
-  logger.debug('Validating URL with W3C', { url });
+const DEFAULT_VALIDATION_LEVEL = 'warning';
 
-  try {
-    const validationUrl = new URL(appConfig.w3c.validatorUrl);
-    validationUrl.searchParams.set('doc', url);
-    validationUrl.searchParams.set('out', 'json');
-    validationUrl.searchParams.set('level', 'error');
+/**
+ * The validator version is looked up again after an hour (ms)
+ */
+const VALIDATOR_VERSION_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Validator version of this deployment ({ value, expiresAt })
+ */
+let validatorVersion = null;
+
+/**
+ * Validations in progress in this process by cache key ({ validation: Promise of the reports, index })
+ */
+const pendingValidations = new Map();
 
-    const response = await fetch(validationUrl.toString(), {
+/**
+ * Download a page to validate its HTML (pages behind authentication, backends that don't fetch URLs)
+ * @param {string} url - Page URL
+ * @param {Object|null} [auth] - Site credentials ({ origin, headers })
+ * @returns {Promise<Object>} Document: { url, body (raw bytes), contentType }
+ * @throws {Error} If the page cannot be fetched
+ */
+const fetchPageDocument = async (url, auth = null) => {
+  try {
+    const response = await safeFetch(url, {
       method: 'GET',
       headers: {
-        'User-Agent': 'W3C-Checker-SaaS/1.0 (https://github.com/your-repo)',
-        'Accept': 'application/json',
+        'User-Agent': 'W3C-Checker-Bot/1.0 (Sitemap Scanner)',
+        'Accept': 'text/html, application/xhtml+xml;q=0.9, */*;q=0.1',
       },
-      timeout: appConfig.w3c.scanTimeoutMs,
+      signal: AbortSignal.timeout(appConfig.w3c.scanTimeoutMs),
+      auth,
     });
 
     if (!response.ok) {
-      throw new Error(`W3C API returned ${response.status}: ${response.statusText}`);
+      throw Object.assign(new Error(`HTTP ${response.status}: ${response.statusText}`), { status: response.status });
     }
 
-    const result = await response.json();
+    // Keep the raw bytes so the validator applies the charset the page declares
+    return {
+      url,
+      body: Buffer.from(await response.arrayBuffer()),
+      contentType: response.headers.get('content-type') || 'text/html',
+    };
+  } catch (error) {
+    // Failures of the scanned site are told apart from validator failures
+    error.target = true;
+    throw error;
+  }
+};
+
+/**
+ * Get the document of a page to validate, reusing the HTML read when its URL was checked
+ * @param {string} url - Page URL
+ * @param {Object|null} auth - Site credentials ({ origin, headers })
+ * @param {Map<string, Object>|null} checks - URL checks (see checkUrls())
+ * @returns {Promise<Object>} Document: { url, body (raw bytes), contentType }
+ * @throws {Error} If the page has to be downloaded and cannot be fetched
+ */
+const getPageDocument = async (url, auth, checks) => {
+  const check = checks?.get(url);
+
+  if (check?.body) {
+    return { url, body: check.body, contentType: check.contentType || 'text/html' };
+  }
+
+  return fetchPageDocument(url, auth);
+};
+
+/**
+ * Validate single URL using W3C Nu HTML Checker
+ * Backends that cannot fetch pages themselves get the page downloaded here.
+ * @param {string} url - URL to validate
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.level] - Messages kept: 'error', 'warning' (errors and warnings) or 'info' (every message)
+ * @returns {Promise<Object>} Validation result with errors and warnings
+ * @throws {Error} If validation request fails
+ */
+export const validateUrl = async (url, { level = DEFAULT_VALIDATION_LEVEL } = {}) => {
+  logger.debug('Validating URL with W3C', { url, level });
+
+  const backend = getValidatorBackend();
+
+  // The page must be downloaded to look up its validation in the cache
+  if (!backend.capabilities.fetchesUrls || await usesValidationCache(backend)) {
+    return validatePageContent(url, null, { level });
+  }
+
+  try {
+    // The validator fetches the page itself: only hand it URLs we would fetch
+    await assertOutboundUrl(url);
+
+    const result = await backend.validateUrl(url, { level });
+
+    // The validator could not fetch or parse the page itself
+    const failure = getNonDocumentError(result);
+    if (failure) {
+      throw failure;
+    }
     
-    const validation = processW3CResult(result, url);
+    const validation = processW3CResult(result, url, { level });
     
     logger.debug('W3C validation completed', {
       url,
+      backend: backend.name,
       errors: validation.errors.length,
       warnings: validation.warnings.length,
       isValid: validation.isValid,
@@ -49,34 +131,346 @@ export const validateUrl = async (url) => {
     return validation;
   } catch (error) {
     logger.error('W3C validation failed', { url, error: error.message });
-    throw new Error(`W3C validation failed for ${url}: ${error.message}`);
+    throw toValidationError(url, error);
+  }
+};
+
+/**
+ * Validate a page by downloading it and sending its HTML to the validator,
+ * which never needs access to the site (pages behind authentication)
+ * @param {string} url - URL to validate
+ * @param {Object|null} auth - Site credentials ({ origin, headers })
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.level] - Messages kept: 'error', 'warning' or 'info'
+ * @param {Map<string, Object>|null} [options.checks] - URL checks whose HTML is validated instead of downloading the page
+ * @returns {Promise<Object>} Validation result with errors and warnings
+ * @throws {Error} If the page cannot be fetched or validation fails
+ */
+export const validatePageContent = async (url, auth, { level = DEFAULT_VALIDATION_LEVEL, checks = null } = {}) => {
+  logger.debug('Validating page content with W3C', { url });
+
+  try {
+    const document = await getPageDocument(url, auth, checks);
+    const [{ report, fromCache }] = await validateDocuments(getValidatorBackend(), [document]);
+
+    const failure = getNonDocumentError(report);
+    if (failure) {
+      throw failure;
+    }
+
+    return processW3CResult(report, url, { fromCache, level });
+  } catch (error) {
+    logger.error('W3C validation failed', { url, error: error.message });
+    throw toValidationError(url, error);
+  }
+};
+
+/**
+ * Classify why a URL could not be validated, apart from markup errors
+ * - validator_unavailable: the validator failed, timed out or refused the request
+ * - target_unreachable: DNS, connection or TLS failure on the scanned site
+ * - target_timeout: the scanned site did not answer in time
+ * - target_http_error: the scanned site answered with an HTTP error
+ * - target_blocked: the URL points to a refused protocol, port or private address
+ * - non_html: the document is not an HTML page
+ * @param {Error} error - Fetch or validation error
+ * @returns {string} Failure category
+ */
+export const classifyValidationError = (error) => {
+  if (error.category) {
+    return error.category;
+  }
+
+  if (!error.target) {
+    return 'validator_unavailable';
+  }
+
+  if (/ are not allowed/.test(error.message)) {
+    return 'target_blocked';
+  }
+
+  if (error.name === 'AbortError' || error.name === 'TimeoutError') {
+    return 'target_timeout';
+  }
+
+  return error.status ? 'target_http_error' : 'target_unreachable';
+};
+
+/**
+ * Whether a failure may go away on a later attempt
+ * @param {Error} error - Fetch or validation error
+ * @returns {boolean} True for validator failures, network failures, timeouts and 5xx/429 answers of the site
+ */
+const isRetryableError = (error) => {
+  switch (classifyValidationError(error)) {
+    case 'validator_unavailable':
+    case 'target_unreachable':
+    case 'target_timeout':
+      return true;
+    case 'target_http_error':
+      return !error.status || error.status >= 500 || error.status === 429;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Build the error of a URL that could not be validated, keeping its failure category
+ * @param {string} url - URL
+ * @param {Error} error - Fetch or validation error
+ * @returns {Error} Error with category and retryable
+ */
+const toValidationError = (url, error) => Object.assign(
+  new Error(`W3C validation failed for ${url}: ${error.message}`),
+  { category: classifyValidationError(error), retryable: isRetryableError(error) }
+);
+
+/**
+ * Get the error of a Nu report for a document the checker could not process
+ * (page it could not retrieve, non-HTML content type, internal failure)
+ * @param {Object} report - Nu JSON report
+ * @returns {Error|null} Error with its failure category, or null if the document was validated
+ */
+const getNonDocumentError = (report) => {
+  const message = report?.messages?.find(({ type }) => type === 'non-document-error');
+
+  if (!message) {
+    return null;
+  }
+
+  const text = message.message || 'The validator could not process the document';
+  const status = text.match(/status from the remote server was: (\d{3})/i);
+
+  let category = 'validator_unavailable';
+  if (message.subType === 'io') {
+    if (/content-type/i.test(text)) {
+      category = 'non_html';
+    } else if (/timed? ?out/i.test(text)) {
+      category = 'target_timeout';
+    } else {
+      category = status ? 'target_http_error' : 'target_unreachable';
+    }
+  }
+
+  return Object.assign(new Error(text), {
+    category,
+    target: category !== 'validator_unavailable',
+    status: status ? parseInt(status[1], 10) : undefined,
+  });
+};
+
+/**
+ * Whether validation reports are cached (VALIDATION_CACHE_TTL)
+ * @returns {boolean} True if the cache is enabled
+ */
+const isValidationCacheEnabled = () => appConfig.w3c.cacheTtlSeconds > 0;
+
+/**
+ * Whether pages are downloaded to look up their validation in the cache
+ * Reports are only cached under a known validator version: without one, backends fetching
+ * URLs keep validating them directly.
+ * @param {Object} backend - Validator backend
+ * @returns {Promise<boolean>} True if the cache is enabled and the validator version is known
+ */
+const usesValidationCache = async (backend) => isValidationCacheEnabled()
+  && Boolean(await getValidatorVersion(backend));
+
+/**
+ * Get the validator version, looked up at most once an hour
+ * Reports are only cached under a known version, so that a validator upgrade does not serve stale reports.
+ * @param {Object} backend - Validator backend
+ * @returns {Promise<string|null>} Backend name and version, or null if it cannot be determined
+ */
+const getValidatorVersion = async (backend) => {
+  if (validatorVersion && validatorVersion.expiresAt > Date.now()) {
+    return validatorVersion.value;
+  }
+
+  try {
+    const version = await backend.getVersion();
+
+    if (!version) {
+      logger.warn('Validator version unknown (VALIDATOR_VERSION), validation cache bypassed', { backend: backend.name });
+    }
+
+    validatorVersion = {
+      value: version ? `${backend.name}/${version}` : null,
+      expiresAt: Date.now() + VALIDATOR_VERSION_TTL_MS,
+    };
+    return validatorVersion.value;
+  } catch (error) {
+    logger.warn('Validator version unavailable, validation cache bypassed', { backend: backend.name, error: error.message });
+    return null;
+  }
+};
+
+/**
+ * Get the cache key of a document validation: a hash of the document bytes, its content type
+ * (which selects the HTML or XHTML parser) and the validator version
+ * @param {string} version - Validator version
+ * @param {Object} document - Document ({ body, contentType })
+ * @returns {string} Cache key
+ */
+const getValidationCacheKey = (version, { body, contentType }) => CacheKeys.w3cValidation(
+  createHash('sha256')
+    .update(`${version}\n${contentType.split(';')[0].trim().toLowerCase()}\n`)
+    .update(body)
+    .digest('hex')
+);
+
+/**
+ * Whether a validator report can be reused for identical documents
+ * Reports of validator-side failures (non-document errors: the document could not be read or
+ * the checker failed) are not cached, so a transient failure is not served to other scans.
+ * @param {Object} report - Nu JSON report ({ messages })
+ * @returns {boolean} True if the report can be cached
+ */
+export const isCacheableReport = (report) => Array.isArray(report?.messages)
+  && !report.messages.some(message => message.type === 'non-document-error');
+
+/**
+ * Validate downloaded documents with the backend, reusing the reports of identical documents
+ * validated before or being validated (template pages of the same scan). Batch backends validate
+ * every other document at once.
+ * @param {Object} backend - Validator backend
+ * @param {Array<Object>} documents - Documents ({ url, body, contentType })
+ * @returns {Promise<Array<Object>>} { report: Nu JSON report, fromCache } per document, in order
+ * @throws {Error} If the validator request fails
+ */
+const validateDocuments = async (backend, documents) => {
+  const version = isValidationCacheEnabled() ? await getValidatorVersion(backend) : null;
+  const keys = documents.map(document => (version ? getValidationCacheKey(version, document) : null));
+  const cached = await Promise.all(keys.map(key => (key ? cacheGet(key) : null)));
+
+  // Only one copy of identical documents is sent to the validator
+  const sent = [];
+  const sentKeys = new Map();
+  const plan = documents.map((document, index) => {
+    const key = keys[index];
+
+    if (cached[index]) {
+      return { report: cached[index] };
+    }
+    if (key && pendingValidations.has(key)) {
+      return { pending: pendingValidations.get(key) };
+    }
+    if (key && sentKeys.has(key)) {
+      return { sentIndex: sentKeys.get(key), duplicate: true };
+    }
+
+    sent.push(document);
+    if (key) {
+      sentKeys.set(key, sent.length - 1);
+    }
+    return { sentIndex: sent.length - 1 };
+  });
+
+  let reports = [];
+  if (sent.length > 0) {
+    const validation = backend.validateDocuments
+      ? backend.validateDocuments(sent)
+      : Promise.all(sent.map(document => backend.validateDocument(document)));
+
+    for (const [key, index] of sentKeys) {
+      pendingValidations.set(key, { validation, index });
+    }
+
+    try {
+      reports = await validation;
+    } finally {
+      for (const key of sentKeys.keys()) {
+        pendingValidations.delete(key);
+      }
+    }
+
+    await Promise.all([...sentKeys]
+      .filter(([, index]) => isCacheableReport(reports[index]))
+      .map(([key, index]) => cacheSet(key, { messages: reports[index].messages }, appConfig.w3c.cacheTtlSeconds)));
   }
+
+  const outcomes = await Promise.all(plan.map(async ({ report, pending, sentIndex, duplicate }) => {
+    if (report) {
+      return { report, fromCache: true };
+    }
+    if (pending) {
+      return { report: (await pending.validation)[pending.index], fromCache: true };
+    }
+    return { report: reports[sentIndex], fromCache: Boolean(duplicate) };
+  }));
+
+  if (version) {
+    logger.debug('Validation cache lookup', {
+      documents: documents.length,
+      hits: outcomes.filter(({ fromCache }) => fromCache).length,
+    });
+  }
+
+  return outcomes;
+};
+
+/**
+ * Whether a Nu message is kept at a validation level
+ * Errors are always kept, warnings from the 'warning' level and other info messages at the 'info' level.
+ * @param {Object} message - Nu message ({ type, subType })
+ * @param {string} level - 'error', 'warning' or 'info'
+ * @returns {boolean} True if the message is reported
+ */
+const isMessageInLevel = (message, level) => {
+  if (message.type === 'error') {
+    return true;
+  }
+
+  if (message.type !== 'info') {
+    return false;
+  }
+
+  return message.subType === 'warning' ? level !== 'error' : level === 'info';
 };
 
 /**
  * Process W3C validation result into standardized format
+ * Errors go to `errors`, warnings and (at the 'info' level) info messages to `warnings`,
+ * with the position fields of the Nu message model.
  * @param {Object} w3cResult - Raw result from W3C API
  * @param {string} url - Original URL that was validated
+ * @param {Object} [options] - Processing options
+ * @param {boolean} [options.fromCache] - Whether the report comes from the validation cache
+ * @param {string} [options.level] - Messages kept: 'error', 'warning' or 'info'
  * @returns {Object} Processed validation result
  */
-const processW3CResult = (w3cResult, url) => {
+export const processW3CResult = (w3cResult, url, { fromCache = false, level = DEFAULT_VALIDATION_LEVEL } = {}) => {
   const errors = [];
   const warnings = [];
   
   if (w3cResult.messages && Array.isArray(w3cResult.messages)) {
     for (const message of w3cResult.messages) {
+      if (!isMessageInLevel(message, level)) {
+        continue;
+      }
+
+      // Nu leaves out firstLine when the message starts on its last line
       const processedMessage = {
         type: message.type || 'unknown',
+        subType: message.subType,
         message: message.message || 'No message provided',
         line: message.lastLine || message.firstLine,
         column: message.lastColumn || message.firstColumn,
+        firstLine: message.firstLine ?? message.lastLine,
+        lastLine: message.lastLine,
+        firstColumn: message.firstColumn,
+        lastColumn: message.lastColumn,
         extract: message.extract,
-        severity: mapW3CSeverity(message.subType),
+        hiliteStart: message.hiliteStart,
+        hiliteLength: message.hiliteLength,
+        severity: mapW3CSeverity(message.type, message.subType),
       };
 
+      // Same issue on different pages, grouped in the scan's top issues
+      processedMessage.fingerprint = fingerprintIssue(processedMessage);
+
       if (message.type === 'error') {
         errors.push(processedMessage);
-      } else if (message.type === 'info' && message.subType === 'warning') {
+      } else {
         warnings.push(processedMessage);
       }
     }
@@ -89,6 +483,7 @@ const processW3CResult = (w3cResult, url) => {
     isValid,
     errors,
     warnings,
+    fromCache,
     summary: {
       errorCount: errors.length,
       warningCount: warnings.length,
@@ -99,104 +494,229 @@ const processW3CResult = (w3cResult, url) => {
 };
 
 /**
- * Map W3C severity levels to our internal levels
- * @param {string} subType - W3C subType
+ * Map W3C message types to our internal severity levels
+ * - error/fatal: critical (the checker stopped parsing the document)
+ * - error: high
+ * - info/warning: medium
+ * - info: low
+ * @param {string} type - W3C message type (error, info)
+ * @param {string} [subType] - W3C subType (fatal for errors, warning for info messages)
  * @returns {string} Mapped severity level
  */
-const mapW3CSeverity = (subType) => {
-  switch (subType) {
-    case 'fatal':
-      return 'critical';
+const mapW3CSeverity = (type, subType) => {
+  switch (type) {
     case 'error':
-      return 'high';
-    case 'warning':
-      return 'medium';
+      return subType === 'fatal' ? 'critical' : 'high';
     case 'info':
-      return 'low';
+      return subType === 'warning' ? 'medium' : 'low';
     default:
       return 'medium';
   }
 };
 
 /**
- * Validate multiple URLs with rate limiting
- * @param {Array<string>} urls - Array of URLs to validate
- * @param {Function} progressCallback - Callback for progress updates
- * @returns {Promise<Array<Object>>} Array of validation results
+ * Build the result of a URL that could not be validated
+ * The failure is kept apart from markup errors: the URL is neither valid nor invalid HTML.
+ * @param {string} url - URL
+ * @param {Error} error - Error from toValidationError()
+ * @param {number} attempts - Attempts made
+ * @returns {Object} Failed validation result
  */
-export const validateUrls = async (urls, progressCallback = null) => {
-  logger.info('Starting batch URL validation', { count: urls.length });
+const buildFailedResult = (url, error, attempts) => ({
+  url,
+  isValid: false,
+  errors: [],
+  warnings: [],
+  failure: {
+    category: error.category || classifyValidationError(error),
+    message: error.message,
+    attempts,
+  },
+  summary: {
+    errorCount: 0,
+    warningCount: 0,
+    validatedAt: new Date().toISOString(),
+  },
+});
 
-  const results = [];
-  const errors = [];
-  
-  for (let i = 0; i < urls.length; i++) {
-    const url = urls[i];
-    
-    try {
-      // Rate limiting: wait 1 second between requests to respect W3C API limits
-      if (i > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
+/**
+ * Validate a batch of URLs, retrying the URLs whose failure may be temporary
+ * with exponential backoff and jitter (VALIDATION_MAX_RETRIES, VALIDATION_RETRY_DELAY_MS)
+ * @param {Object} backend - Validator backend
+ * @param {Array<string>} urls - URLs of the batch
+ * @param {Object} options - Site credentials (auth), validation level and URL checks
+ * @returns {Promise<Array<Object>>} { result } or { error }, and the attempts made, per URL in order
+ */
+const validateBatchWithRetries = async (backend, urls, options) => {
+  const outcomes = (await validateBatch(backend, urls, options)).map(outcome => ({ ...outcome, attempts: 1 }));
+  const { maxRetries, retryDelayMs } = appConfig.w3c;
 
-      const result = await validateUrl(url);
-      results.push(result);
+  for (let retry = 1; retry <= maxRetries; retry++) {
+    const retried = urls.map((url, index) => index).filter(index => outcomes[index].error?.retryable);
 
-      // Call progress callback if provided
-      if (progressCallback) {
-        progressCallback({
-          completed: i + 1,
-          total: urls.length,
-          current: url,
-          result,
-        });
-      }
+    if (retried.length === 0) {
+      break;
+    }
 
-      logger.debug('URL validated', { 
-        url, 
-        progress: `${i + 1}/${urls.length}`,
-        isValid: result.isValid 
-      });
+    // Delay doubles on each retry, between half and one and a half times the nominal value
+    const delay = Math.round(retryDelayMs * 2 ** (retry - 1) * (0.5 + Math.random()));
+    logger.warn('Retrying URL validation', { urls: retried.length, retry, delay });
+    await new Promise(resolve => setTimeout(resolve, delay));
+
+    const retryOutcomes = await validateBatch(backend, retried.map(index => urls[index]), options);
+    retried.forEach((index, position) => {
+      outcomes[index] = { ...retryOutcomes[position], attempts: retry + 1 };
+    });
+  }
+
+  return outcomes;
+};
+
+/**
+ * Run tasks at most `concurrency` at a time
+ * The spacing between validator requests is enforced by the backend's shared rate limiter.
+ * @param {Array} items - Task inputs
+ * @param {number} concurrency - Tasks running at once
+ * @param {Function} task - Async task called with each item
+ * @returns {Promise<void>}
+ */
+const runConcurrently = async (items, concurrency, task) => {
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+};
 
+/**
+ * Validate a batch of URLs with the validator backend
+ * Pages are downloaded first for authenticated sites, backends that don't fetch URLs and when
+ * validation reports are cached under a known validator version; batch backends then validate every downloaded page at once.
+ * @param {Object} backend - Validator backend
+ * @param {Array<string>} urls - URLs of the batch
+ * @param {Object} options - Validation options
+ * @param {Object|null} options.auth - Site credentials ({ origin, headers })
+ * @param {string} options.level - Messages kept: 'error', 'warning' or 'info'
+ * @param {Map<string, Object>|null} options.checks - URL checks whose HTML is reused instead of downloading pages
+ * @returns {Promise<Array<Object>>} Validation result per URL, in order ({ result } or { error })
+ */
+const validateBatch = async (backend, urls, { auth, level, checks }) => {
+  if (!auth && backend.capabilities.fetchesUrls && !(await usesValidationCache(backend))) {
+    return Promise.all(urls.map(url => validateUrl(url, { level }).then(result => ({ result }), error => ({ error }))));
+  }
+
+  if (!backend.validateDocuments) {
+    return Promise.all(urls.map(url => validatePageContent(url, auth, { level, checks })
+      .then(result => ({ result }), error => ({ error }))));
+  }
+
+  // Pages not read while checking URLs are downloaded one at a time, not all at once from the customer site
+  const downloads = [];
+  for (const url of urls) {
+    downloads.push(await getPageDocument(url, auth, checks).then(
+      document => ({ document }),
+      error => ({ error: toValidationError(url, error) })
+    ));
+  }
+
+  const documents = downloads.filter(({ document }) => document).map(({ document }) => document);
+  let outcomes = [];
+  let batchError = null;
+
+  if (documents.length > 0) {
+    try {
+      outcomes = await validateDocuments(backend, documents);
     } catch (error) {
-      logger.error('URL validation failed', { url, error: error.message });
-      
-      const failedResult = {
-        url,
-        isValid: false,
-        errors: [{
-          type: 'validation_error',
-          message: error.message,
-          severity: 'critical',
-        }],
-        warnings: [],
-        summary: {
-          errorCount: 1,
-          warningCount: 0,
-          validatedAt: new Date().toISOString(),
-        },
-      };
+      logger.error('Batch validation failed', { backend: backend.name, documents: documents.length, error: error.message });
+      batchError = error;
+    }
+  }
+
+  return downloads.map(({ document, error }) => {
+    if (!document) {
+      return { error };
+    }
 
-      results.push(failedResult);
-      errors.push(error);
+    if (batchError) {
+      return { error: toValidationError(document.url, batchError) };
+    }
+
+    const { report, fromCache } = outcomes[documents.indexOf(document)];
+    const failure = getNonDocumentError(report);
+
+    return failure
+      ? { error: toValidationError(document.url, failure) }
+      : { result: processW3CResult(report, document.url, { fromCache, level }) };
+  });
+};
+
+/**
+ * Validate multiple URLs within the rate limits of the validator backend
+ * URLs that still cannot be validated after retries get a `failure` ({ category, message, attempts })
+ * instead of markup errors.
+ * @param {Array<string>} urls - Array of URLs to validate
+ * @param {Function} progressCallback - Callback for progress updates
+ * @param {Object} options - Validation options
+ * @param {Object|null} [options.auth] - Site credentials: pages are fetched here and their HTML validated
+ * @param {string} [options.level] - Messages kept: 'error', 'warning' (errors and warnings) or 'info' (every message)
+ * @param {Map<string, Object>|null} [options.checks] - URL checks (see checkUrls()): when pages are validated
+ * from their HTML, the HTML read while checking them is sent instead of downloading them again
+ * @returns {Promise<Array<Object>>} Array of validation results, in the order of the URLs
+ */
+export const validateUrls = async (
+  urls,
+  progressCallback = null,
+  { auth = null, level = DEFAULT_VALIDATION_LEVEL, checks = null } = {}
+) => {
+  const backend = getValidatorBackend();
+  logger.info('Starting batch URL validation', { count: urls.length, backend: backend.name, level });
+
+  const results = new Array(urls.length);
+  const batches = [];
+  let completed = 0;
+  let failed = 0;
+
+  for (let start = 0; start < urls.length; start += backend.capabilities.batchSize) {
+    batches.push({ start, urls: urls.slice(start, start + backend.capabilities.batchSize) });
+  }
+
+  await runConcurrently(batches, backend.rateLimit.concurrency, async (batch) => {
+    const outcomes = await validateBatchWithRetries(backend, batch.urls, { auth, level, checks });
+
+    outcomes.forEach(({ result, error, attempts }, index) => {
+      const url = batch.urls[index];
+      completed++;
+
+      if (error) {
+        logger.error('URL validation failed', { url, category: error.category, attempts, error: error.message });
+        failed++;
+      } else {
+        logger.debug('URL validated', { url, progress: `${completed}/${urls.length}`, isValid: result.isValid });
+      }
 
-      // Call progress callback even for errors
+      results[batch.start + index] = error ? buildFailedResult(url, error, attempts) : { ...result, attempts };
+
+      // Call progress callback if provided (failed URLs included)
       if (progressCallback) {
         progressCallback({
-          completed: i + 1,
+          completed,
           total: urls.length,
           current: url,
-          result: failedResult,
-          error: error.message,
+          result: results[batch.start + index],
+          ...(error ? { error: error.message } : {}),
         });
       }
-    }
-  }
+    });
+  });
 
   logger.info('Batch validation completed', {
     total: urls.length,
     successful: results.filter(r => r.isValid).length,
-    failed: errors.length,
+    failed,
   });
 
   return results;
@@ -207,26 +727,22 @@ export const validateUrls = async (urls, progressCallback = null) => {
  * @returns {Promise<Object>} Service status information
  */
 export const getValidatorStatus = async () => {
-  try {
-    const response = await fetch(appConfig.w3c.validatorUrl, {
-      method: 'HEAD',
-      timeout: 5000,
-    });
+  const backend = getValidatorBackend();
 
+  try {
     const status = {
-      available: response.ok,
-      status: response.status,
-      responseTime: response.headers.get('x-response-time'),
-      server: response.headers.get('server'),
+      backend: backend.name,
+      ...(await backend.getStatus()),
       checkedAt: new Date().toISOString(),
     };
 
     logger.debug('W3C validator status checked', status);
     return status;
   } catch (error) {
-    logger.warn('W3C validator status check failed', { error: error.message });
+    logger.warn('W3C validator status check failed', { backend: backend.name, error: error.message });
     
     return {
+      backend: backend.name,
       available: false,
       error: error.message,
       checkedAt: new Date().toISOString(),
@@ -236,31 +752,18 @@ export const getValidatorStatus = async () => {
 
 /**
  * Validate HTML content directly (instead of by URL)
- * @param {string} htmlContent - HTML content to validate
+ * @param {string|Buffer} htmlContent - HTML content to validate
  * @param {string} contentType - Content type (default: text/html)
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.level] - Messages kept: 'error', 'warning' or 'info'
  * @returns {Promise<Object>} Validation result
  */
-export const validateHtmlContent = async (htmlContent, contentType = 'text/html') => {
+export const validateHtmlContent = async (htmlContent, contentType = 'text/html', { level = DEFAULT_VALIDATION_LEVEL } = {}) => {
   logger.debug('Validating HTML content directly');
 
   try {
-    const response = await fetch(appConfig.w3c.validatorUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': contentType,
-        'User-Agent': 'W3C-Checker-SaaS/1.0',
-        'Accept': 'application/json',
-      },
-      body: htmlContent,
-      timeout: appConfig.w3c.scanTimeoutMs,
-    });
-
-    if (!response.ok) {
-      throw new Error(`W3C API returned ${response.status}: ${response.statusText}`);
-    }
-
-    const result = await response.json();
-    const validation = processW3CResult(result, 'direct-content');
+    const [{ report, fromCache }] = await validateDocuments(getValidatorBackend(), [{ body: htmlContent, contentType }]);
+    const validation = processW3CResult(report, 'direct-content', { fromCache, level });
     
     logger.debug('Direct HTML validation completed', {
       errors: validation.errors.length,
@@ -287,6 +790,23 @@ export const generateValidationSummary = (results) => {
     invalid: 0,
     totalErrors: 0,
     totalWarnings: 0,
+    totalCssErrors: 0,
+    totalCssWarnings: 0,
+    pagesWithCssErrors: 0,
+    totalAccessibilityViolations: 0,
+    pagesWithAccessibilityViolations: 0,
+    accessibilityImpacts: {
+      critical: 0,
+      serious: 0,
+      moderate: 0,
+      minor: 0,
+    },
+    totalSeoIssues: 0,
+    pagesWithSeoIssues: 0,
+    cacheHits: 0,
+    failed: 0,
+    failureCategories: {},
+    suppressed: 0,
     errorTypes: {},
     warningTypes: {},
     severityBreakdown: {
@@ -298,18 +818,36 @@ export const generateValidationSummary = (results) => {
   };
 
   results.forEach(result => {
+    // SEO findings come from the HTML read before validation, validated or not
+    if (result.seoIssues?.length > 0) {
+      summary.totalSeoIssues += result.seoIssues.length;
+      summary.pagesWithSeoIssues++;
+    }
+
+    // URLs that could not be validated are neither valid nor invalid HTML
+    if (result.failure) {
+      summary.failed++;
+      summary.failureCategories[result.failure.category] = (summary.failureCategories[result.failure.category] || 0) + 1;
+      return;
+    }
+
     if (result.isValid) {
       summary.valid++;
     } else {
       summary.invalid++;
     }
 
-    summary.totalErrors += result.errors.length;
-    summary.totalWarnings += result.warnings.length;
+    // Messages accepted on purpose (suppression rules) are kept out of the counts
+    const errors = result.errors.filter(error => !isSuppressed(error));
+    const warnings = result.warnings.filter(warning => !isSuppressed(warning));
+    summary.suppressed += result.errors.length - errors.length + result.warnings.length - warnings.length;
+
+    summary.totalErrors += errors.length;
+    summary.totalWarnings += warnings.length;
 
     // Count error types
-    result.errors.forEach(error => {
-      const type = error.type || 'unknown';
+    errors.forEach(error => {
+      const type = error.subType || error.type || 'unknown';
       summary.errorTypes[type] = (summary.errorTypes[type] || 0) + 1;
       
       const severity = error.severity || 'medium';
@@ -317,15 +855,40 @@ export const generateValidationSummary = (results) => {
     });
 
     // Count warning types
-    result.warnings.forEach(warning => {
-      const type = warning.type || 'unknown';
+    warnings.forEach(warning => {
+      const type = warning.subType || warning.type || 'unknown';
       summary.warningTypes[type] = (summary.warningTypes[type] || 0) + 1;
     });
+
+    // CSS findings (scans with CSS validation): a shared stylesheet counts on every page using it
+    summary.totalCssErrors += result.cssErrors?.length || 0;
+    summary.totalCssWarnings += result.cssWarnings?.length || 0;
+    if (result.cssErrors?.length > 0) {
+      summary.pagesWithCssErrors++;
+    }
+
+    // Accessibility violations (scans with the accessibility audit), one per element
+    if (result.accessibilityViolations?.length > 0) {
+      summary.totalAccessibilityViolations += result.accessibilityViolations.length;
+      summary.pagesWithAccessibilityViolations++;
+      result.accessibilityViolations.forEach(violation => {
+        summary.accessibilityImpacts[violation.impact] = (summary.accessibilityImpacts[violation.impact] || 0) + 1;
+      });
+    }
+
+    // Pages whose identical markup was already validated by an earlier scan
+    if (result.fromCache) {
+      summary.cacheHits++;
+    }
   });
 
-  summary.validPercentage = summary.total > 0 
-    ? Math.round((summary.valid / summary.total) * 100) 
+  const validated = summary.valid + summary.invalid;
+  summary.validPercentage = validated > 0 
+    ? Math.round((summary.valid / validated) * 100) 
     : 0;
 
+  // Identical issues across pages, most impactful first
+  summary.topIssues = getTopIssues(results);
+
   return summary;
 };
@@ -104,6 +104,67 @@ class ApiClient {
     });
   }
 
+  /**
+   * GET request for a file (non-JSON response body)
+   */
+  async download(endpoint: string): Promise<ApiResponse<Blob>> {
+    const token = this.getToken();
+
+    try {
+      const response = await fetch(`${this.baseUrl}${endpoint}`, {
+        method: 'GET',
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      });
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        return {
+          success: false,
+          error: data.error || data.message || 'An error occurred',
+        };
+      }
+
+      return { success: true, data: await response.blob() };
+    } catch (error) {
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Network error',
+      };
+    }
+  }
+
+  /**
+   * POST request with a multipart/form-data body (file uploads)
+   */
+  async upload<T>(endpoint: string, form: FormData): Promise<ApiResponse<T>> {
+    const token = this.getToken();
+
+    try {
+      // No Content-Type header: the browser sets it with the multipart boundary
+      const response = await fetch(`${this.baseUrl}${endpoint}`, {
+        method: 'POST',
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        body: form,
+      });
+
+      const data = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        return {
+          success: false,
+          error: data.error || data.message || 'An error occurred',
+        };
+      }
+
+      return data;
+    } catch (error) {
+      return {
+        success: false,
+        error: error instanceof Error ? error.message : 'Network error',
+      };
+    }
+  }
+
   /**
    * DELETE request
    */
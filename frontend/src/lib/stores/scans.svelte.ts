@@ -5,26 +5,349 @@
 
 import { apiClient } from '../api/client';
 
+interface SitemapConformanceIssue {
+  code: string;
+  severity: 'error' | 'warning';
+  message: string;
+  sitemapUrl: string;
+  count: number;
+  samples: string[];
+}
+
+interface SitemapConformanceReport {
+  conforms: boolean;
+  checkedAt: string;
+  summary: {
+    errors: number;
+    warnings: number;
+  };
+  issues: SitemapConformanceIssue[];
+}
+
+interface UrlFilterRule {
+  type: 'glob' | 'regex';
+  pattern: string;
+}
+
+interface UrlFilters {
+  include: UrlFilterRule[];
+  exclude: UrlFilterRule[];
+  maxUrls?: number;
+}
+
+interface UrlFilterReport {
+  inputUrls: number;
+  keptUrls: number;
+  notIncluded: number;
+  overLimit: number;
+  include: Array<UrlFilterRule & { matched: number }>;
+  exclude: Array<UrlFilterRule & { excluded: number }>;
+}
+
+interface SamplingOptions {
+  perGroup: number;
+  seed: number;
+}
+
+interface SamplingGroupSummary {
+  pattern: string;
+  totalUrls: number;
+  sampledUrls: number;
+  validatedUrls: number;
+  invalidUrls: number;
+  errors: number;
+  warnings: number;
+  estimatedInvalidUrls: number;
+  estimatedErrors: number;
+  estimatedWarnings: number;
+}
+
+interface CrawlOptions {
+  maxDepth?: number;
+  maxPages?: number;
+  generateSitemap: boolean;
+}
+
+interface CrawlReport {
+  startUrl: string;
+  robotsTxt: boolean;
+  maxDepth: number;
+  maxPages: number;
+  pagesFetched: number;
+  depthReached: number;
+  truncated: boolean;
+  sitemapGenerated: boolean;
+  skipped: {
+    robots: number;
+    nofollow: number;
+    external: number;
+    nonHtml: number;
+    errors: number;
+  };
+}
+
+interface IncrementalOptions {
+  checkContent: boolean;
+}
+
+interface IncrementalReport {
+  previousScanId: number | null;
+  previousUrls: number;
+  validatedUrls: number;
+  inheritedUrls: number;
+  removedUrls: number;
+  reasons: {
+    new: number;
+    lastmodChanged: number;
+    contentChanged: number;
+    noChangeSignal: number;
+    previousFailed: number;
+  };
+}
+
+type HttpIssue = 'redirect' | 'http_status' | 'not_html' | 'timeout' | 'unreachable';
+
+type ValidationFailureCategory =
+  | 'validator_unavailable'
+  | 'target_unreachable'
+  | 'target_timeout'
+  | 'target_http_error'
+  | 'target_blocked'
+  | 'non_html';
+
+interface UrlCheckReport {
+  checkedUrls: number;
+  skippedUrls: number;
+  issues: Record<HttpIssue, number>;
+}
+
+interface CssFinding {
+  type: 'css';
+  file: string;
+  line?: number;
+  message: string;
+  context?: string;
+  severity: 'high' | 'low';
+}
+
+interface CssReport {
+  pages: number;
+  stylesheets: number;
+  styleBlocks: number;
+  failed: number;
+}
+
+interface AccessibilityViolation {
+  type: 'accessibility';
+  ruleId: string;
+  impact: 'critical' | 'serious' | 'moderate' | 'minor';
+  severity: 'critical' | 'high' | 'medium' | 'low';
+  message: string;
+  wcag: string[];
+  level: 'A' | 'AA' | null;
+  selector: string;
+  html: string;
+  helpUrl: string;
+}
+
+interface AccessibilityReport {
+  pages: number;
+  violations: number;
+  failed: number;
+  axeVersion: string;
+}
+
+type SeoRule =
+  | 'title_missing'
+  | 'title_duplicate'
+  | 'description_missing'
+  | 'description_duplicate'
+  | 'h1_missing'
+  | 'h1_multiple'
+  | 'canonical_mismatch'
+  | 'noindex'
+  | 'lang_missing';
+
+interface SeoIssue {
+  type: 'seo';
+  rule: SeoRule;
+  severity: 'high' | 'medium' | 'low';
+  message: string;
+}
+
+interface SeoDuplicate {
+  value: string;
+  pages: number;
+  sampleUrls: string[];
+}
+
+interface SeoReport {
+  pages: number;
+  pagesWithIssues: number;
+  issues: Record<SeoRule, number>;
+  duplicates: {
+    titles: SeoDuplicate[];
+    descriptions: SeoDuplicate[];
+  };
+}
+
+export interface SiteCredentials {
+  basicAuth?: {
+    username: string;
+    password: string;
+  };
+  headers?: Record<string, string>;
+  cookies?: Record<string, string>;
+}
+
+interface ScanAuthentication {
+  origin: string;
+  basicAuth: boolean;
+  headers: string[];
+  cookies: string[];
+}
+
+export type ValidationLevel = 'error' | 'warning' | 'info';
+
+export interface ValidationMessage {
+  type: string;
+  subType?: 'fatal' | 'warning';
+  message: string;
+  line?: number;
+  column?: number;
+  firstLine?: number;
+  lastLine?: number;
+  firstColumn?: number;
+  lastColumn?: number;
+  extract?: string;
+  hiliteStart?: number;
+  hiliteLength?: number;
+  severity?: 'critical' | 'high' | 'medium' | 'low';
+  fingerprint?: string;
+  suppressedBy?: { ruleId: number; reason: string };
+}
+
+interface IssueGroup {
+  fingerprint: string;
+  type: 'error' | 'warning';
+  severity: 'critical' | 'high' | 'medium' | 'low';
+  message: string;
+  extract?: string;
+  occurrences: number;
+  pages: number;
+  sampleUrls: string[];
+  impact: number;
+}
+
+interface ScanSummary {
+  total: number;
+  valid: number;
+  invalid: number;
+  totalErrors: number;
+  totalWarnings: number;
+  totalCssErrors?: number;
+  totalAccessibilityViolations?: number;
+  pagesWithAccessibilityViolations?: number;
+  totalSeoIssues?: number;
+  pagesWithSeoIssues?: number;
+  cacheHits?: number;
+  failed?: number;
+  failureCategories?: Partial<Record<ValidationFailureCategory, number>>;
+  suppressed?: number;
+  validPercentage: number;
+  topIssues?: IssueGroup[];
+  sampling?: SamplingOptions & {
+    groups: SamplingGroupSummary[];
+    estimated: {
+      totalUrls: number;
+      validatedUrls: number;
+      invalidUrls: number;
+      totalErrors: number;
+      totalWarnings: number;
+    };
+  };
+}
+
 interface Scan {
   id: number;
   sitemapUrl: string;
+  source?: 'sitemap' | 'crawl' | 'upload' | 'list';
   status: 'pending' | 'processing' | 'success' | 'failed';
   startedAt: string;
   finishedAt?: string;
   totalUrls?: number;
+  refundedCredits?: number;
   resultCount?: number;
   errorMsg?: string;
+  sourceFormat?: 'urlset' | 'sitemapindex' | 'text' | 'rss' | 'atom' | null;
+  sitemapReport?: SitemapConformanceReport | null;
+  filters?: UrlFilters | null;
+  filterReport?: UrlFilterReport | null;
+  mode?: 'full' | 'sample' | 'incremental';
+  sampling?: SamplingOptions | null;
+  crawl?: CrawlOptions | null;
+  crawlReport?: CrawlReport | null;
+  incremental?: IncrementalOptions | null;
+  incrementalReport?: IncrementalReport | null;
+  urlCheckReport?: UrlCheckReport | null;
+  validateCss?: boolean;
+  cssReport?: CssReport | null;
+  validationLevel?: ValidationLevel;
+  checkAccessibility?: boolean;
+  accessibilityReport?: AccessibilityReport | null;
+  seoReport?: SeoReport | null;
+  authentication?: ScanAuthentication | null;
 }
 
-interface ScanResult {
+export interface ScanResult {
   id: number;
   url: string;
+  sourceSitemap?: string | null;
+  lastmod?: string | null;
+  inheritedFrom?: number | null;
+  httpStatus?: number | null;
+  finalUrl?: string | null;
+  redirectChain?: { url: string; status: number }[] | null;
+  contentType?: string | null;
+  responseTimeMs?: number | null;
+  byteSize?: number | null;
+  httpIssue?: HttpIssue | null;
   isValid: boolean;
-  errors?: unknown[];
-  warnings?: unknown[];
+  errors?: ValidationMessage[] | null;
+  warnings?: ValidationMessage[] | null;
+  cssErrors?: CssFinding[] | null;
+  cssWarnings?: CssFinding[] | null;
+  accessibilityViolations?: AccessibilityViolation[] | null;
+  accessibilityViolationCount?: number | null;
+  seoIssues?: SeoIssue[] | null;
+  seoIssueCount?: number | null;
+  fromCache?: boolean;
+  failureCategory?: ValidationFailureCategory | null;
+  failureMessage?: string | null;
+  attempts?: number;
   checkedAt: string;
 }
 
+interface CreateScanRequest {
+  sitemapUrl?: string;
+  siteUrl?: string;
+  crawlUrl?: string;
+  urls?: string[];
+  crawl?: Partial<CrawlOptions>;
+  filters?: Partial<UrlFilters>;
+  sampling?: Partial<SamplingOptions>;
+  incremental?: Partial<IncrementalOptions>;
+  credentials?: SiteCredentials;
+  validateCss?: boolean;
+  validationLevel?: ValidationLevel;
+  checkAccessibility?: boolean;
+}
+
+type UploadScanOptions = Pick<
+  CreateScanRequest,
+  'filters' | 'sampling' | 'incremental' | 'validateCss' | 'validationLevel' | 'checkAccessibility'
+>;
+
 interface Pagination {
   page: number;
   limit: number;
@@ -38,6 +361,7 @@ interface Pagination {
 class ScansStore {
   private _scans = $state<Scan[]>([]);
   private _currentScan = $state<Scan | null>(null);
+  private _summary = $state<ScanSummary | null>(null);
   private _results = $state<ScanResult[]>([]);
   private _isLoading = $state(false);
   private _error = $state<string | null>(null);
@@ -56,6 +380,10 @@ class ScansStore {
     return this._currentScan;
   }
 
+  get summary() {
+    return this._summary;
+  }
+
   get results() {
     return this._results;
   }
@@ -73,16 +401,43 @@ class ScansStore {
   }
 
   /**
-   * Create a new scan
+   * Create a new scan from a sitemap URL, a site URL (sitemap discovery) or a crawl start URL
    */
-  async createScan(sitemapUrl: string) {
+  async createScan(request: CreateScanRequest) {
     this._isLoading = true;
     this._error = null;
 
     try {
-      const response = await apiClient.post<{ scan: Scan }>('/scans', {
-        sitemapUrl,
-      });
+      const response = await apiClient.post<{ scan: Scan }>('/scans', request);
+
+      if (response.success && response.data) {
+        this._scans.unshift(response.data.scan);
+        return { success: true, data: response.data.scan };
+      } else {
+        this._error = response.error || 'Failed to create scan';
+        return { success: false, error: this._error };
+      }
+    } catch (error) {
+      this._error = error instanceof Error ? error.message : 'Failed to create scan';
+      return { success: false, error: this._error };
+    } finally {
+      this._isLoading = false;
+    }
+  }
+
+  /**
+   * Create a new scan from an uploaded sitemap file (XML, text, RSS/Atom, optionally gzipped)
+   */
+  async uploadScan(file: File, options: UploadScanOptions = {}) {
+    this._isLoading = true;
+    this._error = null;
+
+    try {
+      const form = new FormData();
+      form.append('file', file);
+      form.append('options', JSON.stringify(options));
+
+      const response = await apiClient.upload<{ scan: Scan }>('/scans/upload', form);
 
       if (response.success && response.data) {
         this._scans.unshift(response.data.scan);
@@ -136,11 +491,12 @@ class ScansStore {
     this._error = null;
 
     try {
-      const response = await apiClient.get<Scan>(`/scans/${scanId}`);
+      const response = await apiClient.get<{ scan: Scan; summary: ScanSummary }>(`/scans/${scanId}`);
 
       if (response.success && response.data) {
-        this._currentScan = response.data;
-        return { success: true, data: response.data };
+        this._currentScan = response.data.scan;
+        this._summary = response.data.summary;
+        return { success: true, data: response.data.scan };
       } else {
         this._error = response.error || 'Failed to fetch scan details';
         return { success: false, error: this._error };
@@ -181,6 +537,19 @@ class ScansStore {
     }
   }
 
+  /**
+   * Download the sitemap.xml generated by a crawl scan
+   */
+  async downloadGeneratedSitemap(scanId: number) {
+    const response = await apiClient.download(`/scans/${scanId}/sitemap.xml`);
+
+    if (response.success && response.data) {
+      return { success: true, data: response.data };
+    }
+
+    return { success: false, error: response.error || 'Failed to download sitemap' };
+  }
+
   /**
    * Delete a scan
    */